@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * The huml command-line tool.
+ *
+ *   huml check [--schema=file] [file...]
+ *                                 Report syntax errors (and violations of a
+ *                                 JSON Schema) as file:line:column.
+ *   huml fmt [--check] [--sort-keys] [file...]
+ *                                 Rewrite files in the canonical style.
+ *   huml to-json [file]           Convert HUML to JSON.
+ *   huml from-json [file]         Convert JSON to HUML.
+ *   huml get <path> [file]        Print the value at a path, eg: servers[0].host
+ *   huml lsp [--stdio]            Run the language server over stdio.
+ *
+ * Files default to stdin, also written as '-'. fmt writes files in place and
+ * stdin to stdout.
+ *
+ * Exit codes: 0 on success, 1 when a document is invalid or can't be read, a
+ * path is missing or `fmt --check` finds unformatted files, and 2 on usage
+ * errors, including a --schema file that can't be read or used.
+ */
+
+import { readFileSync, writeFileSync, realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parse, HUMLError } from './decode.js';
+import { stringify } from './encode.js';
+import { parseDocument } from './document.js';
+import { format } from './format.js';
+import { validate } from './schema.js';
+import { listen } from './lsp.js';
+
+const USAGE = `usage: huml <command> [options] [file...]
+
+commands:
+  check [--schema=file] [file...]
+                           report syntax errors and schema violations
+  fmt [--check] [--sort-keys] [file...]
+                           rewrite files in the canonical style
+  to-json [file]           convert HUML to JSON
+  from-json [file]         convert JSON to HUML
+  get <path> [file]        print the value at a path
+  lsp [--stdio]            run the language server over stdio
+`;
+
+const STDIN = '-';
+
+// Reads files and writes output through io, so that the commands can run
+// outside a process. input and output return the streams the language server
+// talks over.
+const NODE_IO = {
+    readFile: name => readFileSync(name === STDIN ? 0 : name, 'utf8'),
+    writeFile: (name, data) => writeFileSync(name, data),
+    stdout: data => process.stdout.write(data),
+    stderr: data => process.stderr.write(data),
+    input: () => process.stdin,
+    output: () => process.stdout,
+};
+
+const COMMANDS = {
+    check,
+    fmt,
+    'to-json': toJSON,
+    'from-json': fromJSON,
+    get,
+    lsp,
+};
+
+// Thrown for bad arguments.
+class UsageError extends Error {}
+
+// Runs the command line args and returns the exit code, or a promise of it
+// for commands that run until their input ends, like lsp.
+export function run(args, io = NODE_IO) {
+    const [name, ...rest] = args;
+
+    if (name === undefined || name === '-h' || name === '--help') {
+        io[name === undefined ? 'stderr' : 'stdout'](USAGE);
+        return name === undefined ? 2 : 0;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        io.stderr(`huml: unknown command '${name}'\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return command(rest, io);
+    } catch (err) {
+        if (err instanceof UsageError) {
+            io.stderr(`huml ${name}: ${err.message}\n\n${USAGE}`);
+            return 2;
+        }
+        if (isFileError(err)) {
+            io.stderr(`huml ${name}: ${err.message}\n`);
+            return 1;
+        }
+        throw err;
+    }
+}
+
+// Reports every error in every file. Files without syntax errors are
+// validated against the --schema JSON Schema, if given. Files that can't be
+// read are reported and skipped; any problem with the schema is a usage
+// error.
+function check(args, io) {
+    const { flags, files } = parseArgs(args, ['--schema='], { files: true });
+    let failed = false;
+
+    let schema;
+    if (flags['--schema'] !== undefined) {
+        try {
+            schema = JSON.parse(io.readFile(flags['--schema']));
+        } catch (err) {
+            if (!(err instanceof SyntaxError) && !isFileError(err)) throw err;
+            io.stderr(`${flags['--schema']}: ${err.message}\n`);
+            return 2;
+        }
+    }
+
+    for (const file of files) {
+        let text;
+        try {
+            text = io.readFile(file);
+        } catch (err) {
+            if (!isFileError(err)) throw err;
+            io.stderr(`${displayName(file)}: ${err.message}\n`);
+            failed = true;
+            continue;
+        }
+
+        let { errors } = parse(text, { recover: true });
+
+        if (errors.length === 0 && schema !== undefined) {
+            try {
+                errors = validate(text, schema).errors;
+            } catch (err) {
+                // A problem with the schema rather than the file.
+                if (!(err instanceof TypeError)) throw err;
+                io.stderr(`${flags['--schema']}: ${err.message}\n`);
+                return 2;
+            }
+        }
+
+        for (const err of errors) {
+            io.stderr(formatError(file, err));
+        }
+        failed = failed || errors.length > 0;
+    }
+
+    return failed ? 1 : 0;
+}
+
+// Rewrites files in the canonical style. With --check, lists the files that
+// would change instead.
+function fmt(args, io) {
+    const { flags, files } = parseArgs(args, ['--check', '--sort-keys'], { files: true });
+    let status = 0;
+
+    for (const file of files) {
+        const text = io.readFile(file);
+
+        let out;
+        try {
+            out = format(text, { sortKeys: Boolean(flags['--sort-keys']) });
+        } catch (err) {
+            if (!(err instanceof HUMLError)) throw err;
+            io.stderr(formatError(file, err));
+            status = 1;
+            continue;
+        }
+
+        if (flags['--check']) {
+            if (out !== text) {
+                io.stderr(`${displayName(file)}: not formatted\n`);
+                status = 1;
+            }
+        } else if (file === STDIN) {
+            io.stdout(out);
+        } else if (out !== text) {
+            io.writeFile(file, out);
+        }
+    }
+
+    return status;
+}
+
+function toJSON(args, io) {
+    const { files } = parseArgs(args, [], { files: 1 });
+    return withDocument(files[0], io, text => {
+        io.stdout(JSON.stringify(parse(text), null, 2) + '\n');
+    });
+}
+
+function fromJSON(args, io) {
+    const { files } = parseArgs(args, [], { files: 1 });
+    const text = io.readFile(files[0]);
+
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (err) {
+        io.stderr(`${displayName(files[0])}: ${err.message}\n`);
+        return 1;
+    }
+
+    io.stdout(stringify(value, { sortKeys: false }));
+    return 0;
+}
+
+// Prints the value at a path. Strings are printed as they are, other scalars
+// as HUML and vectors as HUML documents.
+function get(args, io) {
+    const { positional, files } = parseArgs(args, [], { positional: 1, files: 1 });
+    const path = positional[0];
+
+    return withDocument(files[0], io, text => {
+        const value = parseDocument(text).get(path);
+
+        if (value === undefined) {
+            io.stderr(`${displayName(files[0])}: no value at '${path}'\n`);
+            return 1;
+        }
+
+        io.stdout(typeof value === 'string' ? value + '\n' : stringify(value, { sortKeys: false }));
+    });
+}
+
+// Serves the language server over stdin and stdout until the client exits.
+// --stdio is accepted, as editors pass it by convention.
+function lsp(args, io) {
+    parseArgs(args, ['--stdio']);
+
+    // Close the input once the server exits, or it keeps the process alive.
+    const input = io.input();
+    return listen(input, io.output()).then(code => {
+        input.destroy();
+        return code;
+    });
+}
+
+// Reads a file and calls fn with its text, reporting HUML errors. Returns
+// fn's exit code, or 0.
+function withDocument(file, io, fn) {
+    const text = io.readFile(file);
+
+    try {
+        return fn(text) ?? 0;
+    } catch (err) {
+        if (!(err instanceof HUMLError)) throw err;
+        io.stderr(formatError(file, err));
+        return 1;
+    }
+}
+
+// Splits args into flags (from the allowed list), positional args and files.
+// Allowed flags ending in '=' take a value, as --flag=value or --flag value.
+// positional is the number of required positional args. files is true for
+// any number of files or a maximum count. No files means stdin.
+function parseArgs(args, allowed, { positional: count = 0, files: maxFiles = 0 } = {}) {
+    const flags = {};
+    const rest = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg.startsWith('--') || (arg.startsWith('-') && arg !== STDIN)) {
+            const eq = arg.indexOf('=');
+            const name = eq === -1 ? arg : arg.substring(0, eq);
+
+            if (allowed.includes(name + '=')) {
+                if (eq === -1 && i + 1 >= args.length) {
+                    throw new UsageError(`option '${name}' requires a value`);
+                }
+                flags[name] = eq === -1 ? args[++i] : arg.substring(eq + 1);
+            } else if (allowed.includes(arg)) {
+                flags[arg] = true;
+            } else {
+                throw new UsageError(`unknown option '${arg}'`);
+            }
+        } else {
+            rest.push(arg);
+        }
+    }
+
+    if (rest.length < count) {
+        throw new UsageError('missing argument');
+    }
+
+    const positional = rest.slice(0, count);
+    const files = rest.slice(count);
+
+    if (maxFiles !== true && files.length > maxFiles) {
+        throw new UsageError('too many arguments');
+    }
+    if (files.length === 0) {
+        files.push(STDIN);
+    }
+
+    return { flags, positional, files };
+}
+
+// Formats an error as file:line:column: message.
+function formatError(file, err) {
+    const pos = err.line === undefined ? '' : `${err.line}:${err.column}:`;
+    return `${displayName(file)}:${pos} ${err.reason ?? err.message}\n`;
+}
+
+function displayName(file) {
+    return file === STDIN ? '<stdin>' : file;
+}
+
+// Determines if err is a file that's missing or can't be read.
+function isFileError(err) {
+    return err.code === 'ENOENT' || err.code === 'EISDIR' || err.code === 'EACCES';
+}
+
+// Run when executed directly, including through an npm bin link.
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    Promise.resolve(run(process.argv.slice(2))).then(code => {
+        process.exitCode = code;
+    });
+}
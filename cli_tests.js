@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { PassThrough } from 'node:stream';
+import { run } from './cli.js';
+
+// Runs the CLI on in-memory files. '-' is stdin.
+function huml(args, files = {}) {
+    const out = { stdout: '', stderr: '', files: { ...files } };
+
+    const io = {
+        readFile: name => {
+            if (!(name in out.files)) {
+                throw Object.assign(new Error(`ENOENT: no such file or directory, open '${name}'`), { code: 'ENOENT' });
+            }
+            return out.files[name];
+        },
+        writeFile: (name, data) => { out.files[name] = data; },
+        stdout: data => { out.stdout += data; },
+        stderr: data => { out.stderr += data; },
+    };
+
+    out.code = run(args, io);
+    return out;
+}
+
+test('TestCLICheck', () => {
+    const files = { 'ok.huml': 'a: 1\n', 'bad.huml': 'a: 1\na: 2\nb: x\n' };
+
+    assert.equal(huml(['check', 'ok.huml'], files).code, 0);
+
+    const res = huml(['check', 'ok.huml', 'bad.huml'], files);
+    assert.equal(res.code, 1);
+    assert.equal(
+        res.stderr,
+        "bad.huml:2:1: duplicate key 'a' in dict\nbad.huml:3:4: unexpected character 'x' when parsing value\n"
+    );
+
+    assert.equal(huml(['check'], { '-': '' }).stderr, '<stdin>:1:1: empty document is undefined\n');
+
+    // Files that can't be read are reported, and the others still checked.
+    const missing = huml(['check', 'missing.huml', 'bad.huml'], files);
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /^missing\.huml: ENOENT: no such file or directory, open 'missing\.huml'\nbad\.huml:2:1: /);
+});
+
+test('TestCLICheckSchema', () => {
+    const files = {
+        'a.huml': 'port: "80"\n',
+        'schema.json': '{"properties": {"port": {"type": "integer"}}}',
+    };
+
+    let res = huml(['check', '--schema', 'schema.json', 'a.huml'], files);
+    assert.deepEqual([res.code, res.stderr], [1, 'a.huml:1:7: /port must be integer\n']);
+    assert.equal(huml(['check', '--schema=schema.json'], { ...files, '-': 'port: 80' }).code, 0);
+    assert.equal(huml(['check', '--schema'], files).code, 2);
+    res = huml(['check', '--schema=missing.json', 'a.huml'], files);
+    assert.deepEqual([res.code, res.stderr], [2, "missing.json: ENOENT: no such file or directory, open 'missing.json'\n"]);
+
+    // Schemas that can't be used are usage errors, like invalid JSON.
+    res = huml(['check', '--schema=ref.json', 'a.huml'], { ...files, 'ref.json': '{"$ref": "other.json"}' });
+    assert.deepEqual([res.code, res.stderr], [2, "ref.json: unsupported $ref 'other.json', only references within the schema are supported\n"]);
+    res = huml(['check', '--schema=loop.json', 'a.huml'], { ...files, 'loop.json': '{"$ref": "#"}' });
+    assert.deepEqual([res.code, res.stderr], [2, "loop.json: $ref cycle: '#' -> '#'\n"]);
+    res = huml(['check', '--schema=re.json', 'a.huml'], { ...files, 're.json': '{"properties": {"port": {"pattern": "("}}}' });
+    assert.deepEqual([res.code, res.stderr], [2, 're.json: invalid schema at \'/port\': pattern "(" is not a valid regular expression\n']);
+    res = huml(['check', '--schema=enum.json', 'a.huml'], { ...files, 'enum.json': '{"properties": {"port": {"enum": 80}}}' });
+    assert.deepEqual([res.code, res.stderr], [2, "enum.json: invalid schema at '/port': enum must be an array\n"]);
+});
+
+test('TestCLIFormat', () => {
+    const files = { 'a.huml': 'b::\n  - 1\n  - 2\na: "x"\n', 'c.huml': 'a: 1  # c\n' };
+
+    let res = huml(['fmt', '--check', 'a.huml'], files);
+    assert.deepEqual([res.code, res.stderr], [1, 'a.huml: not formatted\n']);
+
+    res = huml(['fmt', 'a.huml'], files);
+    assert.equal(res.code, 0);
+    assert.equal(res.files['a.huml'], 'b:: 1, 2\na: "x"\n');
+    assert.equal(huml(['fmt', '--check', 'a.huml'], res.files).code, 0);
+
+    res = huml(['fmt'], { '-': '%HUML v0.2.0\na:: 1, 2\n' });
+    assert.equal(res.stdout, '%HUML v0.2.0\n\na:: 1, 2\n');
+
+    res = huml(['fmt', 'c.huml'], files);
+    assert.equal(res.files['c.huml'], 'a: 1 # c\n');
+
+    res = huml(['fmt', '--sort-keys', 'a.huml'], files);
+    assert.equal(res.files['a.huml'], 'a: "x"\nb:: 1, 2\n');
+});
+
+test('TestCLIConvert', () => {
+    const files = { 'a.huml': 'a:: 1, 2\nb: "x"\n', 'a.json': '{"z": {"y": [true]}, "a": null}' };
+
+    assert.equal(huml(['to-json', 'a.huml'], files).stdout, '{\n  "a": [\n    1,\n    2\n  ],\n  "b": "x"\n}\n');
+    assert.equal(huml(['from-json', 'a.json'], files).stdout, 'z::\n  y::\n    - true\na: null\n');
+    assert.equal(huml(['from-json'], { '-': '{' }).code, 1);
+});
+
+test('TestCLIGet', () => {
+    const files = { '-': 'servers::\n  - ::\n    host: "a b"\n    ports:: 80, 443\n' };
+
+    assert.equal(huml(['get', 'servers[0].host'], files).stdout, 'a b\n');
+    assert.equal(huml(['get', 'servers[0].ports[1]'], files).stdout, '443\n');
+    assert.equal(huml(['get', 'servers[0].ports'], files).stdout, '- 80\n- 443\n');
+
+    const res = huml(['get', 'servers[1]'], files);
+    assert.deepEqual([res.code, res.stderr], [1, "<stdin>: no value at 'servers[1]'\n"]);
+});
+
+test('TestCLILanguageServer', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const io = { input: () => input, output: () => output, stderr: () => {} };
+
+    const exited = run(['lsp', '--stdio'], io);
+    for (const message of [{ id: 1, method: 'initialize', params: {} }, { id: 2, method: 'shutdown' }, { method: 'exit' }]) {
+        const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+        input.write(`Content-Length: ${json.length}\r\n\r\n${json}`);
+    }
+
+    assert.equal(await exited, 0);
+    assert.equal(input.destroyed, true);
+    assert.match(output.read().toString(), /"id":2,"result":null/);
+
+    assert.equal(huml(['lsp', 'config.huml']).code, 2);
+});
+
+test('TestCLIUsage', () => {
+    assert.equal(huml([]).code, 2);
+    assert.equal(huml(['--help']).code, 0);
+    assert.equal(huml(['nope']).code, 2);
+    assert.equal(huml(['get']).code, 2);
+    assert.equal(huml(['to-json', 'a', 'b']).code, 2);
+    assert.equal(huml(['fmt', '--write']).code, 2);
+});
@@ -0,0 +1,43 @@
+import type { StringifyOptions } from './encode.js';
+
+export interface ConvertOptions extends StringifyOptions {
+    /** Carry comments over (true by default). */
+    comments?: boolean;
+}
+
+export interface ToJSONOptions {
+    /** As for JSON.stringify() (2 by default). */
+    indent?: number | string;
+}
+
+/** Something that couldn't be converted exactly. */
+export interface ReportEntry {
+    /** The key path of the value, as formatted by formatPath(), or '' for the root. */
+    path: string;
+    message: string;
+    /** The 1-based line in the source, when converting to HUML. */
+    line?: number;
+}
+
+export interface ConvertResult {
+    text: string;
+    report: ReportEntry[];
+}
+
+/** Converts YAML to HUML. Throws HUMLError with code INVALID_YAML for invalid or unsupported YAML. */
+export function fromYAML(text: string, options?: ConvertOptions): ConvertResult;
+
+/** Converts HUML to YAML. Throws HUMLError for invalid HUML. */
+export function toYAML(text: string): ConvertResult;
+
+/** Converts TOML to HUML. Throws HUMLError with code INVALID_TOML for invalid TOML. */
+export function fromTOML(text: string, options?: ConvertOptions): ConvertResult;
+
+/** Converts HUML to TOML. Throws HUMLError for invalid HUML. */
+export function toTOML(text: string): ConvertResult;
+
+/** Converts JSON to HUML, keeping large integers exact. Throws HUMLError with code INVALID_JSON for invalid JSON. */
+export function fromJSON(text: string, options?: ConvertOptions): ConvertResult;
+
+/** Converts HUML to JSON, keeping large integers exact. Throws HUMLError for invalid HUML. */
+export function toJSON(text: string, options?: ToJSONOptions): ConvertResult;
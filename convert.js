@@ -0,0 +1,273 @@
+/**
+ * Converters between HUML and YAML, TOML and JSON. Each returns the converted
+ * text and a fidelity report:
+ *
+ *   const { text, report } = fromYAML(yamlText);
+ *   // report: [{ path: 'prod', message: 'the merge key (<<) was expanded ...', line: 12 }]
+ *
+ * The report lists what couldn't be converted exactly: YAML anchors, aliases
+ * and merge keys (expanded into copies), TOML datetimes (converted to
+ * strings), nulls written to TOML (dropped), NaN and Infinity written to JSON
+ * (written as null), and so on. Paths in the report are formatted as by
+ * formatPath(), with '' for the root.
+ *
+ * Comments are carried over between HUML, YAML and TOML, attached to the
+ * entries they precede or follow. Converting to JSON drops them, which is
+ * reported.
+ */
+
+import { parse } from './decode.js';
+import { stringify } from './encode.js';
+import { parseDocument, childrenOf } from './document.js';
+import { formatPath } from './path.js';
+import { parseYAML, writeYAML } from './yaml.js';
+import { parseTOML, writeTOML } from './toml.js';
+import { parseJSON, writeJSON } from './json.js';
+
+// Converts YAML to HUML. Options are passed to stringify(), except for
+//
+//   comments: carry comments over (true by default).
+//
+// Keys keep their order unless the sortKeys option is set. Throws HUMLError
+// with code INVALID_YAML for invalid or unsupported YAML.
+export function fromYAML(text, options = {}) {
+    return toHUML(parseYAML(checkText(text)), options);
+}
+
+// Converts HUML to YAML. Throws HUMLError for invalid HUML.
+export function toYAML(text) {
+    const { value, comments, footer } = readHUML(text);
+    return { text: writeYAML(value, comments, footer), report: [] };
+}
+
+// Converts TOML to HUML. Options are as for fromYAML(). Throws HUMLError with
+// code INVALID_TOML for invalid TOML.
+export function fromTOML(text, options = {}) {
+    return toHUML(parseTOML(checkText(text)), options);
+}
+
+// Converts HUML to TOML. Throws HUMLError for invalid HUML.
+export function toTOML(text) {
+    const { value, comments, footer } = readHUML(text);
+    return writeTOML(value, comments, footer);
+}
+
+// Converts JSON to HUML without loss: large integers stay exact, and numbers
+// that JSON.parse() would round are reported. Options are passed to
+// stringify(). Throws HUMLError with code INVALID_JSON for invalid JSON.
+export function fromJSON(text, options = {}) {
+    return toHUML(parseJSON(checkText(text)), options);
+}
+
+// Converts HUML to JSON. Large integers stay exact. Options:
+//
+//   indent: as for JSON.stringify() (2 by default).
+//
+// Throws HUMLError for invalid HUML.
+export function toJSON(text, options = {}) {
+    const { indent = 2 } = options;
+    const { value, comments, footer } = readHUML(text);
+
+    const { text: json, report } = writeJSON(value, indent);
+
+    const count = countComments(comments, footer);
+    if (count > 0) {
+        report.push({ path: '', message: `${count} comment${count === 1 ? ' was' : 's were'} dropped, as JSON has no comments` });
+    }
+
+    return { text: json, report };
+}
+
+function checkText(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('input must be of type string');
+    }
+    return text;
+}
+
+// Writes the output of a parser as HUML, with its comments.
+function toHUML({ value, comments, footer, report }, options) {
+    const { comments: keepComments = true, ...stringifyOptions } = options;
+    const text = stringify(value, { sortKeys: false, ...stringifyOptions });
+
+    if (!keepComments || (comments.size === 0 && footer.every(node => node.type === 'blank'))) {
+        return { text, report };
+    }
+
+    return { text: addComments(text, comments, footer), report };
+}
+
+// Adds comments to HUML text. comments maps formatted paths to
+// { path, before, trailing }, as returned by the parsers.
+function addComments(text, comments, footer) {
+    const doc = parseDocument(text);
+
+    for (const { path, before, trailing } of comments.values()) {
+        if (path.length === 0) {
+            doc.before = toTrivia(before, 0);
+            if (trailing !== null && !isVector(doc.root)) {
+                doc.comment = toComment(trailing, '  ');
+            }
+            continue;
+        }
+
+        const parent = path.length === 1 ? doc.root : findEntry(doc.root, path.slice(0, -1))?.value;
+        const entry = parent && isVector(parent) ? findEntry(parent, path.slice(-1)) : undefined;
+        if (!entry) {
+            continue;
+        }
+
+        // Inline vectors have no room for comments.
+        if (parent.style === 'inline') {
+            parent.style = 'multiline';
+        }
+
+        entry.before = toTrivia(before, 2 * (path.length - 1));
+        if (trailing !== null) {
+            if (entry.value.type === 'multiline') {
+                entry.value.openComment = toComment(trailing, '  ');
+            } else {
+                entry.comment = toComment(trailing, '  ');
+            }
+        }
+    }
+
+    doc.after = toTrivia(footer, 0);
+    tidyBlankLines(doc);
+
+    return doc.toString();
+}
+
+// Returns the pair or item at path below a dict or list node.
+function findEntry(node, path) {
+    let entry;
+
+    for (const seg of path) {
+        if (!isVector(node)) {
+            return undefined;
+        }
+        entry = node.type === 'dict'
+            ? node.entries.find(pair => pair.key.value === seg)
+            : node.items[seg];
+        if (!entry) {
+            return undefined;
+        }
+        node = entry.value;
+    }
+
+    return entry;
+}
+
+function isVector(node) {
+    return node.type === 'dict' || node.type === 'list';
+}
+
+function toTrivia(lines, indent) {
+    return lines.map(line => line.type === 'blank'
+        ? { type: 'blank', range: null }
+        : toComment(line.text, ' '.repeat(indent)));
+}
+
+function toComment(text, prefix) {
+    return { type: 'comment', prefix, text: text === '' ? '#' : '# ' + text, range: null };
+}
+
+// Collapses runs of blank lines, and drops them at the start and end of the
+// document and of multiline vectors.
+function tidyBlankLines(doc) {
+    const lists = [doc.before];
+    const firsts = new Set();
+    const walk = node => {
+        if (isVector(node)) {
+            childrenOf(node).forEach((child, i) => {
+                lists.push(child.before);
+                if (i === 0 && node !== doc.root) {
+                    firsts.add(child.before);
+                }
+                walk(child.value);
+            });
+        }
+    };
+    walk(doc.root);
+    lists.push(doc.after);
+
+    let atStart = true;
+    let prevBlank = false;
+
+    for (const trivia of lists) {
+        if (firsts.has(trivia)) {
+            prevBlank = true;
+        }
+        for (let i = 0; i < trivia.length;) {
+            const isBlank = trivia[i].type === 'blank';
+            if (isBlank && (atStart || prevBlank)) {
+                trivia.splice(i, 1);
+                continue;
+            }
+            prevBlank = isBlank;
+            atStart = false;
+            i++;
+        }
+
+        // The line of the entry that follows ends the run, except after the
+        // lines above a multiline root, which run into its first entry's.
+        if (trivia !== doc.before || !isVector(doc.root) || doc.root.style !== 'multiline') {
+            prevBlank = false;
+            atStart = false;
+        }
+    }
+
+    while (doc.after.length > 0 && doc.after[doc.after.length - 1].type === 'blank') {
+        doc.after.pop();
+    }
+}
+
+// Reads HUML text as a value, with dicts as Maps and exact big integers, and
+// collects its comments in the form the writers take.
+function readHUML(text) {
+    const value = parse(checkText(text), { dicts: 'map', bigint: 'auto' });
+    const doc = parseDocument(text);
+    const comments = new Map();
+
+    const add = (path, before, trailing) => {
+        const lines = fromTrivia(before);
+        if (lines.length > 0 || trailing) {
+            comments.set(formatPath(path), { path, before: lines, trailing: trailing ? commentText(trailing) : null });
+        }
+    };
+
+    const walk = (node, path) => {
+        if (!isVector(node)) {
+            return;
+        }
+        childrenOf(node).forEach((entry, i) => {
+            const childPath = [...path, node.type === 'dict' ? entry.key.value : i];
+            const trailing = entry.value.type === 'multiline' ? entry.value.openComment : entry.comment;
+            add(childPath, entry.before, trailing);
+            walk(entry.value, childPath);
+        });
+    };
+
+    add([], doc.before, doc.comment);
+    walk(doc.root, []);
+
+    return { value, comments, footer: fromTrivia(doc.after) };
+}
+
+function fromTrivia(trivia) {
+    return trivia.map(node => node.type === 'blank'
+        ? { type: 'blank' }
+        : { type: 'comment', text: commentText(node) });
+}
+
+function commentText(comment) {
+    return comment.text.replace(/^#/, '').trim();
+}
+
+function countComments(comments, footer) {
+    let count = footer.filter(node => node.type === 'comment').length;
+    for (const { before, trailing } of comments.values()) {
+        count += before.filter(node => node.type === 'comment').length + (trailing === null ? 0 : 1);
+    }
+    return count;
+}
@@ -0,0 +1,332 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { fromYAML, toYAML, fromTOML, toTOML, fromJSON, toJSON } from './convert.js';
+import { parse } from './decode.js';
+
+const YAML = `# Service settings
+name: api  # the name
+enabled: yes
+defaults: &defaults
+  retries: 3
+  timeout: 30
+prod:
+  <<: *defaults
+  timeout: 60
+servers:
+- host: a.example.com
+  ports: [80, 443]
+- host: "b.example.com"
+  ports: []
+backup: *defaults
+
+notes: |
+  line one
+  line two
+folded: >-
+  folded
+  text
+`;
+
+test('TestFromYAML', () => {
+    const { text, report } = fromYAML(YAML);
+
+    assert.equal(text, `# Service settings
+name: "api"  # the name
+enabled: "yes"
+defaults::
+  retries: 3
+  timeout: 30
+prod::
+  retries: 3
+  timeout: 60
+servers::
+  - ::
+    host: "a.example.com"
+    ports::
+      - 80
+      - 443
+  - ::
+    host: "b.example.com"
+    ports:: []
+backup::
+  retries: 3
+  timeout: 30
+
+notes: """
+  line one
+  line two
+
+"""
+folded: "folded text"
+`);
+
+    assert.deepEqual(report, [
+        { path: 'enabled', message: "'yes' is a boolean in YAML 1.1; it was kept as a string", line: 3 },
+        { path: 'prod', message: 'the merge key (<<) was expanded into copies of its entries', line: 8 },
+        { path: 'backup', message: 'the alias *defaults was expanded into a copy of its anchor', line: 15 },
+    ]);
+
+    // The value survives the round trip.
+    assert.deepEqual(parse(fromYAML(toYAML(text).text).text), parse(text));
+
+    assert.equal(fromYAML(YAML, { comments: false }).text.startsWith('name: "api"\n'), true);
+});
+
+test('TestFromYAMLScalars', () => {
+    const cases = [
+        ['a: ~', { a: null }],
+        ['a: 0x1F', { a: 31 }],
+        ['a: 0o17', { a: 15 }],
+        ['a: -.inf', { a: -Infinity }],
+        ['a: 1e3', { a: 1000 }],
+        ['a: 12345678901234567890', { a: 12345678901234567890n }],
+        ['a: !!str 123', { a: '123' }],
+        ['a: !!int "7"', { a: 7 }],
+        ['a: "tab\\there \\u00e9"', { a: 'tab\there é' }],
+        ["a: 'it''s'", { a: "it's" }],
+        ['a: "one\n  two"', { a: 'one two' }],
+        ['a: plain\n  continued # c', { a: 'plain continued' }],
+        ['a: |+\n  kept\n\nb: 1', { a: 'kept\n\n', b: 1 }],
+        ['a: >\n  one\n  two\n\n  three\n', { a: 'one two\nthree\n' }],
+        ['a: {b: [1, {c: d}], e: "f"}', { a: { b: [1, { c: 'd' }], e: 'f' } }],
+        ['a: [1,\n  2]  # c', { a: [1, 2] }],
+        ['- - 1\n  - 2\n-\n  k: v', [[1, 2], { k: 'v' }]],
+        ['a:\n- 1\n- 2\nb: 3', { a: [1, 2], b: 3 }],
+        ['--- text\n...', 'text'],
+    ];
+
+    for (const [yaml, expected] of cases) {
+        assert.deepEqual(parse(fromYAML(yaml).text, { bigint: 'auto' }), expected, yaml);
+    }
+});
+
+test('TestFromYAMLReport', () => {
+    const cases = [
+        ['a: !Ref x', 'a', 'the tag !Ref was dropped'],
+        ['1: one', '"1"', 'the integer key 1 was converted to a string'],
+        ['a: 1\n---\nb: 2', '', 'only the first document was converted'],
+        ['a: 2024-01-02', 'a', "'2024-01-02' is a timestamp in YAML 1.1; it was kept as a string"],
+        ['a: 2001-12-14 21:59:43.10 -5', 'a', "'2001-12-14 21:59:43.10 -5' is a timestamp in YAML 1.1; it was kept as a string"],
+        ['a: 1:30', 'a', "'1:30' is a number in YAML 1.1; it was kept as a string"],
+        ['a: 0b101', 'a', "'0b101' is a number in YAML 1.1; it was kept as a string"],
+        ['a: 1_000', 'a', "'1_000' is a number in YAML 1.1; it was kept as a string"],
+        ['a: 012', 'a', "'012' is the octal number 10 in YAML 1.1; it was read as 12"],
+        ['a: -0_17', 'a', "'-0_17' is a number in YAML 1.1; it was kept as a string"],
+        ['a: 09', 'a', "'09' is a string in YAML 1.1; it was read as 9"],
+    ];
+
+    for (const [yaml, path, message] of cases) {
+        assert.deepEqual(fromYAML(yaml).report.map(e => [e.path, e.message]), [[path, message]], yaml);
+    }
+});
+
+test('TestToYAML', () => {
+    const huml = `# Settings
+name: "api"  # the name
+flags:: "yes", "1.0", "a: b", "", "2024-01-02", "1:30", "0b101", "1_000", "2024-01"
+servers::
+  # primary
+  - ::
+    host: "a"
+    tags:: []
+  - ::
+    host: "b"
+notes: """
+  two
+  lines
+"""
+nan: nan
+big: 12345678901234567890
+`;
+
+    const { text, report } = toYAML(huml);
+    assert.equal(text, `# Settings
+name: api  # the name
+flags:
+  - "yes"
+  - "1.0"
+  - "a: b"
+  - ""
+  - "2024-01-02"
+  - "1:30"
+  - "0b101"
+  - "1_000"
+  - 2024-01
+servers:
+  # primary
+  - host: a
+    tags: []
+  - host: b
+notes: |-
+  two
+  lines
+nan: .nan
+big: 12345678901234567890
+`);
+    assert.deepEqual(report, []);
+
+    assert.deepEqual(parse(fromYAML(text).text, { bigint: 'auto' }), parse(huml, { bigint: 'auto' }));
+});
+
+const TOML = `# Build settings
+title = "example"  # trailing
+
+[owner]
+name = "Tom"
+dob = 1979-05-27T07:32:00-08:00
+
+[database]
+ports = [ 8000, 8001 ]
+limits = { cpu = 1.5, memory = "2G" }
+max = 0xFF
+text = """
+Roses are red
+Violets are \\
+  blue"""
+
+# Products
+[[products]]
+name = "Hammer"
+
+[[products]]
+name = "Nail"
+size.width = 2
+`;
+
+test('TestFromTOML', () => {
+    const { text, report } = fromTOML(TOML);
+
+    assert.equal(text, `# Build settings
+title: "example"  # trailing
+
+owner::
+  name: "Tom"
+  dob: "1979-05-27T07:32:00-08:00"
+
+database::
+  ports::
+    - 8000
+    - 8001
+  limits::
+    cpu: 1.5
+    memory: "2G"
+  max: 255
+  text: """
+    Roses are red
+    Violets are blue
+  """
+
+# Products
+products::
+  - ::
+    name: "Hammer"
+
+  - ::
+    name: "Nail"
+    size::
+      width: 2
+`);
+
+    assert.deepEqual(report, [
+        { path: 'owner.dob', message: 'the offset datetime 1979-05-27T07:32:00-08:00 was converted to a string', line: 6 },
+    ]);
+});
+
+test('TestToTOML', () => {
+    const huml = `# Settings
+title: "example"  # trailing
+skip: null
+ports:: 80, 443
+huge: 99999999999999999999
+database::
+  host: "db"
+  # pool size
+  pool: 5
+servers::
+  - ::
+    host: "a"
+  - ::
+    host: "b"
+`;
+
+    const { text, report } = toTOML(huml);
+    assert.equal(text, `# Settings
+title = "example"  # trailing
+ports = [80, 443]
+huge = "99999999999999999999"
+
+[database]
+host = "db"
+# pool size
+pool = 5
+
+[[servers]]
+host = "a"
+
+[[servers]]
+host = "b"
+`);
+
+    assert.deepEqual(report, [
+        { path: 'skip', message: 'null was dropped, as TOML has no null' },
+        { path: 'huge', message: "the integer 99999999999999999999 is out of TOML's 64-bit range; it was written as a string" },
+    ]);
+
+    assert.deepEqual(toTOML('- 1\n- 2\n'), {
+        text: 'value = [1, 2]\n',
+        report: [{ path: '', message: "the root isn't a dict; it was written as the key 'value'" }],
+    });
+
+    // TOML round trip.
+    assert.deepEqual(parse(fromTOML(TOML).text), parse(fromTOML(toTOML(fromTOML(TOML).text).text).text));
+});
+
+test('TestJSON', () => {
+    const json = '{"id": 12345678901234567890, "ratio": 0.1, "exact": 1.00000000000000000001, "id": 1, "tags": ["a"], "none": {}}';
+    const { text, report } = fromJSON(json);
+
+    assert.equal(text, `id: 1
+ratio: 0.1
+exact: 1
+tags::
+  - "a"
+none:: {}
+`);
+    assert.deepEqual(report, [
+        { path: 'exact', message: "the number 1.00000000000000000001 can't be represented exactly; it was rounded to 1", line: 1 },
+        { path: 'id', message: "duplicate key 'id'; the last value was kept", line: 1 },
+    ]);
+
+    assert.equal(fromJSON('[12345678901234567890]').text, '- 12345678901234567890\n');
+
+    const out = toJSON('# note\nbig: 12345678901234567890\nx: nan  # why\nlist:: 1, 2\nempty:: {}\n');
+    assert.equal(out.text, '{\n  "big": 12345678901234567890,\n  "x": null,\n  "list": [\n    1,\n    2\n  ],\n  "empty": {}\n}\n');
+    assert.deepEqual(out.report, [
+        { path: 'x', message: "NaN isn't valid JSON; it was written as null" },
+        { path: '', message: '2 comments were dropped, as JSON has no comments' },
+    ]);
+
+    assert.deepEqual(toJSON('a:: 1, 2', { indent: 0 }), { text: '{"a":[1,2]}\n', report: [] });
+});
+
+test('TestConvertErrors', () => {
+    const cases = [
+        [fromYAML, 'a: 1\n  b: 2', 'INVALID_YAML', 2],
+        [fromYAML, 'a: *missing', 'INVALID_YAML', 1],
+        [fromYAML, 'a: 1\na: 2', 'INVALID_YAML', 2],
+        [fromYAML, 'a: "open', 'INVALID_YAML', 1],
+        [fromTOML, 'a = 1\na = 2', 'INVALID_TOML', 2],
+        [fromTOML, '[a]\n[a]', 'INVALID_TOML', 2],
+        [fromTOML, 'a = "x" b', 'INVALID_TOML', 1],
+        [fromTOML, 'a = 9223372036854775808', 'INVALID_TOML', 1],
+        [fromJSON, '{"a": 1,}', 'INVALID_JSON', 1],
+        [fromJSON, '[1]\n[2]', 'INVALID_JSON', 2],
+        [toJSON, 'a: 1\na: 2', 'DUPLICATE_KEY', 2],
+    ];
+
+    for (const [convert, text, code, line] of cases) {
+        assert.throws(() => convert(text), { name: 'HUMLError', code, line }, text);
+    }
+
+    assert.throws(() => fromJSON(null), TypeError);
+});
@@ -0,0 +1,129 @@
+/** Stable, machine-readable HUMLError codes. */
+export type HUMLErrorCode =
+    | 'ERROR'
+    | 'EMPTY_DOCUMENT'
+    | 'UNSUPPORTED_VERSION'
+    | 'BAD_ROOT'
+    | 'BAD_INDENT'
+    | 'TRAILING_SPACE'
+    | 'BAD_SPACING'
+    | 'BAD_COMMENT'
+    | 'UNEXPECTED_CONTENT'
+    | 'UNEXPECTED_EOF'
+    | 'INVALID_KEY'
+    | 'DUPLICATE_KEY'
+    | 'EXPECTED_INDICATOR'
+    | 'EXPECTED_COMMA'
+    | 'AMBIGUOUS_VECTOR'
+    | 'INVALID_VALUE'
+    | 'INVALID_NUMBER'
+    | 'INVALID_STRING'
+    | 'INVALID_ESCAPE'
+    | 'UNCLOSED_STRING'
+    | 'INTERNAL'
+    | 'INVALID_PATH'
+    | 'SCHEMA'
+    | 'INCLUDE'
+    | 'INTERPOLATION'
+    | 'INVALID_YAML'
+    | 'INVALID_TOML'
+    | 'INVALID_JSON';
+
+export interface HUMLErrorOptions {
+    code?: HUMLErrorCode;
+    line?: number;
+    column?: number;
+    offset?: number;
+    snippet?: string;
+}
+
+/** Raised for every problem found in a HUML document. */
+export class HUMLError extends Error {
+    constructor(message: string, options?: HUMLErrorOptions);
+
+    name: 'HUMLError';
+    code: HUMLErrorCode;
+    /** The message without the `line N: ` prefix. */
+    reason: string;
+    /** 1-based line of the error, if it points into the source. */
+    line?: number;
+    /** 1-based column of the error, if it points into the source. */
+    column?: number;
+    /** 0-based offset into the source string. */
+    offset?: number;
+    /** The offending source line. */
+    snippet?: string;
+    /** JSON pointer to the offending value for SCHEMA errors, its key path for INTERPOLATION errors. */
+    path?: string;
+    /** The index of the invalid layer, for merge() errors. */
+    layer?: number;
+    /** The file the error was found in, for load() errors. */
+    file?: string;
+    /** The includes that led to the file, outermost first, for load() errors. */
+    chain?: { file: string; line?: number; column?: number }[];
+}
+
+/** A list index or dict key. */
+export type PathSegment = string | number;
+
+export interface ReviverContext {
+    /** The raw text of scalar values. */
+    source?: string;
+}
+
+/**
+ * Called like JSON.parse's reviver for every value, bottom-up, with the
+ * holding dict or list as `this`. Returning undefined drops dict entries.
+ */
+export type Reviver = (this: any, key: string, value: any, path: PathSegment[], context: ReviverContext) => any;
+
+export interface ParseOptions {
+    /** Collect every error and return { value, errors } instead of throwing. */
+    recover?: boolean;
+    /** Which integers are decoded as BigInt. Defaults to 'never'. */
+    bigint?: 'never' | 'auto' | 'always';
+    reviver?: Reviver;
+    /** Decode dicts as plain objects (the default) or Maps. */
+    dicts?: 'object' | 'map';
+}
+
+export interface RecoverResult<T = unknown> {
+    /** The best-effort result. */
+    value: T | undefined;
+    errors: HUMLError[];
+}
+
+/**
+ * Parses HUML text. The result is unknown unless a type is given, which is
+ * not checked; use defineSchema() to validate the value at runtime.
+ */
+export function parse<T = unknown>(data: string, options: ParseOptions & { recover: true }): RecoverResult<T>;
+export function parse<T = unknown>(data: string, options?: ParseOptions): T;
+
+export const TYPES: Readonly<{
+    INLINE_DICT: 1;
+    MULTILINE_DICT: 2;
+    EMPTY_LIST: 3;
+    EMPTY_DICT: 4;
+    MULTILINE_LIST: 5;
+    INLINE_LIST: 6;
+    SCALAR: 7;
+}>;
+
+/** The parser behind parse(). */
+export class Parser {
+    constructor(data: string, options?: ParseOptions);
+
+    data: string;
+    pos: number;
+    line: number;
+    errors: HUMLError[];
+
+    parse(): unknown;
+}
+
+declare const _default: {
+    parse: typeof parse;
+    HUMLError: typeof HUMLError;
+};
+export default _default;
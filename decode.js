@@ -17,7 +17,7 @@
  * - Numbers, booleans, null are unquoted: 123, true, null
  */
 
-const TYPES = Object.freeze({
+export const TYPES = Object.freeze({
     INLINE_DICT: 1,
     MULTILINE_DICT: 2,
     EMPTY_LIST: 3,
@@ -27,13 +27,13 @@ const TYPES = Object.freeze({
     SCALAR: 7
 });
 
-// Unquoted values: booleans, null, special numbers.
+// Unquoted values: booleans, null, special numbers, with their token types.
 const SPECIAL_VALUES = [
-    ['true', true],
-    ['false', false],
-    ['null', null],
-    ['nan', NaN],
-    ['inf', Infinity]
+    ['true', true, 'boolean'],
+    ['false', false, 'boolean'],
+    ['null', null, 'null'],
+    ['nan', NaN, 'specialFloat'],
+    ['inf', Infinity, 'specialFloat']
 ];
 
 const ESCAPE_MAP = {
@@ -53,69 +53,101 @@ const NUMBER_BASE_PREFIXES = [
     ['0b', 2]
 ];
 
-class ParseError extends Error {
-    constructor(message, line) {
-        super(`line ${line}: ${message}`);
+const BASE_DIGITS = {
+    16: c => isHex(c),
+    8: c => c >= '0' && c <= '7',
+    2: c => c === '0' || c === '1'
+};
+
+// When integers are decoded as BigInt: never, only outside the safe integer
+// range (auto), or always.
+const BIGINT_MODES = ['never', 'auto', 'always'];
+
+// Whether dicts are decoded as plain objects or as Maps.
+const DICT_MODES = ['object', 'map'];
+
+// HUMLError is raised for every problem found in a HUML document. Errors that
+// point into the source carry a stable machine-readable `code`, the 1-based
+// `line` and `column`, the 0-based `offset` into the source string and the
+// offending source line as `snippet`. `reason` is the message without the position prefix.
+//
+// Codes: EMPTY_DOCUMENT, UNSUPPORTED_VERSION, BAD_ROOT, BAD_INDENT,
+// TRAILING_SPACE, BAD_SPACING, BAD_COMMENT, UNEXPECTED_CONTENT, UNEXPECTED_EOF,
+// INVALID_KEY, DUPLICATE_KEY, EXPECTED_INDICATOR, EXPECTED_COMMA,
+// AMBIGUOUS_VECTOR, INVALID_VALUE, INVALID_NUMBER, INVALID_STRING,
+// INVALID_ESCAPE, UNCLOSED_STRING, INTERNAL. Paths raise INVALID_PATH,
+// schema violations found by validate() are reported as SCHEMA, bad includes
+// found by load() as INCLUDE and bad placeholders found by interpolate() as
+// INTERPOLATION. The converters raise INVALID_YAML, INVALID_TOML and
+// INVALID_JSON for invalid input.
+export class HUMLError extends Error {
+    constructor(message, { code = 'ERROR', line, column, offset, snippet } = {}) {
+        super(line === undefined ? message : `line ${line}: ${message}`);
         this.name = 'HUMLError';
+        this.code = code;
+        this.reason = message;
         this.line = line;
+        this.column = column;
+        this.offset = offset;
+        this.snippet = snippet;
     }
 }
 
-class Parser {
-    constructor(data) {
+export class Parser {
+    constructor(data, options = {}) {
         this.data = data;
         this.pos = 0;
         this.line = 1;
+
+        // In recover mode, errors inside multiline dicts and lists are
+        // collected here and parsing resumes at the next sibling line.
+        this.recover = Boolean(options.recover);
+        this.errors = [];
+
+        // Keys and indices leading to the value being parsed, for the reviver.
+        this.reviver = options.reviver;
+        this.path = [];
+        if (this.reviver !== undefined && typeof this.reviver !== 'function') {
+            throw new TypeError('reviver must be a function');
+        }
+
+        this.dicts = options.dicts || 'object';
+        if (!DICT_MODES.includes(this.dicts)) {
+            throw new TypeError(`invalid dicts option '${this.dicts}', expected one of ${DICT_MODES.join(', ')}`);
+        }
+
+        this.bigint = options.bigint || 'never';
+        if (!BIGINT_MODES.includes(this.bigint)) {
+            throw new TypeError(`invalid bigint option '${this.bigint}', expected one of ${BIGINT_MODES.join(', ')}`);
+        }
     }
 
     // Main parse entry point - handles version declaration and determines root type.
     parse() {
         if (this.data.length === 0) {
-            throw new Error('empty document is undefined');
+            throw this.error('EMPTY_DOCUMENT', 'empty document is undefined');
         }
 
-        // Check for optional version declaration.
-        if (this.peekString('%HUML')) {
-            this.advance(5);
-
-            if (!this.done() && this.data[this.pos] === ' ') {
-                this.advance(1);
-
-                // Parse version string.
-                const start = this.pos;
-                while (!this.done() && ![' ', '\n', '#'].includes(this.data[this.pos])) {
-                    this.pos++;
-                }
-
-                if (this.pos > start) {
-                    const version = this.data.substring(start, this.pos);
-                    if (version !== 'v0.2.0') {
-                        throw this.error(`unsupported version '${version}'. expected 'v0.2.0'`);
-                    }
-                }
-            }
-
-            this.consumeLine();
-        }
+        this.parseVersion();
 
         // Skip initial blank lines/comments.
         this.skipBlankLines();
 
         if (this.done()) {
-            throw this.error('empty doc is undefined');
+            throw this.error('EMPTY_DOCUMENT', 'empty doc is undefined');
         }
 
         // Root must not be indented.
         if (this.getCurIndent() !== 0) {
-            throw this.error('root element must not be indented');
+            throw this.error('BAD_INDENT', 'root element must not be indented');
         }
 
         // Check for forbidden root indicators.
         if (this.peekString('::')) {
-            throw this.error("'::' indicator not allowed at document root");
+            throw this.error('BAD_ROOT', "'::' indicator not allowed at document root");
         }
         if (this.peekString(':') && !this.hasKeyValuePair()) {
-            throw this.error("':' indicator not allowed at document root");
+            throw this.error('BAD_ROOT', "':' indicator not allowed at document root");
         }
 
         // Determine and parse root type.
@@ -135,26 +167,63 @@ class Parser {
             [TYPES.EMPTY_DICT]: () => {
                 this.advance(2);
                 this.consumeLine();
-                return this.assertRootEnd({}, 'root dict');
+                return this.assertRootEnd(this.newDict(), 'root dict');
             },
-            [TYPES.MULTILINE_LIST]: () => this.parseMultilineList(0),
+            [TYPES.MULTILINE_LIST]: () => this.assertRootEnd(
+                this.parseMultilineList(0),
+                'root list'
+            ),
             [TYPES.INLINE_LIST]: () => this.assertRootEnd(
                 this.parseInlineVectorContents(TYPES.INLINE_LIST),
                 'root inline list'
             ),
             [TYPES.SCALAR]: () => {
+                const isMultiline = this.peekString('"""');
+                const start = this.pos;
                 const val = this.parseValue(0);
-                this.consumeLine();
+                source = this.data.substring(start, this.pos);
+                if (!isMultiline) {
+                    this.consumeLine();
+                }
                 return this.assertRootEnd(val, 'root scalar value');
             }
         };
 
         const handler = typeHandlers[rootType];
         if (!handler) {
-            throw this.error('internal error: unknown document type');
+            throw this.error('INTERNAL', 'internal error: unknown document type');
         }
 
-        return handler();
+        let source;
+        const val = handler();
+
+        return this.reviver ? this.revive({ '': val }, '', val, source, []) : val;
+    }
+
+    // Parses the optional version declaration.
+    parseVersion() {
+        if (this.peekString('%HUML')) {
+            this.advance(5);
+
+            if (!this.done() && this.data[this.pos] === ' ') {
+                this.advance(1);
+
+                // Parse version string.
+                const start = this.pos;
+                while (!this.done() && ![' ', '\n', '#'].includes(this.data[this.pos])) {
+                    this.pos++;
+                }
+
+                if (this.pos > start) {
+                    const version = this.data.substring(start, this.pos);
+                    if (version !== 'v0.2.0') {
+                        throw this.error('UNSUPPORTED_VERSION', `unsupported version '${version}'. expected 'v0.2.0'`);
+                    }
+                }
+            }
+
+            this.consumeLine();
+        }
     }
 
     // Determines the type of the root element by analyzing the current position.
@@ -181,110 +250,240 @@ class Parser {
     assertRootEnd(val, description) {
         this.skipBlankLines();
         if (!this.done()) {
-            throw this.error(`unexpected content after ${description}`);
+            const err = this.error('UNEXPECTED_CONTENT', `unexpected content after ${description}`);
+            if (!this.recover) {
+                throw err;
+            }
+            this.errors.push(err);
         }
         return val;
     }
 
     // Parses a multiline dictionary with strict indentation.
     parseMultilineDict(indent) {
-        const out = {};
+        const out = this.newDict();
+        const keys = new Set();
 
-        while (true) {
-            this.skipBlankLines();
-            if (this.done()) break;
+        while (this.attempt(indent, () => this.parseDictEntry(out, keys, indent))) {
+            // Entries are added by parseDictEntry().
+        }
 
-            const curIndent = this.getCurIndent();
-            if (curIndent < indent) break; // De-indented, dict ends.
+        return out;
+    }
 
-            if (curIndent !== indent) {
-                throw this.error(`bad indent ${curIndent}, expected ${indent}`);
-            }
+    // Parses the next key-value pair of a multiline dict into out. keys holds
+    // the keys seen so far. Returns false when the dict has ended.
+    parseDictEntry(out, keys, indent) {
+        this.skipBlankLines();
+        if (this.done()) return false;
 
-            if (!this.isKeyStart()) {
-                throw this.error(`invalid character '${this.data[this.pos]}', expected key`);
-            }
+        const curIndent = this.getCurIndent();
+        if (curIndent < indent) return false; // De-indented, dict ends.
 
-            const key = this.parseKey();
+        if (curIndent !== indent) {
+            throw this.error('BAD_INDENT', `bad indent ${curIndent}, expected ${indent}`);
+        }
 
-            if (key in out) {
-                throw this.error(`duplicate key '${key}' in dict`);
-            }
+        if (!this.isKeyStart()) {
+            throw this.error('INVALID_KEY', `invalid character '${this.data[this.pos]}', expected key`);
+        }
 
-            const indicator = this.parseIndicator();
+        const keyPos = this.pos;
+        const key = this.parseKey();
 
-            let val;
-            if (indicator === ':') {
-                // Scalar value on same line.
-                this.assertSpace("after ':'");
+        if (keys.has(key)) {
+            throw this.error('DUPLICATE_KEY', `duplicate key '${key}' in dict`, keyPos);
+        }
+        keys.add(key);
 
-                // Check if multiline string before parsing (they consume their own newlines).
-                const isMultiline = this.peekString('"""');
+        const indicator = this.parseIndicator();
+        this.path.push(key);
 
-                val = this.parseValue(curIndent);
+        let val, source;
+        if (indicator === ':') {
+            // Scalar value on same line.
+            this.assertSpace("after ':'");
 
-                if (!isMultiline) {
-                    this.consumeLine();
-                }
-            } else {
-                // Vector value starts on next line or inline.
-                val = this.parseVector(curIndent + 2);
-            }
+            // Check if multiline string before parsing (they consume their own newlines).
+            const isMultiline = this.peekString('"""');
 
-            out[key] = val;
+            const start = this.pos;
+            val = this.parseValue(curIndent);
+            source = this.reviver && this.data.substring(start, this.pos);
+
+            if (!isMultiline) {
+                this.consumeLine();
+            }
+        } else {
+            // Vector value starts on next line or inline.
+            val = this.parseVector(curIndent + 2);
         }
 
-        return out;
+        this.path.pop();
+        this.setEntry(out, key, val, source);
+        return true;
     }
 
     // Parses a multiline list with list item indicators (-).
     parseMultilineList(indent) {
         const out = [];
 
-        while (true) {
-            this.skipBlankLines();
-            if (this.done()) break;
+        while (this.attempt(indent, () => this.parseListItem(out, indent))) {
+            // Items are added by parseListItem().
+        }
 
-            const curIndent = this.getCurIndent();
-            if (curIndent < indent) break;
+        return out;
+    }
 
-            if (curIndent !== indent) {
-                throw this.error(`bad indent ${curIndent}, expected ${indent}`);
-            }
+    // Parses the next item of a multiline list into out. Returns false when the
+    // list has ended.
+    parseListItem(out, indent) {
+        this.skipBlankLines();
+        if (this.done()) return false;
 
-            if (this.data[this.pos] !== '-') break;
+        const curIndent = this.getCurIndent();
+        if (curIndent < indent) return false;
 
-            this.advance(1);
-            this.assertSpace("after '-'");
+        if (curIndent !== indent) {
+            throw this.error('BAD_INDENT', `bad indent ${curIndent}, expected ${indent}`);
+        }
 
-            let val;
-            if (this.peekString('::')) {
-                // Nested vector.
-                this.advance(2);
-                val = this.parseVector(curIndent + 2);
-            } else {
-                // Scalar value.
-                val = this.parseValue(curIndent);
+        if (this.data[this.pos] !== '-') return false;
+
+        this.advance(1);
+        this.assertSpace("after '-'");
+        this.path.push(out.length);
+
+        let val, source;
+        if (this.peekString('::')) {
+            // Nested vector.
+            this.advance(2);
+            val = this.parseVector(curIndent + 2);
+        } else {
+            // Scalar value. Multiline strings consume their own lines.
+            const isMultiline = this.peekString('"""');
+            const start = this.pos;
+            val = this.parseValue(curIndent);
+            source = this.reviver && this.data.substring(start, this.pos);
+            if (!isMultiline) {
                 this.consumeLine();
             }
+        }
+
+        this.path.pop();
+        this.setEntry(out, out.length, val, source);
+        return true;
+    }
 
-            out.push(val);
+    // Stores a parsed dict entry or list item in out, passing it through the
+    // reviver first. source is the raw text of scalar values.
+    setEntry(out, key, val, source) {
+        this.store(out, key, val);
+
+        if (this.reviver) {
+            val = this.revive(out, key, val, source, [...this.path, key]);
+            if (val !== undefined || Array.isArray(out)) {
+                this.store(out, key, val);
+            } else if (out instanceof Map) {
+                out.delete(key);
+            } else {
+                delete out[key];
+            }
         }
+    }
 
-        return out;
+    // Returns an empty dict as per the dicts option.
+    newDict() {
+        return this.dicts === 'map' ? new Map() : {};
+    }
+
+    store(out, key, val) {
+        if (out instanceof Map) {
+            out.set(key, val);
+        } else if (key === '__proto__') {
+            // Keep it as a regular key instead of changing the prototype.
+            Object.defineProperty(out, key, { value: val, writable: true, enumerable: true, configurable: true });
+        } else {
+            out[key] = val;
+        }
+    }
+
+    // Calls the reviver like JSON.parse does, with the holder as this, plus the
+    // full path to the value and, for scalars, the raw source text.
+    revive(holder, key, val, source, path) {
+        const context = source === undefined ? {} : { source };
+
+        return this.reviver.call(holder, String(key), val, path, context);
+    }
+
+    // Runs one step of a multiline dict or list. In recover mode, an error is
+    // recorded and parsing resynchronises at the next line indented at or
+    // below indent instead of aborting.
+    attempt(indent, step) {
+        if (!this.recover) {
+            return step();
+        }
+
+        const startPos = this.pos;
+        const depth = this.path.length;
+        try {
+            return step();
+        } catch (err) {
+            if (!(err instanceof HUMLError)) {
+                throw err;
+            }
+
+            this.errors.push(err);
+            this.path.length = depth;
+            this.resync(indent, startPos);
+            return !this.done();
+        }
+    }
+
+    // Skips the rest of the failed line and every following line that is
+    // blank, a comment or nested deeper than indent.
+    resync(indent, startPos) {
+        const atLineStart = this.pos > startPos && this.lineStart() === this.pos;
+        if (!atLineStart) {
+            this.skipLine();
+        }
+
+        while (!this.done()) {
+            const curIndent = this.getCurIndent();
+            const c = this.peekChar(this.lineStart() + curIndent);
+
+            if (curIndent <= indent && c !== '\n' && c !== '#' && c !== '\0') {
+                break;
+            }
+            this.skipLine();
+        }
+    }
+
+    // Moves to the start of the next line without any validation.
+    skipLine() {
+        const nextNewline = this.data.indexOf('\n', this.pos);
+        if (nextNewline === -1) {
+            this.pos = this.data.length;
+            return;
+        }
+
+        this.pos = nextNewline + 1;
+        this.line++;
     }
 
     // Determines if a multiline vector is a list or dict by peeking at next line.
     getMultilineVectorType(indent) {
+        const startPos = this.pos;
+        const startLine = this.line;
         this.skipBlankLines();
 
-        if (this.done()) {
-            throw this.error("ambiguous empty vector after '::'. Use [] or {}.");
-        }
-
-        const curIndent = this.getCurIndent();
-        if (curIndent < indent) {
-            throw this.error("ambiguous empty vector after '::'. Use [] or {}.");
+        if (this.done() || this.getCurIndent() < indent) {
+            // Report at the end of the '::' line and leave the following
+            // content for the parent to parse.
+            const err = this.error('AMBIGUOUS_VECTOR', "ambiguous empty vector after '::'. Use [] or {}.", startPos - 1);
+            this.pos = startPos;
+            this.line = startLine;
+            throw err;
         }
 
         return this.data[this.pos] === '-' ? 'list' : 'dict';
@@ -327,7 +526,7 @@ class Parser {
         if (this.peekString('{}')) {
             this.advance(2);
             this.consumeLine();
-            return {};
+            return this.newDict();
         }
 
         // Determine if dict or list by looking for key: pattern.
@@ -338,7 +537,8 @@ class Parser {
 
     // Unified parser for inline lists and dicts.
     parseInlineVectorContents(type) {
-        const result = type === TYPES.INLINE_DICT ? {} : [];
+        const result = type === TYPES.INLINE_DICT ? this.newDict() : [];
+        const keys = new Set();
         let isFirst = true;
 
         while (!this.done() && this.data[this.pos] !== '\n' && this.data[this.pos] !== '#') {
@@ -348,21 +548,28 @@ class Parser {
             isFirst = false;
 
             if (type === TYPES.INLINE_DICT) {
+                const keyPos = this.pos;
                 const key = this.parseKey();
 
                 if (this.done() || this.data[this.pos] !== ':') {
-                    throw this.error("expected ':' in inline dict");
+                    throw this.error('EXPECTED_INDICATOR', "expected ':' in inline dict");
                 }
 
                 this.advance(1);
                 this.assertSpace('in inline dict');
 
-                if (key in result) {
-                    throw this.error(`duplicate key '${key}' in dict`);
+                if (keys.has(key)) {
+                    throw this.error('DUPLICATE_KEY', `duplicate key '${key}' in dict`, keyPos);
                 }
-                result[key] = this.parseValue(0);
+                keys.add(key);
+
+                const start = this.pos;
+                const val = this.parseValue(0);
+                this.setEntry(result, key, val, this.reviver && this.data.substring(start, this.pos));
             } else {
-                result.push(this.parseValue(0));
+                const start = this.pos;
+                const val = this.parseValue(0);
+                this.setEntry(result, result.length, val, this.reviver && this.data.substring(start, this.pos));
             }
 
             // Only skip spaces if comma might follow.
@@ -386,30 +593,13 @@ class Parser {
     // Parses a key - either bare identifier or quoted string.
     parseKey() {
         this.skipSpaces();
-
-        if (this.peekChar(this.pos) === '"') {
-            return this.parseString();
-        } else if (!this.isKeyStart()) {
-            throw this.error(`invalid character '${this.data[this.pos]}', expected key`);
-        }
-
-        const start = this.pos;
-        while (!this.done() && (this.isAlphaNum(this.data[this.pos]) ||
-            this.data[this.pos] === '-' || this.data[this.pos] === '_')) {
-            this.pos++;
-        }
-
-        if (this.pos === start) {
-            throw this.error('expected a key');
-        }
-
-        return this.data.substring(start, this.pos);
+        return this.scan(scanKey).value;
     }
 
     // Parses : or :: indicator after a key.
     parseIndicator() {
         if (this.done() || this.data[this.pos] !== ':') {
-            throw this.error("expected ':' or '::' after key");
+            throw this.error('EXPECTED_INDICATOR', "expected ':' or '::' after key");
         }
 
         this.advance(1);
@@ -424,220 +614,54 @@ class Parser {
 
     // Parses any scalar value - strings (always quoted), numbers, booleans, null, special floats.
     parseValue(keyIndent) {
-        if (this.done()) {
-            throw this.error('unexpected end of input, expected a value');
-        }
-
-        const c = this.data[this.pos];
-
-        // Strings MUST be quoted.
-        if (c === '"') {
-            return this.peekString('"""')
-                ? this.parseMultilineString(keyIndent)
-                : this.parseString();
-        }
-
-        for (const [str, value] of SPECIAL_VALUES) {
-            if (this.peekString(str)) {
-                this.advance(str.length);
-                return value;
-            }
+        if (this.peekString('"""')) {
+            return this.parseMultilineString(keyIndent);
         }
 
-        if (c === '+') {
-            this.advance(1);
-            if (this.peekString('inf')) {
-                this.advance(3);
-                return Infinity;
-            }
-            if (this.isDigit(this.peekChar(this.pos))) {
-                this.pos--;
-                return this.parseNumber();
-            }
-            throw this.error("invalid character after '+'");
-        }
-
-        if (c === '-') {
-            this.advance(1);
-            if (this.peekString('inf')) {
-                this.advance(3);
-                return -Infinity;
-            }
-            if (this.isDigit(this.peekChar(this.pos))) {
-                this.pos--;
-                return this.parseNumber();
-            }
-            throw this.error("invalid character after '-'");
-        }
-
-        if (this.isDigit(c)) {
-            return this.parseNumber();
-        }
-
-        throw this.error(`unexpected character '${c}' when parsing value`);
+        return this.scan(scanScalar, this.bigint).value;
     }
 
     // Parses quoted strings with escape sequences.
     parseString() {
-        this.advance(1); // Skip opening quote.
-
-        let result = '';
-
-        while (!this.done()) {
-            const c = this.data[this.pos];
-
-            if (c === '"') {
-                this.advance(1);
-                return result;
-            }
-
-            if (c === '\n') {
-                throw this.error('newlines not allowed in single-line strings');
-            }
-
-            if (c === '\\') {
-                this.advance(1);
-                if (this.done()) {
-                    throw this.error('incomplete escape sequence');
-                }
-
-                const esc = this.data[this.pos];
-
-                if (ESCAPE_MAP.hasOwnProperty(esc)) {
-                    result += ESCAPE_MAP[esc];
-                } else {
-                    throw this.error(`invalid escape character '\\${esc}'`);
-                }
-            } else {
-                result += c;
-            }
-
-            this.advance(1);
-        }
-
-        throw this.error('unclosed string');
+        return this.scan(scanString).value;
     }
 
     // Parses """ (preserves preceding space) multiline strings.
     parseMultilineString(keyIndent) {
-        const delim = this.data.substring(this.pos, this.pos + 3);
         this.advance(3);
-
         this.consumeLine();
 
-        // Strip the required 2-space indent relative to the key.
-        const processLine = (content, lineIndent) => {
-            const reqIndent = keyIndent + 2;
-            if (content.length >= reqIndent && this.isSpaceString(content.substring(0, reqIndent))) {
-                return content.substring(reqIndent);
-            }
-            return content;
-        };
-
-        const lines = [];
-
-        while (!this.done()) {
-            const lineStartPos = this.pos;
-            let lineIndent = 0;
-
-            // Count indentation.
-            while (!this.done() && this.data[this.pos] === ' ') {
-                lineIndent++;
-                this.pos++;
-            }
-
-            // Check for closing delimiter.
-            if (this.peekString(delim)) {
-                if (lineIndent !== keyIndent) {
-                    throw this.error(`multiline closing delimiter must be at same indentation as the key (${keyIndent} spaces)`);
-                }
-
-                this.advance(3);
-                this.consumeLine();
-
-                return lines.join('\n');
-            }
-
-            // Get line content.
-            this.pos = lineStartPos;
-            const lineContent = this.consumeLineContent();
-
-            lines.push(processLine(lineContent, lineIndent));
-        }
+        const { value } = this.scan(scanMultilineBody, keyIndent);
 
-        throw this.error('unclosed multiline string');
+        this.consumeLine();
+        return value;
     }
 
     // Parses numbers in various formats (decimal, hex, octal, binary, float).
     parseNumber() {
-        const start = this.pos;
-
-        // Handle sign.
-        const c = this.peekChar(this.pos);
-        if (c === '+' || c === '-') {
-            this.advance(1);
-        }
-
-        // Check for special bases.
-        for (const [prefix, base] of NUMBER_BASE_PREFIXES) {
-            if (this.peekString(prefix)) {
-                return this.parseBase(start, base, prefix);
-            }
-        }
-
-        // Parse decimal number.
-        let isFloat = false;
-
-        while (!this.done()) {
-            const c = this.data[this.pos];
-
-            if (this.isDigit(c) || c === '_') {
-                this.advance(1);
-            } else if (c === '.') {
-                isFloat = true;
-                this.advance(1);
-            } else if (['e', 'E'].includes(c)) {
-                isFloat = true;
-                this.advance(1);
-                if (['+', '-'].includes(this.peekChar(this.pos))) {
-                    this.advance(1);
-                }
-            } else {
-                break;
-            }
-        }
-
-        // Remove underscores and parse.
-        const numStr = this.data.substring(start, this.pos).replace(/_/g, '');
-
-        return isFloat ? parseFloat(numStr) : parseInt(numStr, 10);
+        return this.scan(scanNumber, this.bigint).value;
     }
 
-    // Parses numbers in non-decimal bases.
-    parseBase(start, base, prefix) {
-        this.advance(prefix.length);
-        const numStart = this.pos;
-
-        const validators = {
-            16: c => this.isHex(c),
-            8: c => c >= '0' && c <= '7',
-            2: c => ['0', '1'].includes(c)
+    // Reads a token at the current position with one of the scanners below,
+    // moves past it and returns it. On errors, moves to the error's position,
+    // where recovery resumes.
+    scan(scanner, ...args) {
+        const fail = (code, message, pos) => {
+            const err = this.error(code, message, pos);
+            this.moveTo(pos);
+            return err;
         };
 
-        const isValid = validators[base];
-
-        while (!this.done() && isValid(this.data[this.pos])) {
-            this.advance(1);
-        }
+        const token = scanner(this.data, this.pos, fail, ...args);
+        this.moveTo(token.range[1]);
+        return token;
+    }
 
-        if (this.pos === numStart) {
-            throw this.error('invalid number literal, requires digits after prefix');
+    // Moves forward to pos, counting lines.
+    moveTo(pos) {
+        for (; this.pos < pos && this.pos < this.data.length; this.pos++) {
+            if (this.data[this.pos] === '\n') this.line++;
         }
-
-        const sign = this.data[start] === '-' ? -1 : 1;
-        const numStr = this.data.substring(numStart, this.pos).replace(/_/g, '');
-
-        return sign * parseInt(numStr, base);
     }
 
     // Skips blank lines and validates no trailing spaces.
@@ -648,7 +672,7 @@ class Parser {
 
             if (this.done()) {
                 if (this.pos > lineStart) {
-                    throw this.error('trailing spaces are not allowed');
+                    throw this.error('TRAILING_SPACE', 'trailing spaces are not allowed');
                 }
                 return;
             }
@@ -658,7 +682,7 @@ class Parser {
             }
 
             if (this.data[this.pos] === '\n' && this.pos > lineStart) {
-                throw this.error('trailing spaces are not allowed');
+                throw this.error('TRAILING_SPACE', 'trailing spaces are not allowed');
             }
 
             this.pos = lineStart;
@@ -673,29 +697,29 @@ class Parser {
 
         if (this.done() || this.data[this.pos] === '\n') {
             if (this.pos > contentStart) {
-                throw this.error('trailing spaces are not allowed');
+                throw this.error('TRAILING_SPACE', 'trailing spaces are not allowed');
             }
         } else if (this.data[this.pos] === '#') {
             if (this.pos === contentStart && this.getCurIndent() !== this.pos - this.lineStart()) {
-                throw this.error('a value must be separated from an inline comment by a space');
+                throw this.error('BAD_COMMENT', 'a value must be separated from an inline comment by a space');
             }
 
             this.pos++;
             if (!this.done() && ![' ', '\n'].includes(this.data[this.pos])) {
-                throw this.error("comment hash '#' must be followed by a space");
+                throw this.error('BAD_COMMENT', "comment hash '#' must be followed by a space");
             }
         } else {
-            throw this.error('unexpected content at end of line');
+            throw this.error('UNEXPECTED_CONTENT', 'unexpected content at end of line');
         }
 
         // Check for trailing spaces in rest of line.
-        const remLine = this.data.slice(this.pos, this.data.indexOf('\n', this.pos));
+        const nextNewline = this.data.indexOf('\n', this.pos);
+        const remLine = this.data.slice(this.pos, nextNewline === -1 ? this.data.length : nextNewline);
         if (remLine.endsWith(' ') && remLine.length > 0) {
-            throw this.error('trailing spaces are not allowed');
+            throw this.error('TRAILING_SPACE', 'trailing spaces are not allowed');
         }
 
         // Move to next line
-        const nextNewline = this.data.indexOf('\n', this.pos);
         if (nextNewline !== -1) {
             this.pos = nextNewline + 1;
             this.line++;
@@ -726,13 +750,13 @@ class Parser {
     // Ensures exactly one space at current position.
     assertSpace(context) {
         if (this.done() || this.data[this.pos] !== ' ') {
-            throw this.error(`expected single space ${context}`);
+            throw this.error('BAD_SPACING', `expected single space ${context}`);
         }
 
         this.advance(1);
 
         if (!this.done() && this.data[this.pos] === ' ') {
-            throw this.error(`expected single space ${context}, found multiple`);
+            throw this.error('BAD_SPACING', `expected single space ${context}, found multiple`);
         }
     }
 
@@ -741,11 +765,11 @@ class Parser {
         this.skipSpaces();
 
         if (this.done() || this.data[this.pos] !== ',') {
-            throw this.error('expected a comma in inline collection');
+            throw this.error('EXPECTED_COMMA', 'expected a comma in inline collection');
         }
 
         if (this.pos > 0 && this.data[this.pos - 1] === ' ') {
-            throw this.error('no spaces allowed before comma');
+            throw this.error('BAD_SPACING', 'no spaces allowed before comma');
         }
 
         this.advance(1);
@@ -791,35 +815,18 @@ class Parser {
     }
 
     hasInlineDict() {
-        let pos = this.pos;
-        while (pos < this.data.length && this.data[pos] !== '\n' && this.data[pos] !== '#') {
-            if (this.data[pos] === ':') {
-                if (pos + 1 >= this.data.length || this.data[pos + 1] !== ':') {
-                    return true;
-                }
-            }
-            pos++;
-        }
-        return false;
+        return /:(?!:)/.test(this.lineSyntax());
     }
 
     hasInlineListAtRoot() {
-        const line = this.data.slice(this.pos, this.data.indexOf('\n', this.pos));
-        const commentIdx = line.indexOf('#');
-        const content = commentIdx >= 0 ? line.slice(0, commentIdx) : line;
+        const content = this.lineSyntax();
 
         return content.includes(',') && !content.includes(':');
     }
 
     hasInlineDictAtRoot() {
         const lineEnd = this.data.indexOf('\n', this.pos);
-        const commentIdx = this.data.indexOf('#', this.pos);
-        const end = Math.min(
-            lineEnd === -1 ? this.data.length : lineEnd,
-            commentIdx === -1 ? this.data.length : commentIdx
-        );
-
-        const line = this.data.slice(this.pos, end);
+        const line = this.lineSyntax();
         const hasColon = line.includes(':') && !line.includes('::');
         const hasComma = line.includes(',');
 
@@ -827,16 +834,48 @@ class Parser {
             return false;
         }
 
-        // Check if there's any content after this line (excluding blank lines and comments)
-        const remContent = this.data.slice(lineEnd === -1 ? this.data.length : lineEnd)
-            .split('\n')
-            .slice(1) // Skip the current line
-            .some(line => {
-                const trimmed = line.trim();
-                return trimmed && !trimmed.startsWith('#');
-            });
+        // Check if there's any content after this line (excluding blank lines
+        // and comments), stopping at the first line that has some.
+        let pos = lineEnd;
+        while (pos !== -1) {
+            const end = this.data.indexOf('\n', pos + 1);
+            const trimmed = this.data.substring(pos + 1, end === -1 ? this.data.length : end).trim();
+
+            if (trimmed && !trimmed.startsWith('#')) {
+                return false;
+            }
+            pos = end;
+        }
 
-        return !remContent;
+        return true;
+    }
+
+    // Returns the rest of the current line without its comment and with the
+    // contents of quoted strings left out, so that the lookaheads above only
+    // see the line's syntax.
+    lineSyntax() {
+        let out = '';
+        let inString = false;
+
+        for (let pos = this.pos; pos < this.data.length && this.data[pos] !== '\n'; pos++) {
+            const c = this.data[pos];
+
+            if (inString) {
+                if (c === '\\') {
+                    pos++;
+                } else if (c === '"') {
+                    inString = false;
+                    out += c;
+                }
+            } else if (c === '#') {
+                break;
+            } else {
+                inString = c === '"';
+                out += c;
+            }
+        }
+
+        return out;
     }
 
     // Utility methods.
@@ -869,39 +908,285 @@ class Parser {
     }
 
     isDigit(c) {
-        return c >= '0' && c <= '9';
+        return isDigit(c);
     }
 
     isAlpha(c) {
-        return (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z');
+        return isAlpha(c);
     }
 
-    isAlphaNum(c) {
-        return this.isAlpha(c) || this.isDigit(c);
+    error(code, message, pos = this.pos) {
+        pos = Math.min(pos, this.data.length);
+        const start = this.data.lastIndexOf('\n', pos - 1) + 1;
+        const end = this.data.indexOf('\n', start);
+
+        // Errors may be reported at an earlier or later position than the
+        // current one.
+        let line = this.line;
+        for (let i = pos; i < this.pos && i < this.data.length; i++) {
+            if (this.data[i] === '\n') line--;
+        }
+        for (let i = this.pos; i < pos; i++) {
+            if (this.data[i] === '\n') line++;
+        }
+
+        return new HUMLError(message, {
+            code,
+            line,
+            column: pos - start + 1,
+            offset: pos,
+            snippet: this.data.substring(start, end === -1 ? this.data.length : end)
+        });
     }
+}
+
+// Scanners for keys and scalars, shared by the Parser and tokenize(). Each
+// reads a token at pos in data and returns { type, value, range }, with types
+// as for tokenize(), or throws fail(code, message, pos) for invalid input.
 
-    isHex(c) {
-        return this.isDigit(c) || (c >= 'a' && c <= 'f') || (c >= 'A' && c <= 'F');
+// Scans a bare or quoted key.
+export function scanKey(data, pos, fail) {
+    if (data[pos] === '"') {
+        return { ...scanString(data, pos, fail), type: 'quotedKey' };
+    }
+    if (!isAlpha(data[pos])) {
+        throw fail('INVALID_KEY', `invalid character '${data[pos]}', expected key`, pos);
     }
 
-    isSpaceString(s) {
-        return s.trim() === '';
+    let end = pos;
+    while (end < data.length && (isAlpha(data[end]) || isDigit(data[end]) || data[end] === '-' || data[end] === '_')) {
+        end++;
     }
 
-    error(message) {
-        return new ParseError(message, this.line);
+    return { type: 'key', value: data.substring(pos, end), range: [pos, end] };
+}
+
+// Scans a single-line scalar: a string, number, boolean, null or special
+// float. Integers are decoded as per the bigint option.
+export function scanScalar(data, pos, fail, bigint = 'never') {
+    if (pos >= data.length) {
+        throw fail('UNEXPECTED_EOF', 'unexpected end of input, expected a value', pos);
     }
+
+    const c = data[pos];
+
+    // Strings MUST be quoted.
+    if (c === '"') {
+        return scanString(data, pos, fail);
+    }
+
+    for (const [str, value, type] of SPECIAL_VALUES) {
+        if (data.startsWith(str, pos)) {
+            return { type, value, range: [pos, pos + str.length] };
+        }
+    }
+
+    if (c === '+' || c === '-') {
+        if (data.startsWith('inf', pos + 1)) {
+            return { type: 'specialFloat', value: c === '-' ? -Infinity : Infinity, range: [pos, pos + 4] };
+        }
+        if (isDigit(data[pos + 1])) {
+            return scanNumber(data, pos, fail, bigint);
+        }
+        throw fail('INVALID_VALUE', `invalid character after '${c}'`, pos + 1);
+    }
+
+    if (isDigit(c)) {
+        return scanNumber(data, pos, fail, bigint);
+    }
+
+    throw fail('INVALID_VALUE', `unexpected character '${c}' when parsing value`, pos);
+}
+
+// Scans a quoted string with escape sequences.
+export function scanString(data, pos, fail) {
+    let value = '';
+
+    for (let end = pos + 1; end < data.length; end++) {
+        const c = data[end];
+
+        if (c === '"') {
+            return { type: 'string', value, range: [pos, end + 1] };
+        }
+
+        if (c === '\n') {
+            throw fail('INVALID_STRING', 'newlines not allowed in single-line strings', end);
+        }
+
+        if (c === '\\') {
+            end++;
+            if (end >= data.length) {
+                throw fail('INVALID_ESCAPE', 'incomplete escape sequence', end);
+            }
+
+            const esc = data[end];
+            if (!Object.hasOwn(ESCAPE_MAP, esc)) {
+                throw fail('INVALID_ESCAPE', `invalid escape character '\\${esc}'`, end);
+            }
+            value += ESCAPE_MAP[esc];
+        } else {
+            value += c;
+        }
+    }
+
+    throw fail('UNCLOSED_STRING', 'unclosed string', data.length);
+}
+
+// Scans a number in decimal (integer or float), hex, octal or binary. The
+// token's base is 10, 16, 8 or 2.
+export function scanNumber(data, pos, fail, bigint = 'never') {
+    let end = pos;
+    if (data[end] === '+' || data[end] === '-') {
+        end++;
+    }
+
+    // Check for special bases.
+    for (const [prefix, base] of NUMBER_BASE_PREFIXES) {
+        if (data.startsWith(prefix, end)) {
+            const digitsStart = end + prefix.length;
+            end = digitsStart;
+            while (end < data.length && BASE_DIGITS[base](data[end])) {
+                end++;
+            }
+
+            if (end === digitsStart) {
+                throw fail('INVALID_NUMBER', 'invalid number literal, requires digits after prefix', end);
+            }
+
+            const sign = data[pos] === '-' ? -1 : 1;
+            const value = toInteger(data.substring(digitsStart, end), base, sign, bigint);
+            return { type: 'number', base, value, range: [pos, end] };
+        }
+    }
+
+    // Parse decimal number.
+    let isFloat = false;
+
+    while (end < data.length) {
+        const c = data[end];
+
+        if (isDigit(c) || c === '_') {
+            end++;
+        } else if (c === '.') {
+            isFloat = true;
+            end++;
+        } else if (c === 'e' || c === 'E') {
+            isFloat = true;
+            end++;
+            if (data[end] === '+' || data[end] === '-') {
+                end++;
+            }
+        } else {
+            break;
+        }
+    }
+
+    // Remove underscores and parse.
+    const numStr = data.substring(pos, end).replace(/_/g, '');
+    const value = isFloat ? parseFloat(numStr) : toInteger(numStr, 10, 1, bigint);
+
+    return { type: 'number', base: 10, value, range: [pos, end] };
+}
+
+// Scans the lines of a multiline string, from the line after its opening
+// delimiter to the end of its closing one. keyIndent is the indent of the
+// key the string belongs to, which the closing delimiter must match; the
+// lines lose the 2 spaces of indent below it.
+export function scanMultilineBody(data, pos, fail, keyIndent) {
+    const lines = [];
+    const reqIndent = keyIndent + 2;
+
+    for (let start = pos; start < data.length;) {
+        let indent = 0;
+        while (data[start + indent] === ' ') {
+            indent++;
+        }
+
+        // Check for closing delimiter.
+        if (data.startsWith('"""', start + indent)) {
+            if (indent !== keyIndent) {
+                throw fail('BAD_INDENT', `multiline closing delimiter must be at same indentation as the key (${keyIndent} spaces)`, start + indent);
+            }
+            return { type: 'multilineString', value: lines.join('\n'), range: [pos, start + indent + 3] };
+        }
+
+        const newline = data.indexOf('\n', start);
+        const end = newline === -1 ? data.length : newline;
+        const content = data.substring(start, end);
+
+        // Strip the required 2-space indent relative to the key.
+        lines.push(content.length >= reqIndent && content.substring(0, reqIndent).trim() === ''
+            ? content.substring(reqIndent)
+            : content);
+
+        start = end + 1;
+    }
+
+    throw fail('UNCLOSED_STRING', 'unclosed multiline string', data.length);
+}
+
+// Converts integer digits to a number or a BigInt as per the bigint option.
+function toInteger(digits, base, sign, bigint) {
+    const num = sign * parseInt(digits, base);
+    if (bigint === 'never' || (bigint === 'auto' && Number.isSafeInteger(num))) {
+        return num;
+    }
+
+    const prefix = NUMBER_BASE_PREFIXES.find(([, b]) => b === base);
+    const big = BigInt(prefix ? prefix[0] + digits : digits);
+
+    return sign < 0 ? -big : big;
+}
+
+function isDigit(c) {
+    return c >= '0' && c <= '9';
+}
+
+function isAlpha(c) {
+    return (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z');
+}
+
+function isHex(c) {
+    return isDigit(c) || (c >= 'a' && c <= 'f') || (c >= 'A' && c <= 'F');
 }
 
 // Main parsing function..
-export function parse(data) {
+//
+// Options:
+// - recover: instead of throwing on the first error, collect every error and
+//   return { value, errors } where value is the best-effort result.
+// - bigint: 'never' (default) decodes all integers as numbers, 'auto' decodes
+//   integers outside the safe integer range as BigInt and 'always' decodes
+//   every integer as BigInt.
+// - reviver: a function (key, value, path, context) called like JSON.parse's
+//   reviver for every value, bottom-up, with the holding dict or list as
+//   `this`. path is the full list of keys and indices to the value and
+//   context.source holds the raw text of scalars. Returning undefined drops
+//   the entry from its dict.
+// - dicts: 'object' (default) decodes dicts as plain objects and 'map' as
+//   Maps, which keep the document's key order for every key.
+export function parse(data, options = {}) {
     if (typeof data !== 'string') {
         throw new TypeError('HUML input must be of type string');
     }
 
-    const parser = new Parser(data);
-    return parser.parse();
+    const parser = new Parser(data, options);
+    if (!parser.recover) {
+        return parser.parse();
+    }
+
+    let value;
+    try {
+        value = parser.parse();
+    } catch (err) {
+        if (!(err instanceof HUMLError)) {
+            throw err;
+        }
+        parser.errors.push(err);
+    }
+
+    return { value, errors: parser.errors };
 }
 
 
-export default { parse };
+export default { parse, HUMLError };
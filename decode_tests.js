@@ -3,7 +3,7 @@ import assert from 'node:assert';
 import { readFileSync, readdirSync, statSync } from 'node:fs';
 import { join } from 'node:path';
 import path from 'node:path';
-import { parse } from './decode.js';
+import { parse, HUMLError } from './decode.js';
 
 test('Assertions', async (t) => {
   const runAssertion = async (name, input, errorExpected) => {
@@ -87,6 +87,165 @@ test('Documents', async (t) => {
 });
 
 
+test('Errors', () => {
+  const cases = [
+    ['', 'EMPTY_DOCUMENT', 1, 1, 0],
+    ['a: 1 ', 'TRAILING_SPACE', 1, 6, 5],
+    ['a: 1\na: 2', 'DUPLICATE_KEY', 2, 1, 5],
+    ['a: 1\n\n  b: 2', 'BAD_INDENT', 3, 3, 8],
+    ['a:: 1,2', 'BAD_SPACING', 1, 7, 6],
+    ['a: "x', 'UNCLOSED_STRING', 1, 6, 5],
+  ];
+
+  for (const [input, code, line, column, offset] of cases) {
+    assert.throws(() => parse(input), (err) => {
+      assert.ok(err instanceof HUMLError);
+      assert.deepEqual(
+        { code: err.code, line: err.line, column: err.column, offset: err.offset },
+        { code, line, column, offset },
+        JSON.stringify(input)
+      );
+      assert.equal(err.snippet, input.split('\n')[line - 1]);
+      return true;
+    });
+  }
+});
+
+
+test('Recover', () => {
+  const input = [
+    'a: 1',
+    'b:: ',
+    '  c: 2',
+    'd:  3',
+    'e::',
+    '  - 1',
+    '  -2',
+    '  - 3',
+    'f: "x"',
+    'f: 2',
+    'g:: 1,2',
+    '  x: 1',
+    'h: true',
+  ].join('\n');
+
+  const { value, errors } = parse(input, { recover: true });
+  assert.deepEqual(value, { a: 1, e: [1, 3], f: 'x', h: true });
+  assert.deepEqual(
+    errors.map(err => [err.code, err.line]),
+    [
+      ['TRAILING_SPACE', 2],
+      ['BAD_SPACING', 4],
+      ['BAD_SPACING', 7],
+      ['DUPLICATE_KEY', 10],
+      ['BAD_SPACING', 11],
+    ]
+  );
+
+  assert.deepEqual(parse('a: 1', { recover: true }), { value: { a: 1 }, errors: [] });
+  assert.throws(() => parse('- 1\nfoo: 2'), { code: 'UNEXPECTED_CONTENT' });
+});
+
+
+test('BigInt', () => {
+  const input = 'a: 9007199254740993\nb: 0xFFFFFFFFFFFFFFFF\nc: -0b101\nd: 1.5';
+
+  assert.deepEqual(parse(input, { bigint: 'auto' }), {
+    a: 9007199254740993n,
+    b: 0xFFFFFFFFFFFFFFFFn,
+    c: -5,
+    d: 1.5,
+  });
+  assert.deepEqual(parse(input, { bigint: 'always' }).c, -5n);
+  assert.equal(typeof parse(input).a, 'number');
+  assert.throws(() => parse(input, { bigint: 'yes' }), TypeError);
+});
+
+
+test('Reviver', () => {
+  const input = [
+    'toString: 1',
+    'when: "2024-01-02T00:00:00Z"',
+    'list::',
+    '  - 0x10',
+    '  - :: 1, 2',
+    '  - ::',
+    '    drop: true',
+  ].join('\n');
+
+  const calls = [];
+  const result = parse(input, {
+    reviver(key, value, path, { source }) {
+      calls.push([key, path, source]);
+      assert.equal(this[key], value);
+
+      if (key === 'drop') {
+        return undefined;
+      }
+      if (key === 'when') {
+        return new Date(value);
+      }
+      return value;
+    },
+  });
+
+  assert.deepEqual(result, {
+    toString: 1,
+    when: new Date('2024-01-02T00:00:00Z'),
+    list: [16, [1, 2], {}],
+  });
+
+  // Values are revived bottom-up, ending with the root.
+  assert.deepEqual(calls, [
+    ['toString', ['toString'], '1'],
+    ['when', ['when'], '"2024-01-02T00:00:00Z"'],
+    ['0', ['list', 0], '0x10'],
+    ['0', ['list', 1, 0], '1'],
+    ['1', ['list', 1, 1], '2'],
+    ['1', ['list', 1], undefined],
+    ['drop', ['list', 2, 'drop'], 'true'],
+    ['2', ['list', 2], undefined],
+    ['list', ['list'], undefined],
+    ['', [], undefined],
+  ]);
+
+  assert.throws(() => parse('a: 1', { reviver: true }), TypeError);
+});
+
+
+test('Dicts', () => {
+  const input = 'b: 1\n"2": 2\n"__proto__":: a: 1\nempty:: {}';
+
+  const map = parse(input, { dicts: 'map' });
+  assert.deepEqual([...map.keys()], ['b', '2', '__proto__', 'empty']);
+  assert.deepEqual(map.get('__proto__'), new Map([['a', 1]]));
+  assert.deepEqual(map.get('empty'), new Map());
+
+  // __proto__ is kept as a regular key in plain objects.
+  const obj = parse(input);
+  assert.equal(Object.getPrototypeOf(obj), Object.prototype);
+  assert.deepEqual(Object.keys(obj), ['2', 'b', '__proto__', 'empty']);
+
+  assert.deepEqual(parse('toString: 1'), { toString: 1 });
+  assert.throws(() => parse(input, { dicts: 'hash' }), TypeError);
+});
+
+test('Strings', () => {
+  // Multiline strings in list items and at the root.
+  assert.deepEqual(parse('- """\n  a\n\n"""\n- "b"\n'), ['a\n', 'b']);
+  assert.equal(parse('"""\n  a\n  b\n"""\n'), 'a\nb');
+  assert.deepEqual(parse('k::\n  - """\n    x\n  """\n  - 1\n'), { k: ['x', 1] });
+
+  // Commas, colons and hashes inside strings don't change the root type.
+  assert.equal(parse('"a, b"'), 'a, b');
+  assert.equal(parse('"a # b, c"  # comment'), 'a # b, c');
+  assert.deepEqual(parse('"a: b", "c"'), ['a: b', 'c']);
+  assert.deepEqual(parse('a:: "x: y", "#"'), { a: ['x: y', '#'] });
+  assert.deepEqual(parse('a: "x::y", b: 1'), { a: 'x::y', b: 1 });
+  assert.deepEqual(parse('a: "#", b: 2'), { a: '#', b: 2 });
+});
+
+
 // JSON lib uses number type for all numbers. Convert all numbers to the same type
 // in the HUML-parsed structure to make a deep-comparison with the JSON structure possible.
 function normalizeToJSON(data) {
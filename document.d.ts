@@ -0,0 +1,121 @@
+import { ParseOptions, PathSegment } from './decode.js';
+import { StringifyOptions } from './encode.js';
+
+/** A [start, end) range of offsets into the parsed source, null for nodes created by edits. */
+export type Range = [number, number] | null;
+
+/** An array of keys and indices, or a string such as `servers[0].port`. */
+export type Path = string | PathSegment[];
+
+export interface CommentNode {
+    type: 'comment';
+    /** The whitespace before the '#'. */
+    prefix: string;
+    /** The comment, including the '#'. */
+    text: string;
+    range: Range;
+}
+
+export interface BlankNode {
+    type: 'blank';
+    range: Range;
+}
+
+export type TriviaNode = CommentNode | BlankNode;
+
+export interface VersionNode {
+    type: 'version';
+    value: string | null;
+    raw: string;
+    range: Range;
+}
+
+export interface KeyNode {
+    type: 'key';
+    value: string;
+    raw: string;
+    range: Range;
+}
+
+export interface ScalarNode {
+    type: 'scalar';
+    kind: 'string' | 'number' | 'boolean' | 'null';
+    value: string | number | bigint | boolean | null;
+    raw: string;
+    range: Range;
+}
+
+export interface MultilineNode {
+    type: 'multiline';
+    value: string;
+    /** The indent of the key (or list marker) the string belongs to. */
+    indent: number;
+    /** The raw content lines. */
+    lines: string[];
+    openComment: CommentNode | null;
+    closeComment: CommentNode | null;
+    range: Range;
+}
+
+export interface PairNode {
+    type: 'pair';
+    key: KeyNode;
+    value: ValueNode;
+    /** Comment and blank lines above the entry. */
+    before: TriviaNode[];
+    comment: CommentNode | null;
+    range: Range;
+}
+
+export interface ItemNode {
+    type: 'item';
+    value: ValueNode;
+    before: TriviaNode[];
+    comment: CommentNode | null;
+    range: Range;
+}
+
+export interface DictNode {
+    type: 'dict';
+    style: 'multiline' | 'inline' | 'empty';
+    entries: PairNode[];
+    range: Range;
+}
+
+export interface ListNode {
+    type: 'list';
+    style: 'multiline' | 'inline' | 'empty';
+    items: ItemNode[];
+    range: Range;
+}
+
+export type ValueNode = DictNode | ListNode | ScalarNode | MultilineNode;
+
+/** A lossless tree of a HUML document. */
+export class Document {
+    version: VersionNode | null;
+    /** Trivia before a root scalar or inline vector. */
+    before: TriviaNode[];
+    root: ValueNode;
+    /** The trailing comment of a root scalar or inline vector. */
+    comment: CommentNode | null;
+    /** Trivia at the end of the document. */
+    after: TriviaNode[];
+    finalNewline: boolean;
+
+    /** Converts an offset in the parsed source to a 1-based position. */
+    positionAt(offset: number): { line: number; column: number };
+    /** Returns the plain JS value of the document, as parse() would. */
+    toValue<T = unknown>(): T;
+    getNode(path: Path): ValueNode | undefined;
+    get<T = unknown>(path: Path): T | undefined;
+    set(path: Path, value: unknown, options?: StringifyOptions): this;
+    delete(path: Path): boolean;
+    insert(path: Path, index: number, value: unknown, options?: StringifyOptions): this;
+    rename(path: Path, newKey: string): this;
+    /** Returns the document text, with untouched lines as they were parsed. */
+    toString(): string;
+}
+
+/** Parses HUML into a lossless Document. Throws HUMLError for invalid input. */
+export function parseDocument(data: string, options?: Omit<ParseOptions, 'recover' | 'reviver'>): Document;
@@ -0,0 +1,790 @@
+/**
+ * This package provides a lossless concrete syntax tree (CST) for HUML
+ * documents.
+ *
+ * parseDocument() keeps everything the plain parser throws away: comments,
+ * blank lines, the version header and the exact spelling of keys and scalars.
+ * Document.toString() reproduces the original text byte-for-byte.
+ *
+ * Node types:
+ * - dict: { style: 'multiline' | 'inline' | 'empty', entries: pair[] }
+ * - list: { style: 'multiline' | 'inline' | 'empty', items: item[] }
+ * - pair: { key, value, before: trivia[], comment }
+ * - item: { value, before: trivia[], comment }
+ * - key: { value, raw }
+ * - scalar: { kind: 'string' | 'number' | 'boolean' | 'null', value, raw }
+ * - multiline: { value, indent, lines, openComment, closeComment }
+ * - comment: { prefix, text }
+ * - blank: {}
+ * - version: { value, raw }
+ *
+ * Comment and blank lines (trivia) are attached to the `before` list of the
+ * entry that follows them. Trivia at the end of the document is kept in
+ * Document.after. Every node has a `range` of [start, end) offsets into the
+ * parsed source.
+ *
+ * Documents can be edited in place with get(), set(), delete(), insert() and
+ * rename(). Untouched lines are written back exactly as they were. Nodes
+ * created by edits have a null range.
+ */
+
+import { Parser, TYPES, HUMLError } from './decode.js';
+import { stringify, quoteKey } from './encode.js';
+import { parsePath, formatPath } from './path.js';
+
+export class Document {
+    constructor(source) {
+        this.version = null;
+        this.before = [];
+        this.root = null;
+        this.comment = null;
+        this.after = [];
+        this.finalNewline = source.endsWith('\n');
+
+        // Offsets of line starts in the parsed source, for positionAt().
+        this.lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    // Converts an offset in the parsed source to a 1-based { line, column }.
+    positionAt(offset) {
+        let lo = 0;
+        let hi = this.lineStarts.length - 1;
+
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+
+        return { line: lo + 1, column: offset - this.lineStarts[lo] + 1 };
+    }
+
+    // Returns the plain JS value of the document, as parse() would.
+    toValue() {
+        return toValue(this.root);
+    }
+
+    // Returns the value node at path, or undefined if there is none.
+    getNode(path) {
+        let node = this.root;
+
+        for (const seg of parsePath(path)) {
+            const child = node && findChild(node, seg);
+            if (!child) {
+                return undefined;
+            }
+            node = child.value;
+        }
+
+        return node;
+    }
+
+    // Returns the plain JS value at path, or undefined if there is none.
+    get(path) {
+        const node = this.getNode(path);
+        return node === undefined ? undefined : toValue(node);
+    }
+
+    // Sets the value at path, keeping the comments of an existing entry.
+    // Missing dicts along the path are created. options are passed to
+    // stringify() to encode the new value.
+    set(path, value, options) {
+        const segments = parsePath(path);
+        const node = createNode(value, options);
+
+        if (segments.length === 0) {
+            this.root = node;
+            this.restyle(node);
+            return this;
+        }
+
+        const last = segments[segments.length - 1];
+        const parent = this.getContainer(segments.slice(0, -1), true);
+        const child = findChild(parent, last);
+
+        if (child) {
+            child.value = node;
+        } else if (parent.type === 'dict') {
+            if (typeof last !== 'string') {
+                throw pathError(segments, 'expected a key for a dict');
+            }
+            parent.entries.push(newEntry('pair', node, keyNode(last)));
+        } else {
+            if (last !== parent.items.length) {
+                throw pathError(segments, `list index out of range (length ${parent.items.length})`);
+            }
+            parent.items.push(newEntry('item', node));
+        }
+
+        this.restyle(parent);
+        return this;
+    }
+
+    // Deletes the entry at path. Returns false if there was none.
+    delete(path) {
+        const segments = parsePath(path);
+        if (segments.length === 0) {
+            throw pathError(segments, 'cannot delete the document root');
+        }
+
+        const parent = this.getNode(segments.slice(0, -1));
+        const child = parent && findChild(parent, segments[segments.length - 1]);
+        if (!child) {
+            return false;
+        }
+
+        const children = childrenOf(parent);
+        const index = children.indexOf(child);
+
+        // Comments directly above the entry go with it. Anything above the
+        // last blank line separates it from earlier entries and is kept.
+        const lastBlank = child.before.map(node => node.type).lastIndexOf('blank');
+        const kept = child.before.slice(0, lastBlank + 1);
+        if (kept.length > 0) {
+            const next = this.nextEntry(segments);
+            if (next) {
+                next.before.unshift(...kept);
+            } else {
+                this.after.unshift(...kept);
+            }
+        }
+
+        children.splice(index, 1);
+        this.restyle(parent);
+        return true;
+    }
+
+    // Inserts value into the list at path before index.
+    insert(path, index, value, options) {
+        const segments = parsePath(path);
+        const list = this.getContainer(segments, false);
+
+        if (list.type !== 'list') {
+            throw pathError(segments, 'insert() requires a list');
+        }
+        if (!Number.isInteger(index) || index < 0 || index > list.items.length) {
+            throw pathError(segments, `list index out of range (length ${list.items.length})`);
+        }
+
+        list.items.splice(index, 0, newEntry('item', createNode(value, options)));
+        this.restyle(list);
+        return this;
+    }
+
+    // Renames the key at path, keeping its value and comments.
+    rename(path, newKey) {
+        const segments = parsePath(path);
+        const parent = this.getNode(segments.slice(0, -1));
+        const last = segments[segments.length - 1];
+
+        if (!parent || parent.type !== 'dict' || !findChild(parent, last)) {
+            throw pathError(segments, 'no such key');
+        }
+        if (newKey !== last && findChild(parent, newKey)) {
+            throw new HUMLError(`duplicate key '${newKey}' in dict`, { code: 'DUPLICATE_KEY' });
+        }
+
+        findChild(parent, last).key = keyNode(newKey);
+        return this;
+    }
+
+    // Returns the dict or list at path, creating missing dicts if create is set.
+    getContainer(segments, create) {
+        let node = this.root;
+
+        for (let i = 0; i < segments.length; i++) {
+            const seg = segments[i];
+            let child = findChild(node, seg);
+
+            if (!child && create && node.type === 'dict' && typeof seg === 'string') {
+                child = newEntry('pair', createNode({}), keyNode(seg));
+                node.entries.push(child);
+                this.restyle(node);
+            }
+            if (!child) {
+                throw pathError(segments.slice(0, i + 1), 'no such key');
+            }
+
+            node = child.value;
+        }
+
+        if (node.type !== 'dict' && node.type !== 'list') {
+            throw pathError(segments, 'not a dict or list');
+        }
+
+        return node;
+    }
+
+    // Picks a style for an edited node. When the root no longer fits on one
+    // line, its trailing comment moves to a line of its own above it.
+    restyle(node) {
+        fixStyle(node, node === this.root);
+
+        if (node === this.root && this.comment && (isMultilineVector(node) || node.type === 'multiline')) {
+            this.before.push({ ...this.comment, prefix: '', range: null });
+            this.comment = null;
+        }
+    }
+
+    // Returns the entry that follows the one at path in document order.
+    nextEntry(segments) {
+        for (let depth = segments.length; depth > 0; depth--) {
+            const parent = this.getNode(segments.slice(0, depth - 1));
+            const children = childrenOf(parent);
+            const index = children.indexOf(findChild(parent, segments[depth - 1]));
+
+            if (index + 1 < children.length && isMultilineVector(parent)) {
+                return children[index + 1];
+            }
+        }
+
+        return null;
+    }
+
+    toString() {
+        const lines = [];
+
+        if (this.version) {
+            lines.push(this.version.raw);
+        }
+        pushTrivia(this.before, lines);
+
+        const root = this.root;
+        if (isMultilineVector(root)) {
+            renderChildren(root, 0, lines);
+        } else if (root.type === 'multiline') {
+            renderMultiline(root, '', 0, lines);
+        } else {
+            lines.push(inlineText(root) + commentText(this.comment));
+        }
+
+        pushTrivia(this.after, lines);
+
+        return lines.join('\n') + (this.finalNewline ? '\n' : '');
+    }
+}
+
+// Builds the CST on top of the parser's scanning primitives. The input is
+// validated by a regular parse first, so the builder assumes valid HUML.
+class DocumentParser extends Parser {
+    constructor(data, options) {
+        super(data, options);
+        this.pending = [];
+    }
+
+    build() {
+        const doc = new Document(this.data);
+
+        if (this.peekString('%HUML')) {
+            const end = this.lineEnd();
+            const raw = this.data.substring(0, end);
+            const match = /^%HUML ([^ #]+)/.exec(raw);
+
+            doc.version = {
+                type: 'version',
+                value: match ? match[1] : null,
+                raw,
+                range: [0, end]
+            };
+            this.skipLine();
+        }
+
+        this.collectTrivia();
+
+        const rootType = this.getRootType();
+        if (rootType === TYPES.MULTILINE_DICT) {
+            doc.root = this.buildDict(0);
+        } else if (rootType === TYPES.MULTILINE_LIST) {
+            doc.root = this.buildList(0);
+        } else {
+            doc.before = this.takeTrivia();
+
+            if (rootType === TYPES.SCALAR) {
+                doc.root = this.buildValue(0);
+            } else if (rootType === TYPES.INLINE_DICT || rootType === TYPES.INLINE_LIST) {
+                doc.root = this.buildInlineContents(rootType);
+            } else {
+                doc.root = this.buildInlineVector();
+            }
+
+            if (doc.root.type !== 'multiline') {
+                doc.comment = this.finishLine();
+            }
+        }
+
+        this.collectTrivia();
+        doc.after = this.takeTrivia();
+
+        return doc;
+    }
+
+    // Builds a multiline dict whose keys are at indent.
+    buildDict(indent) {
+        const node = { type: 'dict', style: 'multiline', entries: [], range: null };
+
+        while (true) {
+            this.collectTrivia();
+            if (this.done() || this.getCurIndent() < indent) break;
+
+            this.pos = this.lineStart() + indent;
+            const start = this.pos;
+            const before = this.takeTrivia();
+
+            const key = this.buildKey();
+            const pair = { type: 'pair', key, value: null, before, comment: null, range: null };
+
+            if (this.peekString('::')) {
+                this.advance(2);
+                [pair.value, pair.comment] = this.buildVector(indent + 2);
+            } else {
+                this.advance(2); // ': '
+                pair.value = this.buildValue(indent);
+                if (pair.value.type !== 'multiline') {
+                    pair.comment = this.finishLine();
+                }
+            }
+
+            pair.range = [start, pair.value.range[1]];
+            node.entries.push(pair);
+        }
+
+        node.range = spanOf(node.entries);
+        return node;
+    }
+
+    // Builds a multiline list whose '-' markers are at indent.
+    buildList(indent) {
+        const node = { type: 'list', style: 'multiline', items: [], range: null };
+
+        while (true) {
+            this.collectTrivia();
+            if (this.done() || this.getCurIndent() !== indent) break;
+            if (this.peekChar(this.lineStart() + indent) !== '-') break;
+
+            this.pos = this.lineStart() + indent;
+            const start = this.pos;
+            const before = this.takeTrivia();
+            const item = { type: 'item', value: null, before, comment: null, range: null };
+
+            this.advance(2); // '- '
+            if (this.peekString('::')) {
+                this.advance(2);
+                [item.value, item.comment] = this.buildVector(indent + 2);
+            } else {
+                item.value = this.buildValue(indent);
+                if (item.value.type !== 'multiline') {
+                    item.comment = this.finishLine();
+                }
+            }
+
+            item.range = [start, item.value.range[1]];
+            node.items.push(item);
+        }
+
+        node.range = spanOf(node.items);
+        return node;
+    }
+
+    // Builds the vector following '::'. Returns the node and the comment on
+    // the '::' line.
+    buildVector(indent) {
+        const lineEnd = this.lineEnd();
+        const rest = this.data.substring(this.pos, lineEnd);
+
+        if (/^( +#.*)?$/.test(rest)) {
+            const comment = this.finishLine();
+            const vector = this.peekContentChar() === '-'
+                ? this.buildList(indent)
+                : this.buildDict(indent);
+
+            return [vector, comment];
+        }
+
+        this.advance(1);
+        const vector = this.buildInlineVector();
+        return [vector, this.finishLine()];
+    }
+
+    // Builds [], {} or inline vector contents.
+    buildInlineVector() {
+        const start = this.pos;
+
+        if (this.peekString('[]') || this.peekString('{}')) {
+            this.advance(2);
+            return this.data[start] === '['
+                ? { type: 'list', style: 'empty', items: [], range: [start, this.pos] }
+                : { type: 'dict', style: 'empty', entries: [], range: [start, this.pos] };
+        }
+
+        return this.buildInlineContents(this.hasInlineDict() ? TYPES.INLINE_DICT : TYPES.INLINE_LIST);
+    }
+
+    // Builds comma-separated inline list or dict contents.
+    buildInlineContents(type) {
+        const isDict = type === TYPES.INLINE_DICT;
+        const children = [];
+
+        while (true) {
+            const start = this.pos;
+            let child;
+
+            if (isDict) {
+                const key = this.buildKey();
+                this.advance(2); // ': '
+                const value = this.buildScalar();
+                child = { type: 'pair', key, value, before: [], comment: null, range: [start, this.pos] };
+            } else {
+                const value = this.buildScalar();
+                child = { type: 'item', value, before: [], comment: null, range: [start, this.pos] };
+            }
+
+            children.push(child);
+
+            if (!this.peekString(', ')) break;
+            this.advance(2);
+        }
+
+        const range = spanOf(children);
+        return isDict
+            ? { type: 'dict', style: 'inline', entries: children, range }
+            : { type: 'list', style: 'inline', items: children, range };
+    }
+
+    buildKey() {
+        const start = this.pos;
+        const value = this.parseKey();
+
+        return { type: 'key', value, raw: this.data.substring(start, this.pos), range: [start, this.pos] };
+    }
+
+    // Builds a scalar or a multiline string belonging to a key at keyIndent.
+    buildValue(keyIndent) {
+        return this.peekString('"""')
+            ? this.buildMultiline(keyIndent)
+            : this.buildScalar();
+    }
+
+    buildScalar() {
+        const start = this.pos;
+        const value = this.parseValue(0);
+        const raw = this.data.substring(start, this.pos);
+
+        let kind = 'number';
+        if (value === null) {
+            kind = 'null';
+        } else if (typeof value === 'string') {
+            kind = 'string';
+        } else if (typeof value === 'boolean') {
+            kind = 'boolean';
+        }
+
+        return { type: 'scalar', kind, value, raw, range: [start, this.pos] };
+    }
+
+    buildMultiline(keyIndent) {
+        const start = this.pos;
+        const value = this.parseMultilineString(keyIndent);
+
+        // Recover the raw lines the string was parsed from.
+        let text = this.data.substring(start, this.pos);
+        if (text.endsWith('\n')) {
+            text = text.slice(0, -1);
+        }
+
+        const lines = text.split('\n');
+        const open = lines.shift();
+        const close = lines.pop();
+        const closeStart = start + text.length - close.length;
+
+        return {
+            type: 'multiline',
+            value,
+            indent: keyIndent,
+            lines,
+            openComment: toComment(open.substring(3), start + 3),
+            closeComment: toComment(close.substring(keyIndent + 3), closeStart + keyIndent + 3),
+            range: [start, closeStart + keyIndent + 3]
+        };
+    }
+
+    // Consumes the rest of the current line and returns its trailing comment.
+    finishLine() {
+        const end = this.lineEnd();
+        const comment = toComment(this.data.substring(this.pos, end), this.pos);
+
+        this.pos = end;
+        this.skipLine();
+
+        return comment;
+    }
+
+    // Collects blank and comment lines into the pending trivia.
+    collectTrivia() {
+        while (!this.done()) {
+            const start = this.pos;
+            const end = this.lineEnd();
+            const line = this.data.substring(start, end);
+
+            if (line === '') {
+                this.pending.push({ type: 'blank', range: [start, start] });
+            } else if (/^ *#/.test(line)) {
+                this.pending.push(toComment(line, start));
+            } else {
+                return;
+            }
+
+            this.skipLine();
+        }
+    }
+
+    takeTrivia() {
+        const trivia = this.pending;
+        this.pending = [];
+        return trivia;
+    }
+
+    // Returns the first character of the next line with content.
+    peekContentChar() {
+        let pos = this.pos;
+
+        while (pos < this.data.length) {
+            let end = this.data.indexOf('\n', pos);
+            if (end === -1) end = this.data.length;
+
+            const content = this.data.substring(pos, end).trimStart();
+            if (content !== '' && content[0] !== '#') {
+                return content[0];
+            }
+            pos = end + 1;
+        }
+
+        return '\0';
+    }
+
+    lineEnd() {
+        const end = this.data.indexOf('\n', this.pos);
+        return end === -1 ? this.data.length : end;
+    }
+}
+
+// Parses a comment from text of the form '  # comment'. Returns null for ''.
+function toComment(text, offset) {
+    if (text === '') {
+        return null;
+    }
+
+    const hash = text.indexOf('#');
+    return {
+        type: 'comment',
+        prefix: text.substring(0, hash),
+        text: text.substring(hash),
+        range: [offset + hash, offset + text.length]
+    };
+}
+
+export function childrenOf(node) {
+    return node.type === 'dict' ? node.entries : node.items;
+}
+
+// Returns the pair or item addressed by seg in a dict or list node.
+function findChild(node, seg) {
+    if (node.type === 'dict') {
+        return node.entries.find(pair => pair.key.value === seg);
+    }
+    if (node.type === 'list' && typeof seg === 'number') {
+        return node.items[seg];
+    }
+    return undefined;
+}
+
+function newEntry(type, value, key) {
+    const entry = { type, value, before: [], comment: null, range: null };
+    if (key) {
+        entry.key = key;
+    }
+    return entry;
+}
+
+function keyNode(key) {
+    return { type: 'key', value: key, raw: quoteKey(key), range: null };
+}
+
+function pathError(segments, message) {
+    return new HUMLError(`${message} at '${formatPath(segments)}'`, { code: 'INVALID_PATH' });
+}
+
+// Creates a detached node for a JS value by encoding it with stringify().
+// Keys keep their insertion order unless options say otherwise.
+function createNode(value, options) {
+    const doc = parseDocument(stringify({ v: value }, { sortKeys: false, ...options }));
+    const node = doc.root.entries[0].value;
+
+    clearRanges(node);
+    return node;
+}
+
+// Edited nodes have no position in the source.
+function clearRanges(node) {
+    node.range = null;
+
+    if (node.type === 'dict' || node.type === 'list') {
+        for (const child of childrenOf(node)) {
+            clearRanges(child);
+            clearRanges(child.value);
+        }
+    }
+}
+
+// Picks a vector style that can represent the node's current children.
+export function fixStyle(node, isRoot) {
+    if (node.type !== 'dict' && node.type !== 'list') {
+        return;
+    }
+
+    const children = childrenOf(node);
+    if (children.length === 0) {
+        node.style = 'empty';
+    } else if (node.style === 'empty') {
+        node.style = 'multiline';
+    } else if (node.style === 'inline') {
+        const inlineable = children.every(child => child.value.type === 'scalar');
+
+        // A root inline list needs a comma to be told apart from a scalar.
+        if (!inlineable || (isRoot && node.type === 'list' && children.length < 2)) {
+            node.style = 'multiline';
+        }
+    }
+}
+
+function spanOf(nodes) {
+    if (nodes.length === 0) {
+        return null;
+    }
+    return [nodes[0].range[0], nodes[nodes.length - 1].range[1]];
+}
+
+export function isMultilineVector(node) {
+    return (node.type === 'dict' || node.type === 'list') && node.style === 'multiline';
+}
+
+// Returns the offset of a pair or item's value, or of its key (or '-') for
+// values that start on the following lines. null for entries added by edits.
+export function locate(entry) {
+    const range = isMultilineVector(entry.value) ? entry.range : entry.value.range;
+    return range ? range[0] : null;
+}
+
+// Converts a node to its plain JS value.
+function toValue(node) {
+    if (node.type === 'dict') {
+        const out = {};
+        for (const pair of node.entries) {
+            Object.defineProperty(out, pair.key.value, {
+                value: toValue(pair.value), writable: true, enumerable: true, configurable: true
+            });
+        }
+        return out;
+    }
+
+    if (node.type === 'list') {
+        return node.items.map(item => toValue(item.value));
+    }
+
+    return node.value;
+}
+
+function commentText(comment) {
+    return comment ? comment.prefix + comment.text : '';
+}
+
+function pushTrivia(trivia, lines) {
+    for (const node of trivia) {
+        lines.push(node.type === 'blank' ? '' : commentText(node));
+    }
+}
+
+// Renders the entries or items of a multiline vector at indent.
+function renderChildren(node, indent, lines) {
+    const pad = ' '.repeat(indent);
+
+    if (node.type === 'dict') {
+        for (const pair of node.entries) {
+            pushTrivia(pair.before, lines);
+            renderValue(pad + pair.key.raw, ':', pair.value, pair.comment, indent, lines);
+        }
+    } else {
+        for (const item of node.items) {
+            pushTrivia(item.before, lines);
+            renderValue(pad + '-', ' ', item.value, item.comment, indent, lines);
+        }
+    }
+}
+
+// Renders a value after its key or list marker (head). sep is what goes
+// between the head and a scalar: ':' for keys, ' ' for list items.
+function renderValue(head, sep, node, comment, indent, lines) {
+    const scalarHead = sep === ':' ? head + ': ' : head + ' ';
+    const vectorHead = sep === ':' ? head + '::' : head + ' ::';
+
+    if (isMultilineVector(node)) {
+        lines.push(vectorHead + commentText(comment));
+        renderChildren(node, indent + 2, lines);
+    } else if (node.type === 'dict' || node.type === 'list') {
+        lines.push(vectorHead + ' ' + inlineText(node) + commentText(comment));
+    } else if (node.type === 'multiline') {
+        renderMultiline(node, scalarHead, indent, lines);
+    } else {
+        lines.push(scalarHead + node.raw + commentText(comment));
+    }
+}
+
+// Renders a multiline string whose key (or list marker) is at indent.
+function renderMultiline(node, head, indent, lines) {
+    lines.push(head + '"""' + commentText(node.openComment));
+
+    if (node.indent === indent) {
+        lines.push(...node.lines);
+    } else {
+        // The string moved, so re-indent its content from the value.
+        const pad = ' '.repeat(indent + 2);
+        lines.push(...node.value.split('\n').map(line => line === '' ? '' : pad + line));
+    }
+
+    lines.push(' '.repeat(indent) + '"""' + commentText(node.closeComment));
+}
+
+// Returns the single-line source of a scalar or an inline or empty vector.
+export function inlineText(node) {
+    if (node.type === 'dict') {
+        return node.style === 'empty'
+            ? '{}'
+            : node.entries.map(pair => pair.key.raw + ': ' + pair.value.raw).join(', ');
+    }
+
+    if (node.type === 'list') {
+        return node.style === 'empty'
+            ? '[]'
+            : node.items.map(item => item.value.raw).join(', ');
+    }
+
+    return node.raw;
+}
+
+// Parses HUML into a lossless Document. Throws HUMLError for invalid input.
+export function parseDocument(data, options = {}) {
+    if (typeof data !== 'string') {
+        throw new TypeError('HUML input must be of type string');
+    }
+
+    // Validate first so that the builder only ever sees valid HUML.
+    options = { ...options, recover: false, reviver: undefined };
+    new Parser(data, options).parse();
+
+    return new DocumentParser(data, options).build();
+}
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { parseDocument } from './document.js';
+import { parse } from './decode.js';
+
+const DOC = `%HUML v0.2.0
+# Top comment
+
+name: "demo"  # trailing
+hex: 0xFF
+flags:: true, false, null
+empty:: []
+inline:: a: 1, "b c": "x"
+server::  # server settings
+  host: "localhost"
+  # port comment
+  port: 8_080
+
+  tags::
+    - "a"
+    - :: 1, 2 # pair
+    - ::
+      k: "v"
+      # nested tail
+text: """ # open
+  line one
+
+    indented
+""" # close
+"quoted key": -inf
+# end
+`;
+
+test('TestDocumentRoundTrip', () => {
+    const docs = [
+        DOC,
+        DOC.trimEnd(),
+        '"hello"  # c',
+        '%HUML\n\n# x\n"""  # open\n  a\n\n   b\n"""   # close\n\n',
+        'a: 1, "b": "x, y"  # c\n# tail',
+        '[]  # e\n',
+        '1, 2, 3',
+        '# lead\n- 1\n  # odd indent\n- :: 1, 2 # c\n- ::\n  - :: {}\n',
+    ];
+
+    for (const text of docs) {
+        const doc = parseDocument(text);
+        assert.equal(doc.toString(), text);
+        assert.deepEqual(doc.toValue(), parse(text));
+    }
+});
+
+test('TestDocumentNodes', () => {
+    const doc = parseDocument(DOC);
+
+    assert.equal(doc.version.value, 'v0.2.0');
+    assert.equal(doc.root.type, 'dict');
+    assert.equal(doc.after[0].text, '# end');
+
+    const [name, , , , , server, text] = doc.root.entries;
+    assert.deepEqual(name.before.map(node => node.type), ['comment', 'blank']);
+    assert.equal(name.comment.text, '# trailing');
+    assert.equal(server.comment.text, '# server settings');
+
+    const port = server.value.entries[1];
+    assert.equal(port.before[0].text, '# port comment');
+    assert.deepEqual([port.value.raw, port.value.value], ['8_080', 8080]);
+    assert.deepEqual(doc.positionAt(port.range[0]), { line: 12, column: 3 });
+
+    const tags = server.value.entries[2];
+    assert.equal(tags.before[0].type, 'blank');
+    assert.equal(tags.value.items[1].value.style, 'inline');
+    assert.equal(tags.value.items[1].comment.text, '# pair');
+
+    // Trivia goes to the entry that follows it, whatever its indentation.
+    assert.equal(text.before[0].text, '# nested tail');
+    assert.equal(text.value.openComment.text, '# open');
+    assert.equal(text.value.closeComment.text, '# close');
+    assert.equal(text.value.value, 'line one\n\n  indented');
+});
+
+test('TestDocumentEdit', () => {
+    const doc = parseDocument(DOC);
+
+    assert.equal(doc.get('server.port'), 8080);
+    assert.deepEqual(doc.get(['server', 'tags', 1]), [1, 2]);
+    assert.equal(doc.get('server.missing'), undefined);
+
+    doc.set('server.port', 9090);
+    doc.set('inline.c', true);
+    doc.set('empty[0]', 'first');
+    doc.set('created.deep', 'a\nb');
+    doc.insert('server.tags', 0, 'zero');
+    doc.rename('server.host', 'hostname');
+    doc.delete('name');
+    doc.delete('server.tags[3]');
+
+    // Only the edited lines change.
+    const expected = DOC
+        .replace('name: "demo"  # trailing\n', '')
+        .replace('  port: 8_080', '  port: 9090')
+        .replace('empty:: []', 'empty::\n  - "first"')
+        .replace('"b c": "x"', '"b c": "x", c: true')
+        .replace('  host:', '  hostname:')
+        .replace('    - "a"', '    - "zero"\n    - "a"')
+        .replace('    - ::\n      k: "v"\n', '')
+        .replace('# end', 'created::\n  deep: """\n    a\n    b\n  """\n# end');
+
+    assert.equal(doc.toString(), expected);
+
+    // The trailing comment of an inline root goes above it when the root
+    // becomes multiline.
+    const root = parseDocument('{}  # note\n');
+    root.set('a', 1);
+    root.set('b', 2);
+    assert.equal(root.toString(), '# note\na: 1\nb: 2\n');
+
+    const list = parseDocument('%HUML v0.2.0\n1, 2  # note\n');
+    list.insert('', 0, [0]);
+    assert.equal(list.toString(), '%HUML v0.2.0\n# note\n- ::\n  - 0\n- 1\n- 2\n');
+
+    const scalar = parseDocument('1  # note\n');
+    assert.equal(scalar.set('', 2).toString(), '2  # note\n');
+    assert.equal(scalar.set('', 'a\nb').toString(), '# note\n"""\n  a\n  b\n"""\n');
+});
+
+test('TestDocumentEditErrors', () => {
+    const doc = parseDocument('a: 1\nb:: 1, 2\n');
+
+    assert.throws(() => doc.set('a.b', 1), { code: 'INVALID_PATH' });
+    assert.throws(() => doc.set('b[5]', 1), { code: 'INVALID_PATH' });
+    assert.throws(() => doc.insert('a', 0, 1), { code: 'INVALID_PATH' });
+    assert.throws(() => doc.rename('a', 'b'), { code: 'DUPLICATE_KEY' });
+    assert.throws(() => doc.get('a..b'), { code: 'INVALID_PATH' });
+    assert.throws(() => doc.get('b[1x]'), { code: 'INVALID_PATH', message: "invalid path 'b[1x]': expected ']' at position 3" });
+    assert.throws(() => doc.get('b[-1]'), { code: 'INVALID_PATH', message: "invalid path 'b[-1]': expected a list index at position 2" });
+    assert.throws(() => doc.get('"a'), { code: 'INVALID_PATH', message: "invalid path '\"a': unclosed string" });
+    assert.equal(doc.delete('c'), false);
+});
+
+test('TestDocumentErrors', () => {
+    assert.throws(() => parseDocument('a: 1\na: 2'), { name: 'HUMLError', code: 'DUPLICATE_KEY' });
+    assert.throws(() => parseDocument(1), TypeError);
+});
@@ -0,0 +1,54 @@
+export type Replacer = (this: any, key: string, value: any) => any;
+
+/** Converts instances of a class to encodable values. */
+export type Serializer<T = any> = (value: T, key: string) => unknown;
+
+export interface StringifyOptions {
+    /** Include the `%HUML v0.2.0` header. */
+    includeVersion?: boolean;
+    /** Called like JSON.stringify's replacer, or the dict keys to include. */
+    replacer?: Replacer | (string | number)[] | null;
+    /** Pairs of [Class, serializer], eg: a Map. They take precedence over toJSON(). */
+    serializers?: Iterable<[abstract new (...args: any[]) => any, Serializer]> | null;
+    /** true sorts keys by UTF-16 code units (the default), false keeps insertion order. */
+    sortKeys?: boolean | ((a: string, b: string) => number);
+    /** When vectors of scalars are written inline. Defaults to 'never'. */
+    inline?: 'never' | 'auto' | 'always';
+    /** The line width for inline: 'auto'. Defaults to 80. */
+    maxLineWidth?: number;
+    /** How bytes are encoded. Defaults to 'base64'. */
+    binary?: 'base64' | 'hex' | 'list';
+    /** What to do when an object contains itself. Defaults to 'throw'. */
+    circular?: 'throw' | 'placeholder';
+    /** What to do with objects that appear more than once. Defaults to 'duplicate'. */
+    shared?: 'duplicate' | 'throw' | 'placeholder';
+    /** The scalar written in place of references with the 'placeholder' modes. */
+    placeholder?: string | number | boolean | bigint | null;
+}
+
+/** Encodes a value as a HUML document. */
+export function stringify(value: unknown, options?: StringifyOptions): string;
+
+/** Quotes a key if it can't be written bare. */
+export function quoteKey(key: string): string;
+
+/** Quotes a single-line string. */
+export function quoteString(str: string): string;
+
+/**
+ * Encodes a value as chunks of HUML text. An async iterable is encoded as a
+ * root list, one item at a time.
+ */
+export function stringifyStream(value: unknown, options?: StringifyOptions): AsyncGenerator<string, void, undefined>;
+
+/** The parts of a Node Writable that stringifyTo() uses. */
+export interface NodeWritable {
+    write(chunk: string): boolean;
+    end(): unknown;
+    on(event: string, listener: (...args: any[]) => void): unknown;
+    once(event: string, listener: (...args: any[]) => void): unknown;
+    off(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+/** Writes stringifyStream()'s chunks to a Node Writable or a WritableStream, then ends it. */
+export function stringifyTo(writable: NodeWritable | WritableStream<string>, value: unknown, options?: StringifyOptions): Promise<void>;
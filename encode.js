@@ -1,13 +1,251 @@
+import { formatPath } from './path.js';
+
 // Regular expression to validate bare keys (no quotes needed).
 const BARE_KEY_REGEX = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
 
+// Escape sequences for quoted strings. Other characters are written as is.
+const ESCAPES = {
+  '"': '\\"',
+  '\\': '\\\\',
+  '\n': '\\n',
+  '\t': '\\t',
+  '\r': '\\r',
+  '\f': '\\f',
+  '\v': '\\v',
+};
+
 const CFG = {
   // Include the version header?
   includeVersion: false,
+
+  // A function (key, value) called like JSON.stringify's replacer, or an
+  // array of the dict keys to include.
+  replacer: null,
+
+  // Pairs of [Class, function (value, key)] (eg: a Map) that convert
+  // instances of a class to encodable values. They take precedence over
+  // toJSON().
+  serializers: null,
+
+  // Dict key order: true sorts keys by UTF-16 code units, false keeps
+  // insertion order and a function (a, b) => number sorts with it.
+  sortKeys: true,
+
+  // When lists and dicts of scalars are written inline (key:: 1, 2, 3):
+  // 'never', 'auto' (when the line fits in maxLineWidth) or 'always'.
+  inline: 'never',
+  maxLineWidth: 80,
+
+  // How Uint8Array, Buffer, ArrayBuffer and DataView bytes are encoded:
+  // 'base64', 'hex' or 'list' (a list of numbers).
+  binary: 'base64',
+
+  // What to do when an object contains itself: 'throw' or 'placeholder'.
+  circular: 'throw',
+
+  // What to do when an object appears more than once without a cycle:
+  // 'duplicate' (encode it each time), 'throw' or 'placeholder'.
+  shared: 'duplicate',
+
+  // The scalar written in place of references with the 'placeholder' mode.
+  placeholder: '[Circular]',
 };
 
+const BINARY_MODES = ['base64', 'hex', 'list'];
+const INLINE_MODES = ['never', 'auto', 'always'];
+const CIRCULAR_MODES = ['throw', 'placeholder'];
+const SHARED_MODES = ['duplicate', 'throw', 'placeholder'];
+
+// Resolves a value into plain data like JSON.stringify does: serializers,
+// built-in conversions and toJSON() are applied, then the replacer. Dicts are
+// returned as Maps and values that can't be encoded (undefined, functions,
+// symbols) as undefined.
+//
+// refs tracks the objects being prepared: path is the current key path,
+// parents maps the objects on it to their paths and seen (when shared
+// references are checked) maps every object prepared so far to its path.
+function prepare(holder, key, value, cfg, refs) {
+  const serializer = findSerializer(value, cfg);
+  if (serializer) {
+    value = serializer(value, key);
+  } else if (isBuiltin(value)) {
+    value = fromBuiltin(value, cfg);
+  } else if (value !== null && value !== undefined && typeof value.toJSON === 'function') {
+    value = value.toJSON(key);
+  }
+
+  if (typeof cfg.replacer === 'function') {
+    value = cfg.replacer.call(holder, key, value);
+  }
+
+  // Unwrap boxed primitives.
+  if (value instanceof Number || value instanceof String ||
+    value instanceof Boolean || value instanceof BigInt) {
+    value = value.valueOf();
+  }
+
+  const type = typeof value;
+  if (value === undefined || type === 'function' || type === 'symbol') {
+    return undefined;
+  }
+  if (value === null || type !== 'object') {
+    return value;
+  }
+
+  const parent = refs.parents.get(value);
+  if (parent) {
+    if (cfg.circular === 'placeholder') return cfg.placeholder;
+    throw new TypeError(`Circular reference: ${describePath(refs.path)} points back to ${describePath(parent)}`);
+  }
+
+  const first = refs.seen && refs.seen.get(value);
+  if (first) {
+    if (cfg.shared === 'placeholder') return cfg.placeholder;
+    throw new TypeError(`Shared reference: ${describePath(refs.path)} is the same object as ${describePath(first)}`);
+  }
+
+  const path = [...refs.path];
+  refs.parents.set(value, path);
+  refs.seen?.set(value, path);
+
+  try {
+    return prepareObject(value, cfg, refs);
+  } finally {
+    refs.parents.delete(value);
+  }
+}
+
+// Prepares the children of an object, array, Set or Map.
+function prepareObject(value, cfg, refs) {
+  if (value instanceof Set) {
+    value = [...value];
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => {
+      const out = prepareChild(value, i, item, cfg, refs);
+      return out === undefined ? null : out;
+    });
+  }
+
+  if (value instanceof Map) {
+    return prepareMap(value, cfg, refs);
+  }
+
+  const out = new Map();
+  for (const k of Object.keys(value)) {
+    if (Array.isArray(cfg.replacer) && !cfg.replacer.some(r => String(r) === k)) {
+      continue;
+    }
+
+    const v = prepareChild(value, k, value[k], cfg, refs);
+    if (v !== undefined) {
+      out.set(k, v);
+    }
+  }
+
+  return out;
+}
+
+// Prepares a list item or dict entry, keeping track of its path. key is a
+// number for list items.
+function prepareChild(holder, key, value, cfg, refs) {
+  refs.path.push(key);
+
+  try {
+    return prepare(holder, String(key), value, cfg, refs);
+  } finally {
+    refs.path.pop();
+  }
+}
+
+// Describes a key path for error messages.
+function describePath(path) {
+  return path.length === 0 ? 'the root' : formatPath(path);
+}
+
+// Prepares a Map as a dict. Keys must be strings or numbers.
+function prepareMap(map, cfg, refs) {
+  const out = new Map();
+
+  for (const [k, v] of map) {
+    const type = typeof k;
+    if (type !== 'string' && type !== 'bigint' && !(type === 'number' && Number.isFinite(k))) {
+      throw new TypeError(`Unsupported Map key type: ${k === null ? 'null' : type}`);
+    }
+
+    const key = String(k);
+    if (out.has(key)) {
+      throw new TypeError(`Duplicate Map key after conversion to string: ${key}`);
+    }
+
+    const val = prepareChild(map, key, v, cfg, refs);
+    if (val !== undefined) {
+      out.set(key, val);
+    }
+  }
+
+  return out;
+}
+
+// Determines if a value is a built-in with its own encoding.
+function isBuiltin(value) {
+  return value instanceof Date || value instanceof RegExp ||
+    value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+// Converts Dates to ISO strings (null if invalid), RegExps to strings, bytes
+// as per the binary option and other typed arrays to lists of numbers.
+function fromBuiltin(value, cfg) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (value instanceof RegExp) {
+    return String(value);
+  }
+
+  let bytes;
+  if (value instanceof ArrayBuffer) {
+    bytes = new Uint8Array(value);
+  } else if (value instanceof Uint8Array || value instanceof DataView) {
+    bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  } else {
+    return Array.from(value);
+  }
+
+  if (!BINARY_MODES.includes(cfg.binary)) {
+    throw new TypeError(`invalid binary option '${cfg.binary}', expected one of ${BINARY_MODES.join(', ')}`);
+  }
+
+  if (cfg.binary === 'list') {
+    return Array.from(bytes);
+  }
+  if (cfg.binary === 'hex') {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) {
+    bin += String.fromCharCode(bytes[i]);
+  }
+  return btoa(bin);
+}
+
+// Returns the registered serializer for the value's class, if any.
+function findSerializer(value, cfg) {
+  if (!cfg.serializers || value === null || typeof value !== 'object') {
+    return null;
+  }
+
+  for (const [cls, fn] of cfg.serializers) {
+    if (value instanceof cls) return fn;
+  }
+
+  return null;
+}
+
 // Encde a value to HUML format.
-function toValue(value, indent, lines, isRootLevel = false) {
+function toValue(value, indent, lines, cfg, isRootLevel = false) {
   if (value === null || value === undefined) {
     lines[lines.length - 1] += 'null';
     return;
@@ -19,12 +257,14 @@ function toValue(value, indent, lines, isRootLevel = false) {
     lines[lines.length - 1] += String(value);
   } else if (type === 'number') {
     lines[lines.length - 1] += formatNumber(value);
+  } else if (type === 'bigint') {
+    lines[lines.length - 1] += String(value);
   } else if (type === 'string') {
-    toString(value, indent, lines);
+    toString(value, indent, lines, isRootLevel);
   } else if (Array.isArray(value)) {
-    toArray(value, indent, lines, isRootLevel);
-  } else if (type === 'object') {
-    toObject(value, indent, lines, isRootLevel);
+    toArray(value, indent, lines, cfg, isRootLevel);
+  } else if (value instanceof Map) {
+    toObject(value, indent, lines, cfg, isRootLevel);
   } else {
     throw new Error(`Unsupported type: ${type}`);
   }
@@ -39,76 +279,189 @@ function formatNumber(num) {
   return String(num);
 }
 
-// Encode a string value.
-function toString(str, indent, lines) {
-  if (str.includes('\n')) {
-    // Multi-line string.
-    const keyIndent = indent - 2;
-    const contentIndent = indent;
+// Formats a scalar for use in an inline vector. Returns null for values that
+// can't be written inline.
+function inlineScalar(value) {
+  if (value === null) return 'null';
+
+  switch (typeof value) {
+    case 'boolean':
+    case 'bigint':
+      return String(value);
+    case 'number':
+      return formatNumber(value);
+    case 'string':
+      return isInlineString(value) ? quoteString(value) : null;
+    default:
+      return null;
+  }
+}
+
+// Strings with ':' or '#' are kept out of inline vectors, where they'd throw
+// off the decoder's lookahead for inline dicts and comments.
+function isInlineString(str) {
+  return !/[\n:#]/.test(str);
+}
+
+// Returns the inline form of a non-empty vector of scalars if cfg allows it
+// on a line that already holds prefixLen characters, or null.
+function toInline(value, prefixLen, cfg, isRootLevel) {
+  if (!INLINE_MODES.includes(cfg.inline)) {
+    throw new TypeError(`invalid inline option '${cfg.inline}', expected one of ${INLINE_MODES.join(', ')}`);
+  }
+  if (cfg.inline === 'never') {
+    return null;
+  }
 
-    lines[lines.length - 1] += '"""';
-    const strLines = str.split('\n');
+  // A root vector needs a comma to be told apart from a scalar or a dict.
+  const size = Array.isArray(value) ? value.length : value.size;
+  if (isRootLevel && size < 2) {
+    return null;
+  }
 
-    // Remove empty last line if string ends with newline.
-    if (strLines[strLines.length - 1] === '') {
-      strLines.pop();
+  const parts = [];
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const text = inlineScalar(item);
+      if (text === null) return null;
+      parts.push(text);
     }
+  } else {
+    for (const [key, val] of sortedEntries(value, cfg)) {
+      const text = inlineScalar(val);
+      if (text === null || !isInlineString(key)) return null;
+      parts.push(quoteKey(key) + ': ' + text);
+    }
+  }
 
-    strLines.forEach(line => {
-      lines.push(' '.repeat(contentIndent) + line);
-    });
+  const text = parts.join(', ');
+  if (cfg.inline === 'auto' && prefixLen + text.length > cfg.maxLineWidth) {
+    return null;
+  }
 
-    lines.push(' '.repeat(keyIndent) + '"""');
+  return text;
+}
+
+// Writes a vector inline if possible. Returns true if it did.
+function writeInline(value, lines, cfg, isRootLevel) {
+  const prefixLen = isRootLevel ? 0 : lines[lines.length - 1].length + 1;
+  const text = toInline(value, prefixLen, cfg, isRootLevel);
+
+  if (text === null) {
+    return false;
+  }
+
+  if (isRootLevel) {
+    lines.push(text);
   } else {
-    // Single-line string - use JSON.stringify for proper escaping.
-    lines[lines.length - 1] += JSON.stringify(str);
+    lines[lines.length - 1] += ' ' + text;
   }
+  return true;
+}
+
+// Encode a string value. Multi-line strings are written as blocks, unless a
+// line would not read back the same.
+function toString(str, indent, lines, isRootLevel = false) {
+  const strLines = str.split('\n');
+
+  if (strLines.length === 1 || !strLines.every(isBlockLine)) {
+    lines[lines.length - 1] += quoteString(str);
+    return;
+  }
+
+  // Content is indented 2 spaces past the key (or list item), and the closing
+  // delimiter is at the key's indent.
+  const keyIndent = isRootLevel ? 0 : indent - 2;
+
+  lines[lines.length - 1] += '"""';
+
+  // Every line is kept, so a trailing newline ends the block with a blank line.
+  strLines.forEach(line => {
+    lines.push(line === '' ? '' : ' '.repeat(keyIndent + 2) + line);
+  });
+
+  lines.push(' '.repeat(keyIndent) + '"""');
+}
+
+// Determines if a line can be written as is in a multi-line string: it
+// can't have trailing whitespace or carriage returns, or be mistaken for the
+// closing delimiter.
+function isBlockLine(line) {
+  return !line.includes('\r') && line === line.trimEnd() && !/^ *"""/.test(line);
+}
+
+// Quotes a single-line string.
+export function quoteString(str) {
+  return '"' + str.replace(/["\\\n\t\r\f\v]/g, c => ESCAPES[c]) + '"';
 }
 
 // Encode an array value.
-function toArray(arr, indent, lines, isRootLevel = false) {
+function toArray(arr, indent, lines, cfg, isRootLevel = false) {
   if (arr.length === 0) {
     lines[lines.length - 1] += '[]';
     return;
   }
 
+  if (writeInline(arr, lines, cfg, isRootLevel)) {
+    return;
+  }
+
   // For root level arrays, don't add extra indentation.
   const itemIndent = isRootLevel ? 0 : indent;
 
   arr.forEach((item, i) => {
-    lines.push(' '.repeat(itemIndent) + '- ');
-
-    if (isVector(item)) {
-      lines[lines.length - 1] += '::';
-      toValue(item, itemIndent + 2, lines);
-    } else {
-      toValue(item, itemIndent, lines);
-    }
+    writeListItem(item, itemIndent, lines, cfg);
   });
 }
 
-// Encode an object value.
-function toObject(obj, indent, lines, isRootLevel = false) {
-  const entries = Object.entries(obj);
+// Writes a list item.
+function writeListItem(item, indent, lines, cfg) {
+  lines.push(' '.repeat(indent) + '- ');
+
+  if (isVector(item)) {
+    lines[lines.length - 1] += isEmptyVector(item) ? ':: ' : '::';
+  }
 
-  if (entries.length === 0) {
+  toValue(item, indent + 2, lines, cfg);
+}
+
+// Encode a dict value.
+function toObject(obj, indent, lines, cfg, isRootLevel = false) {
+  if (obj.size === 0) {
     lines[lines.length - 1] += '{}';
     return;
   }
 
-  // Sort keys for deterministic output.
-  entries.sort(([a], [b]) => a.localeCompare(b));
+  if (writeInline(obj, lines, cfg, isRootLevel)) {
+    return;
+  }
+
+  const entries = sortedEntries(obj, cfg);
 
   // For root level objects, don't add extra indentation.
   const keyIndent = isRootLevel ? 0 : indent;
 
   entries.forEach(([key, value], i) => {
-    writeKeyValuePair(key, value, keyIndent, lines);
+    writeKeyValuePair(key, value, keyIndent, lines, cfg);
   });
 }
 
+// Returns the entries of a dict in the order set by cfg.sortKeys.
+function sortedEntries(obj, cfg) {
+  const entries = [...obj];
+
+  // Sort keys for deterministic output.
+  if (typeof cfg.sortKeys === 'function') {
+    entries.sort(([a], [b]) => cfg.sortKeys(a, b));
+  } else if (cfg.sortKeys) {
+    entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  return entries;
+}
+
 // Writes a key-value pair.
-function writeKeyValuePair(key, value, indent, lines) {
+function writeKeyValuePair(key, value, indent, lines, cfg) {
   lines.push(' '.repeat(indent) + quoteKey(key));
 
   const isVec = isVector(value);
@@ -120,39 +473,219 @@ function writeKeyValuePair(key, value, indent, lines) {
     lines[lines.length - 1] += ': ';
   }
 
-  toValue(value, indent + 2, lines);
+  toValue(value, indent + 2, lines, cfg);
 }
 
-// Determines if a value is a vector (array or object).
+// Determines if a prepared value is a vector (list or dict).
 function isVector(value) {
-  return value !== null && (Array.isArray(value) || (typeof value === 'object' && value.constructor === Object));
+  return Array.isArray(value) || value instanceof Map;
 }
 
 // Determines if a vector is empty.
 function isEmptyVector(value) {
   if (Array.isArray(value)) return value.length === 0;
-  if (typeof value === 'object' && value !== null) {
-    return Object.keys(value).length === 0;
-  }
+  if (value instanceof Map) return value.size === 0;
   return false;
 }
 
 // Quotes a key if necessary.
-function quoteKey(key) {
-  return BARE_KEY_REGEX.test(key) ? key : JSON.stringify(key);
+export function quoteKey(key) {
+  return BARE_KEY_REGEX.test(key) ? key : quoteString(key);
 }
 
 // Convert a JS object to HUML format.
 export function stringify(obj, cfg) {
-  const lines = [];
+  return [...encode(obj, cfg)].join('');
+}
 
-  if (cfg && cfg.includeVersion) {
-    lines.push('%HUML v0.2.0');
-    lines.push('');
+// Encodes a value as chunks of HUML text: the version header, then each entry
+// of a root dict or item of a root list, or the whole document for other
+// roots.
+function* encode(obj, cfg) {
+  cfg = configure(cfg);
+
+  if (cfg.includeVersion) {
+    yield '%HUML v0.2.0\n\n';
   }
 
-  toValue(obj, 0, lines, true);
-  lines.push(''); // Ensure document ends with newline.
+  const value = prepare({ '': obj }, '', obj, cfg, newRefs(cfg));
+
+  // Scalars and empty vectors are written on a line of their own.
+  if (!isVector(value) || isEmptyVector(value)) {
+    yield chunk(lines => {
+      lines.push('');
+      toValue(value, 0, lines, cfg, true);
+    });
+    return;
+  }
 
-  return lines.join('\n');
+  const inline = toInline(value, 0, cfg, true);
+  if (inline !== null) {
+    yield inline + '\n';
+  } else if (Array.isArray(value)) {
+    for (const item of value) {
+      yield chunk(lines => writeListItem(item, 0, lines, cfg));
+    }
+  } else {
+    for (const [key, val] of sortedEntries(value, cfg)) {
+      yield chunk(lines => writeKeyValuePair(key, val, 0, lines, cfg));
+    }
+  }
+}
+
+// Encodes a value as an async sequence of chunks of HUML text. An async
+// iterable (eg: a database cursor) is encoded as a root list, one item at a
+// time, without holding the items in memory.
+export async function* stringifyStream(obj, cfg) {
+  if (obj === null || typeof obj !== 'object' || typeof obj[Symbol.asyncIterator] !== 'function') {
+    yield* encode(obj, cfg);
+    return;
+  }
+
+  cfg = configure(cfg);
+
+  if (cfg.includeVersion) {
+    yield '%HUML v0.2.0\n\n';
+  }
+
+  // Shared references are tracked across items, as in a list.
+  const refs = newRefs(cfg);
+  let i = 0;
+
+  for await (const item of obj) {
+    const value = prepareChild(obj, i++, item, cfg, refs);
+    yield chunk(lines => writeListItem(value === undefined ? null : value, 0, lines, cfg));
+  }
+
+  if (i === 0) {
+    yield '[]\n';
+  }
+}
+
+// Writes the chunks of stringifyStream() to a Node Writable or a WHATWG
+// WritableStream, waiting for it to drain when its buffer is full, then ends
+// the stream.
+export async function stringifyTo(writable, obj, cfg) {
+  const chunks = stringifyStream(obj, cfg);
+
+  if (typeof writable.getWriter === 'function') {
+    const writer = writable.getWriter();
+
+    try {
+      for await (const text of chunks) {
+        await writer.write(text);
+      }
+      await writer.close();
+    } catch (err) {
+      await writer.abort(err).catch(() => {});
+      throw err;
+    } finally {
+      writer.releaseLock();
+    }
+    return;
+  }
+
+  if (typeof writable.write !== 'function' || typeof writable.end !== 'function') {
+    throw new TypeError('stringifyTo() expects a Node Writable or a WritableStream');
+  }
+
+  // Errors are kept until the next wait, rather than left unhandled.
+  let error = null;
+  const onError = err => { error = err; };
+  writable.on('error', onError);
+
+  try {
+    for await (const text of chunks) {
+      if (error) throw error;
+      if (!writable.write(text)) {
+        await waitFor(writable, 'drain', () => error);
+      }
+    }
+
+    if (error) throw error;
+    writable.end();
+    await waitFor(writable, 'finish', () => error);
+  } catch (err) {
+    // The listener stays, as destroy() emits err on the stream again.
+    writable.destroy(err);
+    throw err;
+  }
+
+  writable.off('error', onError);
+}
+
+// Resolves when a Node stream emits event, rejects on an error or when the
+// stream is closed first.
+function waitFor(stream, event, getError) {
+  return new Promise((resolve, reject) => {
+    const err = getError();
+    if (err) {
+      reject(err);
+      return;
+    }
+    if (stream.destroyed) {
+      reject(prematureClose());
+      return;
+    }
+
+    const done = () => {
+      stream.off(event, onEvent);
+      stream.off('error', onError);
+      stream.off('close', onClose);
+    };
+    const onEvent = () => {
+      done();
+      resolve();
+    };
+    const onError = err => {
+      done();
+      reject(err);
+    };
+    // 'close' follows 'error', so the error is preferred when there is one.
+    const onClose = () => {
+      done();
+      reject(getError() || prematureClose());
+    };
+
+    stream.once(event, onEvent);
+    stream.once('error', onError);
+    stream.once('close', onClose);
+  });
+}
+
+// Returns the error for a stream that closed before it finished.
+function prematureClose() {
+  const err = new Error('stream was closed before stringifyTo() finished');
+  err.code = 'ERR_STREAM_PREMATURE_CLOSE';
+  return err;
+}
+
+// Returns the options merged with the defaults.
+function configure(cfg) {
+  cfg = { ...CFG, ...cfg };
+
+  if (!CIRCULAR_MODES.includes(cfg.circular)) {
+    throw new TypeError(`invalid circular option '${cfg.circular}', expected one of ${CIRCULAR_MODES.join(', ')}`);
+  }
+  if (!SHARED_MODES.includes(cfg.shared)) {
+    throw new TypeError(`invalid shared option '${cfg.shared}', expected one of ${SHARED_MODES.join(', ')}`);
+  }
+
+  return cfg;
+}
+
+// Returns the reference tracking state for prepare().
+function newRefs(cfg) {
+  return {
+    path: [],
+    parents: new Map(),
+    seen: cfg.shared === 'duplicate' ? null : new Map(),
+  };
+}
+
+// Returns the lines written by write as text.
+function chunk(write) {
+  const lines = [];
+  write(lines);
+  return lines.join('\n') + '\n';
 }
@@ -1,7 +1,8 @@
 import { test } from 'node:test';
 import { strict as assert } from 'node:assert';
 import { readFileSync } from 'node:fs';
-import { stringify } from './encode.js';
+import { Writable } from 'node:stream';
+import { stringify, stringifyStream, stringifyTo } from './encode.js';
 import huml from './decode.js';
 
 
@@ -25,6 +26,328 @@ test('TestEncodeDoc', () => {
     assert.deepEqual(out, resJson, 'mixed.huml and mixed.json should be deeply equal');
 });
 
+test('TestEncodeBigInt', () => {
+    const value = { id: 9007199254740993n, neg: -18446744073709551615n };
+    const encoded = stringify(value);
+
+    assert.equal(encoded, 'id: 9007199254740993\nneg: -18446744073709551615\n');
+    assert.deepEqual(huml.parse(encoded, { bigint: 'auto' }), value);
+});
+
+test('TestEncodeRootScalars', () => {
+    // Scalars and empty vectors at the root used to encode as an empty document.
+    const cases = [
+        [1, '1\n'],
+        ['s', '"s"\n'],
+        [null, 'null\n'],
+        [[], '[]\n'],
+        [{}, '{}\n'],
+    ];
+
+    for (const [value, expected] of cases) {
+        assert.equal(stringify(value), expected);
+        assert.deepEqual(huml.parse(stringify(value)), value);
+    }
+    assert.equal(stringify(1, { includeVersion: true }), '%HUML v0.2.0\n\n1\n');
+});
+
+test('TestEncodeHooks', () => {
+    class Point {
+        constructor(x, y) {
+            this.x = x;
+            this.y = y;
+        }
+    }
+    class Money {
+        constructor(amount, currency) {
+            this.amount = amount;
+            this.currency = currency;
+        }
+    }
+    class Version {
+        toJSON(key) {
+            return `v1 (${key})`;
+        }
+    }
+
+    const value = {
+        point: new Point(1, 2),
+        price: new Money(5, 'EUR'),
+        version: new Version(),
+        skip: undefined,
+        fn() {},
+        list: [undefined, 1],
+        secret: 'x',
+    };
+
+    // Class instances are dicts; undefined and functions are dropped from
+    // dicts and become null in lists, as in JSON.
+    assert.deepEqual(huml.parse(stringify(value)), {
+        point: { x: 1, y: 2 },
+        price: { amount: 5, currency: 'EUR' },
+        version: 'v1 (version)',
+        list: [null, 1],
+        secret: 'x',
+    });
+
+    const serializers = new Map([[Money, (m) => `${m.amount} ${m.currency}`]]);
+    assert.equal(huml.parse(stringify(value, { serializers })).price, '5 EUR');
+
+    const replacer = function (key, val) {
+        assert.ok(typeof this === 'object');
+        return key === 'secret' ? undefined : val;
+    };
+    assert.equal(huml.parse(stringify(value, { replacer })).secret, undefined);
+
+    assert.equal(stringify(value, { replacer: ['point', 'x'] }), 'point::\n  x: 1\n');
+});
+
+test('TestEncodeBuiltins', () => {
+    const value = {
+        map: new Map([[2, 'two'], ['one', new Set(['a', 'b'])]]),
+        date: new Date(0),
+        bytes: new Uint8Array([104, 105]),
+        floats: new Float64Array([1.5]),
+    };
+
+    assert.deepEqual(huml.parse(stringify(value)), {
+        map: { 2: 'two', one: ['a', 'b'] },
+        date: '1970-01-01T00:00:00.000Z',
+        bytes: 'aGk=',
+        floats: [1.5],
+    });
+
+    assert.equal(stringify(value.bytes, { binary: 'hex' }), '"6869"\n');
+    assert.equal(stringify(new Date(NaN)), 'null\n');
+    assert.throws(() => stringify(new Map([[{}, 1]])), TypeError);
+    assert.throws(() => stringify(new Map([[1, 1], ['1', 2]])), TypeError);
+    assert.throws(() => stringify(value, { binary: 'utf8' }), TypeError);
+
+    // Maps decoded from HUML encode back with the same keys.
+    const decoded = huml.parse('"2": 1\nb:: c: 2', { dicts: 'map' });
+    assert.deepEqual(huml.parse(stringify(decoded), { dicts: 'map' }), decoded);
+});
+
+test('TestEncodeSortKeys', () => {
+    const value = { name: 'x', dependencies: { b: 1, a: 2 }, Zeta: 1, alpha: 2 };
+
+    // Keys are sorted by code unit, independent of the locale.
+    assert.equal(
+        stringify(value),
+        'Zeta: 1\nalpha: 2\ndependencies::\n  a: 2\n  b: 1\nname: "x"\n'
+    );
+    assert.equal(
+        stringify(value, { sortKeys: false }),
+        'name: "x"\ndependencies::\n  b: 1\n  a: 2\nZeta: 1\nalpha: 2\n'
+    );
+    assert.equal(
+        stringify(value, { sortKeys: (a, b) => b.length - a.length }),
+        'dependencies::\n  b: 1\n  a: 2\nalpha: 2\nname: "x"\nZeta: 1\n'
+    );
+});
+
+test('TestEncodeInline', () => {
+    const value = {
+        ports: [80, 443],
+        env: { A: '1', B: 2 },
+        tags: ['a', 'b:c'],
+        nested: [[1, 2], { x: null }, []],
+        long: Array.from({ length: 20 }, (_, i) => i * 1000),
+    };
+
+    assert.equal(
+        stringify(value, { inline: 'auto' }),
+        'env:: A: "1", B: 2\nlong::\n' + value.long.map(n => `  - ${n}\n`).join('') +
+        'nested::\n  - :: 1, 2\n  - :: x: null\n  - :: []\nports:: 80, 443\ntags::\n  - "a"\n  - "b:c"\n'
+    );
+    assert.match(stringify(value, { inline: 'always' }), /^long:: 0, 1000, .*, 19000$/m);
+    assert.equal(stringify(value), stringify(value, { inline: 'never' }));
+
+    for (const inline of ['auto', 'always']) {
+        assert.deepEqual(huml.parse(stringify(value, { inline })), value);
+    }
+
+    // Root vectors need two entries to read back as vectors.
+    assert.equal(stringify([1, 2], { inline: 'auto' }), '1, 2\n');
+    assert.equal(stringify({ a: 1 }, { inline: 'auto' }), 'a: 1\n');
+    assert.equal(stringify({ a: 1, b: [] }, { inline: 'auto' }), 'a: 1\nb:: []\n');
+    assert.throws(() => stringify([1], { inline: 'yes' }), TypeError);
+});
+
+test('TestEncodeReferences', () => {
+    const root = { name: 'a', servers: [{ host: 'x' }] };
+    root.servers[0].parent = root;
+
+    assert.throws(() => stringify(root), {
+        name: 'TypeError',
+        message: 'Circular reference: servers[0].parent points back to the root',
+    });
+    assert.equal(
+        stringify(root, { circular: 'placeholder' }),
+        'name: "a"\nservers::\n  - ::\n    host: "x"\n    parent: "[Circular]"\n'
+    );
+
+    const list = [];
+    list.push(new Map([['self', list]]));
+    assert.throws(() => stringify({ 'a b': list }), {
+        message: 'Circular reference: "a b"[0].self points back to "a b"',
+    });
+
+    // Shared objects are not cycles, and are encoded each time by default.
+    const shared = { v: 1 };
+    const value = { x: shared, y: [shared] };
+
+    assert.equal(stringify(value), 'x::\n  v: 1\ny::\n  - ::\n    v: 1\n');
+    assert.throws(() => stringify(value, { shared: 'throw' }), {
+        message: 'Shared reference: y[0] is the same object as x',
+    });
+    assert.equal(
+        stringify(value, { shared: 'placeholder', placeholder: null }),
+        'x::\n  v: 1\ny::\n  - null\n'
+    );
+    assert.throws(() => stringify(value, { shared: 'yes' }), TypeError);
+});
+
+test('TestEncodeStrings', () => {
+    assert.equal(stringify({ s: 'a\nb\n' }), 's: """\n  a\n  b\n\n"""\n');
+    assert.equal(stringify(['a\nb']), '- """\n  a\n  b\n"""\n');
+    assert.equal(stringify('a\nb'), '"""\n  a\n  b\n"""\n');
+
+    // Lines that wouldn't read back the same fall back to a quoted string.
+    assert.equal(stringify({ s: 'a \nb' }), 's: "a \\nb"\n');
+    assert.equal(stringify({ s: 'a\r\nb' }), 's: "a\\r\\nb"\n');
+    assert.equal(stringify({ s: 'a\n  """' }), 's: "a\\n  \\"\\"\\""\n');
+
+    // Only HUML's escapes are used; other control characters are kept as is.
+    assert.equal(stringify({ s: '\b\u0001\t"\\' }), 's: "\b\u0001\\t\\"\\\\"\n');
+});
+
+test('TestEncodeStringsRoundTrip', () => {
+    const random = mulberry32(0x48554d4c);
+    const pieces = ['a', 'Z', '0', ' ', '  ', '\n', '\r', '\t', '"', '\\', '"""', '#', ': ', ',', '\u0000', '\b', '\f', '\v', 'é', '😀', '\ud800'];
+
+    const randomString = () => {
+        let str = '';
+        const length = Math.floor(random() * 12);
+        for (let i = 0; i < length; i++) {
+            str += pieces[Math.floor(random() * pieces.length)];
+        }
+        return str;
+    };
+
+    for (let i = 0; i < 500; i++) {
+        const str = randomString();
+        const values = [
+            str,
+            [str, randomString()],
+            { [randomString()]: str, list: [[str]], dict: { x: str } },
+        ];
+
+        for (const value of values) {
+            for (const inline of ['never', 'always']) {
+                const text = stringify(value, { inline });
+                assert.deepEqual(huml.parse(text), value, text);
+            }
+        }
+    }
+});
+
+test('TestEncodeStream', async () => {
+    const collect = async (chunks) => {
+        const out = [];
+        for await (const chunk of chunks) {
+            out.push(chunk);
+        }
+        return out;
+    };
+
+    // Plain values are written as stringify() writes them, one chunk per
+    // top-level entry or item.
+    const value = { b: [1, 2], a: { c: 'x\ny' }, d: [] };
+    for (const options of [{}, { includeVersion: true }, { inline: 'always', sortKeys: false }]) {
+        const chunks = await collect(stringifyStream(value, options));
+        assert.equal(chunks.join(''), stringify(value, options));
+    }
+    assert.deepEqual(await collect(stringifyStream({ b: 1, a: 2 })), ['a: 2\n', 'b: 1\n']);
+    assert.deepEqual(await collect(stringifyStream('x')), ['"x"\n']);
+
+    // Async iterables are written as a root list.
+    async function* rows(n) {
+        for (let i = 0; i < n; i++) {
+            yield { id: i, at: new Date(0), skip: undefined };
+        }
+    }
+
+    const chunks = await collect(stringifyStream(rows(3), { includeVersion: true }));
+    assert.equal(chunks.length, 4);
+    assert.deepEqual(huml.parse(chunks.join('')), [0, 1, 2].map(id => ({ id, at: '1970-01-01T00:00:00.000Z' })));
+    assert.deepEqual(await collect(stringifyStream(rows(0))), ['[]\n']);
+
+    const shared = { x: 1 };
+    async function* twice() {
+        yield shared;
+        yield shared;
+    }
+    await assert.rejects(collect(stringifyStream(twice(), { shared: 'throw' })), /\[1\] is the same object as \[0\]/);
+});
+
+test('TestEncodeStreamTo', async () => {
+    // A Node Writable with a small buffer, so writes wait for it to drain.
+    let text = '';
+    const writable = new Writable({
+        highWaterMark: 8,
+        write(chunk, encoding, callback) {
+            text += chunk;
+            setImmediate(callback);
+        }
+    });
+
+    const items = (async function* () {
+        for (let i = 0; i < 100; i++) yield i;
+    })();
+    await stringifyTo(writable, items);
+    assert.deepEqual(huml.parse(text), Array.from({ length: 100 }, (_, i) => i));
+    assert.equal(writable.writableFinished, true);
+
+    const failing = new Writable({
+        write(chunk, encoding, callback) {
+            callback(new Error('disk full'));
+        }
+    });
+    await assert.rejects(stringifyTo(failing, [1, 2, 3]), /disk full/);
+
+    // An encoding error destroys the stream.
+    const circular = { a: 1 };
+    circular.self = circular;
+    const sink = new Writable({ write(chunk, encoding, callback) { callback(); } });
+    await assert.rejects(stringifyTo(sink, circular), /points back to the root/);
+    assert.equal(sink.destroyed, true);
+
+    // A stream destroyed without an error while it's full rejects rather than
+    // waiting for 'drain' forever.
+    const stalled = new Writable({ highWaterMark: 1, write() {} });
+    const pending = stringifyTo(stalled, [1, 2, 3]);
+    setImmediate(() => stalled.destroy());
+    await assert.rejects(pending, { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+
+    // A WHATWG WritableStream.
+    let out = '';
+    await stringifyTo(new WritableStream({ write(chunk) { out += chunk; } }), { a: 1 });
+    assert.equal(out, 'a: 1\n');
+
+    await assert.rejects(stringifyTo({}, 1), TypeError);
+});
+
+// A small seeded PRNG, so failures can be reproduced.
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 function normalizeToJSON(obj) {
     if (obj === null || obj === undefined) return null;
 
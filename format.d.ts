@@ -0,0 +1,11 @@
+export interface FormatOptions {
+    /** false keeps the document's key order (the default), true sorts keys by UTF-16 code units. */
+    sortKeys?: boolean | ((a: string, b: string) => number);
+    /** When vectors are written inline. Defaults to 'auto'. */
+    inline?: 'auto' | 'always' | 'never' | 'preserve';
+    /** The line width for inline: 'auto'. Defaults to 80. */
+    maxLineWidth?: number;
+}
+
+/** Rewrites HUML text in the canonical style, keeping comments. Throws HUMLError for invalid input. */
+export function format(text: string, options?: FormatOptions): string;
@@ -0,0 +1,228 @@
+/**
+ * format() rewrites HUML text in a canonical style without losing comments.
+ *
+ * It works on the Document tree, so comments and blank lines stay attached to
+ * the entries they precede and move with them when keys are sorted. The
+ * formatter
+ *
+ * - re-indents comments to the entry they belong to, and puts a single space
+ *   before trailing comments,
+ * - collapses runs of blank lines and drops blank lines at the start of
+ *   vectors and the end of the document,
+ * - writes keys bare where possible and strings with the encoder's escapes,
+ * - normalises number literals: no '+' sign, lower case letters and no
+ *   leading zeros (digit separators are kept),
+ * - writes vectors inline or one entry per line as per the inline option,
+ * - optionally sorts dict keys.
+ */
+
+import { quoteKey, quoteString } from './encode.js';
+import { parseDocument, childrenOf, inlineText, isMultilineVector } from './document.js';
+
+const CFG = {
+    // Dict key order: false keeps the document's order, true sorts keys by
+    // UTF-16 code units and a function (a, b) => number sorts with it.
+    sortKeys: false,
+
+    // When vectors are written inline: 'auto' (vectors of scalars, when the
+    // line fits in maxLineWidth), 'always' (vectors of scalars), 'never' or
+    // 'preserve' (as they are written).
+    inline: 'auto',
+    maxLineWidth: 80,
+};
+
+const INLINE_MODES = ['auto', 'always', 'never', 'preserve'];
+
+// Formats HUML text. Throws HUMLError for invalid input.
+export function format(text, options = {}) {
+    const cfg = { ...CFG, ...options };
+    if (!INLINE_MODES.includes(cfg.inline)) {
+        throw new TypeError(`invalid inline option '${cfg.inline}', expected one of ${INLINE_MODES.join(', ')}`);
+    }
+
+    const doc = parseDocument(text);
+    const root = doc.root;
+
+    doc.before = formatTrivia(doc.before, 0, true);
+    doc.comment = formatComment(doc.comment);
+
+    if (root.type === 'dict' || root.type === 'list') {
+        formatRoot(doc, cfg);
+    } else {
+        formatValue(root, 0, cfg);
+    }
+
+    // The version header is followed by one blank line.
+    if (doc.version) {
+        const first = isMultilineVector(root) ? childrenOf(root)[0].before : doc.before;
+        if (first.length === 0 || first[0].type !== 'blank') {
+            first.unshift({ type: 'blank', range: null });
+        }
+    }
+
+    doc.after = formatTrivia(doc.after, 0, false);
+    while (doc.after.length > 0 && doc.after[doc.after.length - 1].type === 'blank') {
+        doc.after.pop();
+    }
+    doc.finalNewline = true;
+
+    return doc.toString();
+}
+
+// Formats a root dict or list. Root vectors are never made inline, as a
+// document of `a: 1, b: 2` reads worse than one key per line, but inline ones
+// that are too wide are split.
+function formatRoot(doc, cfg) {
+    const root = doc.root;
+
+    if (root.style === 'inline' && doc.comment === null &&
+        (cfg.inline === 'never' || (cfg.inline === 'auto' && inlineText(root).length > cfg.maxLineWidth))) {
+        root.style = 'multiline';
+        childrenOf(root)[0].before = doc.before;
+        doc.before = [];
+    }
+
+    if (root.style === 'multiline') {
+        formatChildren(root, 0, cfg);
+    } else {
+        formatValue(root, 0, cfg);
+    }
+}
+
+// Formats the entries or items of a multiline vector at indent.
+function formatChildren(node, indent, cfg) {
+    if (node.type === 'dict') {
+        sortEntries(node, cfg);
+    }
+
+    childrenOf(node).forEach((child, i) => {
+        child.before = formatTrivia(child.before, indent, i === 0);
+        child.comment = formatComment(child.comment);
+
+        let head = ' '.repeat(indent) + '-';
+        if (child.type === 'pair') {
+            child.key = formatKey(child.key);
+            head = ' '.repeat(indent) + child.key.raw;
+        }
+
+        const value = child.value;
+        if (value.type === 'dict' || value.type === 'list') {
+            setStyle(value, head, child.comment, cfg);
+        }
+
+        if (isMultilineVector(value)) {
+            formatChildren(value, indent + 2, cfg);
+        } else {
+            formatValue(value, indent, cfg);
+        }
+    });
+}
+
+// Formats a scalar, multiline string or inline vector.
+function formatValue(node, indent, cfg) {
+    if (node.type === 'dict' || node.type === 'list') {
+        for (const child of childrenOf(node)) {
+            if (child.type === 'pair') {
+                child.key = formatKey(child.key);
+            }
+            formatValue(child.value, indent, cfg);
+        }
+    } else if (node.type === 'multiline') {
+        node.openComment = formatComment(node.openComment);
+        node.closeComment = formatComment(node.closeComment);
+    } else if (node.kind === 'string') {
+        node.raw = quoteString(node.value);
+    } else if (node.kind === 'number') {
+        node.raw = formatNumber(node.raw);
+    }
+}
+
+// Picks the style of a non-root vector as per cfg.inline. head is the text
+// before its '::'.
+function setStyle(node, head, comment, cfg) {
+    if (node.style === 'empty' || cfg.inline === 'preserve') {
+        return;
+    }
+
+    const children = childrenOf(node);
+    const canInline = children.every(child =>
+        child.value.type === 'scalar' && child.before.length === 0 && child.comment === null
+    );
+
+    if (!canInline || cfg.inline === 'never') {
+        node.style = 'multiline';
+        return;
+    }
+
+    node.style = 'inline';
+    if (cfg.inline === 'auto') {
+        // Measure the line with the final spelling of keys and scalars.
+        formatValue(node, 0, cfg);
+        const width = head.length + 3 + inlineText(node).length + (comment ? 1 + comment.text.length : 0);
+
+        if (width > cfg.maxLineWidth) {
+            node.style = 'multiline';
+        }
+    }
+}
+
+// Sorts the pairs of a dict as per cfg.sortKeys. Comments move with their
+// pairs, but trivia above the first pair's last blank line stays at the top.
+function sortEntries(node, cfg) {
+    if (!cfg.sortKeys || node.entries.length < 2) {
+        return;
+    }
+
+    const first = node.entries[0];
+    const lastBlank = first.before.map(t => t.type).lastIndexOf('blank');
+    const header = first.before.splice(0, lastBlank + 1);
+
+    const compare = typeof cfg.sortKeys === 'function'
+        ? cfg.sortKeys
+        : (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    node.entries.sort((a, b) => compare(a.key.value, b.key.value));
+
+    node.entries[0].before.unshift(...header);
+}
+
+// Re-indents comment lines to indent and collapses blank lines. Leading
+// blank lines are dropped when isFirst is set.
+function formatTrivia(trivia, indent, isFirst) {
+    const out = [];
+
+    for (const node of trivia) {
+        if (node.type === 'blank') {
+            const prev = out[out.length - 1];
+            if ((prev === undefined && isFirst) || (prev && prev.type === 'blank')) {
+                continue;
+            }
+            out.push(node);
+        } else {
+            out.push({ ...node, prefix: ' '.repeat(indent) });
+        }
+    }
+
+    return out;
+}
+
+// Trailing comments are separated from the value by one space.
+function formatComment(comment) {
+    return comment && { ...comment, prefix: ' ' };
+}
+
+function formatKey(key) {
+    const raw = quoteKey(key.value);
+    return raw === key.raw ? key : { ...key, raw };
+}
+
+// Normalises a number literal: no '+' sign, lower case letters (for hex
+// digits, exponents and inf/nan) and no leading zeros in decimals.
+function formatNumber(raw) {
+    const out = raw.toLowerCase().replace(/^\+/, '');
+
+    if (/^-?0[xob]/.test(out)) {
+        return out;
+    }
+
+    return out.replace(/^(-?)0+(?=\d)/, '$1').replace('e+', 'e');
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { format } from './format.js';
+import { parse } from './decode.js';
+
+const DOC = `%HUML v0.2.0
+# Top comment
+
+
+"name": "demo"  # trailing
+hex: 0xFF
+num: +1_000.50E+3
+flags::
+  - true
+  - false
+server::  # server settings
+
+  port: 8_080
+      # host comment
+  host: "local\\/host"
+
+
+  tags:: "a", "b"
+text: """   # open
+  line one
+
+    indented
+"""  # close
+long:: 1111111111, 2222222222, 3333333333, 4444444444, 5555555555, 6666666666, 7777777777
+# end
+
+
+`;
+
+test('TestFormat', () => {
+    const expected = `%HUML v0.2.0
+
+# Top comment
+
+name: "demo" # trailing
+hex: 0xff
+num: 1_000.50e3
+flags:: true, false
+server:: # server settings
+  port: 8_080
+  # host comment
+  host: "local/host"
+
+  tags:: "a", "b"
+text: """ # open
+  line one
+
+    indented
+""" # close
+long::
+  - 1111111111
+  - 2222222222
+  - 3333333333
+  - 4444444444
+  - 5555555555
+  - 6666666666
+  - 7777777777
+# end
+`;
+
+    assert.equal(format(DOC), expected);
+    assert.equal(format(expected), expected);
+    assert.deepEqual(parse(expected), parse(DOC));
+});
+
+test('TestFormatSortKeys', () => {
+    const text = '# header\n\n# b comment\nb: 1\na:: # a comment\n  # d\n  d: 1\n  c: 2\n';
+
+    // The header stays at the top, other comments move with their keys.
+    assert.equal(
+        format(text, { sortKeys: true, inline: 'never' }),
+        '# header\n\na:: # a comment\n  c: 2\n  # d\n  d: 1\n# b comment\nb: 1\n'
+    );
+    assert.equal(
+        format(text, { sortKeys: (a, b) => (a < b ? 1 : -1) }),
+        '# header\n\n# b comment\nb: 1\na:: # a comment\n  # d\n  d: 1\n  c: 2\n'
+    );
+});
+
+test('TestFormatInline', () => {
+    const text = 'a::\n  - 1\n  - 2\nb:: x: 1, y: 2\nc::\n  - 1 # one\n  - 2\n';
+
+    assert.equal(format(text), 'a:: 1, 2\nb:: x: 1, y: 2\nc::\n  - 1 # one\n  - 2\n');
+    assert.equal(format(text, { inline: 'never' }), 'a::\n  - 1\n  - 2\nb::\n  x: 1\n  y: 2\nc::\n  - 1 # one\n  - 2\n');
+    assert.equal(format(text, { inline: 'preserve' }), text);
+    assert.equal(format(text, { maxLineWidth: 8 }), 'a:: 1, 2\nb::\n  x: 1\n  y: 2\nc::\n  - 1 # one\n  - 2\n');
+
+    // Root vectors are not made inline.
+    assert.equal(format('a: 1\nb: 2\n'), 'a: 1\nb: 2\n');
+    assert.equal(format('1, 2  # c'), '1, 2 # c\n');
+    assert.equal(format('1, 2', { inline: 'never' }), '- 1\n- 2\n');
+
+    assert.throws(() => format('a: 1', { inline: 'yes' }), TypeError);
+    assert.throws(() => format('a: 1\na: 2'), { name: 'HUMLError', code: 'DUPLICATE_KEY' });
+});
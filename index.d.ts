@@ -0,0 +1,22 @@
+export { parse, HUMLError } from './decode.js';
+export type { HUMLErrorCode, ParseOptions, RecoverResult, Reviver, ReviverContext, PathSegment } from './decode.js';
+export { tokenize } from './tokenize.js';
+export type { Token, TokenType } from './tokenize.js';
+export { stringify, stringifyStream, stringifyTo } from './encode.js';
+export type { StringifyOptions, Replacer, Serializer, NodeWritable } from './encode.js';
+export { parseDocument, Document } from './document.js';
+export type { Path, Range, ValueNode, DictNode, ListNode, ScalarNode, MultilineNode, PairNode, ItemNode, KeyNode, CommentNode, BlankNode, TriviaNode, VersionNode } from './document.js';
+export { format } from './format.js';
+export type { FormatOptions } from './format.js';
+export { validate, defineSchema } from './schema.js';
+export type { JSONSchema, JSONSchemaType, FromSchema, Schema, ValidationResult } from './schema.js';
+export { parseStream } from './stream.js';
+export type { StreamEvent, StreamSource } from './stream.js';
+export { query } from './query.js';
+export type { QueryMatch } from './query.js';
+export { merge, MergedDocument } from './merge.js';
+export type { MergeOptions, ValueSource } from './merge.js';
+export { interpolate } from './interpolate.js';
+export type { InterpolateOptions } from './interpolate.js';
+export { fromYAML, toYAML, fromTOML, toTOML, fromJSON, toJSON } from './convert.js';
+export type { ConvertOptions, ToJSONOptions, ConvertResult, ReportEntry } from './convert.js';
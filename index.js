@@ -1,2 +1,11 @@
-export { parse } from './decode.js';
-export { stringify } from './encode.js';
+export { parse, HUMLError } from './decode.js';
+export { tokenize } from './tokenize.js';
+export { stringify, stringifyStream, stringifyTo } from './encode.js';
+export { parseDocument, Document } from './document.js';
+export { format } from './format.js';
+export { validate, defineSchema } from './schema.js';
+export { parseStream } from './stream.js';
+export { query } from './query.js';
+export { merge, MergedDocument } from './merge.js';
+export { interpolate } from './interpolate.js';
+export { fromYAML, toYAML, fromTOML, toTOML, fromJSON, toJSON } from './convert.js';
@@ -0,0 +1,13 @@
+export interface InterpolateOptions {
+    /** The environment variables, eg: process.env. Defaults to none. */
+    env?: Record<string, string | undefined>;
+    /** Throw for unresolved placeholders (the default), rather than leave them as they are. */
+    strict?: boolean;
+}
+
+/**
+ * Returns a copy of parse() output with `${...}` placeholders substituted.
+ * Throws HUMLError with code INTERPOLATION for unresolved placeholders and
+ * reference cycles.
+ */
+export function interpolate<T = unknown>(value: unknown, options?: InterpolateOptions): T;
@@ -0,0 +1,208 @@
+/**
+ * interpolate() substitutes placeholders in the strings of a parsed document:
+ *
+ *   ${DB_HOST}                   an environment variable
+ *   ${server.host}               the value at a path in the document
+ *   ${DB_PORT:-5432}             a fallback for missing or empty values
+ *   $${literal}                  an escaped placeholder, written as ${literal}
+ *
+ * Names are looked up as paths in the document first, then in env. A string
+ * that is a single placeholder takes the value it refers to, of any type.
+ * Otherwise scalars are inserted as text. References are resolved
+ * recursively, so they can refer to other interpolated strings, but not in a
+ * cycle.
+ */
+
+import { HUMLError } from './decode.js';
+import { parsePath, formatPath } from './path.js';
+
+// An escape, or a placeholder with its body and '}', which is empty when the
+// string ends first.
+const PLACEHOLDER_REGEX = /\$\$\{|\$\{([^}]*)(\}|$)/g;
+
+// Returns a copy of value, the output of parse(), with the placeholders in
+// its strings substituted. Options:
+//
+//   env: the environment variables, eg: process.env. Defaults to none.
+//   strict: throw for placeholders that can't be resolved (the default),
+//     rather than leave them as they are.
+//
+// Throws HUMLError with code INTERPOLATION and the key path of the string
+// that holds the placeholder.
+export function interpolate(value, options = {}) {
+    const { env = {}, strict = true } = options;
+    return new Interpolator(value, env, strict).resolve(value, []);
+}
+
+class Interpolator {
+    constructor(root, env, strict) {
+        this.root = root;
+        this.env = env;
+        this.strict = strict;
+
+        // Resolved values by formatted path, and the paths being resolved.
+        this.resolved = new Map();
+        this.stack = [];
+    }
+
+    resolve(value, path) {
+        const key = formatPath(path);
+        if (this.resolved.has(key)) {
+            return this.resolved.get(key);
+        }
+
+        if (this.stack.includes(key)) {
+            const cycle = [...this.stack.slice(this.stack.indexOf(key)), key];
+            throw interpolationError(`reference cycle: ${cycle.map(describePath).join(' -> ')}`, this.stack[this.stack.length - 1]);
+        }
+
+        this.stack.push(key);
+        let out;
+
+        if (typeof value === 'string') {
+            out = this.resolveString(value, path);
+        } else if (Array.isArray(value)) {
+            out = value.map((item, i) => this.resolve(item, [...path, i]));
+        } else if (value instanceof Map) {
+            out = new Map();
+            for (const [k, v] of value) {
+                out.set(k, this.resolve(v, [...path, k]));
+            }
+        } else if (value !== null && typeof value === 'object') {
+            out = {};
+            for (const k of Object.keys(value)) {
+                Object.defineProperty(out, k, {
+                    value: this.resolve(value[k], [...path, k]), writable: true, enumerable: true, configurable: true
+                });
+            }
+        } else {
+            out = value;
+        }
+
+        this.stack.pop();
+        this.resolved.set(key, out);
+
+        return out;
+    }
+
+    resolveString(str, path) {
+        // A single placeholder keeps the type of its value.
+        const match = /^\$\{([^}]*)\}$/.exec(str);
+        if (match) {
+            // Copied, so the output doesn't share vectors between keys.
+            const found = this.lookup(match[1], path);
+            return found === undefined ? str : copy(found.value);
+        }
+
+        return str.replace(PLACEHOLDER_REGEX, (text, body, close) => {
+            if (body === undefined) {
+                return '${';
+            }
+            if (close === '') {
+                if (this.strict) {
+                    throw interpolationError(`unclosed placeholder '${text}'`, formatPath(path));
+                }
+                return text;
+            }
+
+            const found = this.lookup(body, path);
+            if (found === undefined) {
+                return text;
+            }
+            if (found.value !== null && typeof found.value === 'object') {
+                throw interpolationError(`can't insert the vector from '\${${body}}' into a string`, formatPath(path));
+            }
+            return String(found.value);
+        });
+    }
+
+    // Resolves the body of a placeholder in the string at path. Returns
+    // { value }, or undefined if it's unresolved and not strict.
+    lookup(body, path) {
+        const sep = body.indexOf(':-');
+        const name = sep === -1 ? body : body.substring(0, sep);
+
+        // An empty name would be the path to the root, which holds the string.
+        if (name === '') {
+            if (this.strict) {
+                throw interpolationError(`empty placeholder '\${${body}}'`, formatPath(path));
+            }
+            return undefined;
+        }
+
+        let value = this.fromDocument(name);
+        if (value === undefined && Object.hasOwn(this.env, name)) {
+            value = this.env[name];
+        }
+
+        if ((value === undefined || value === '') && sep !== -1) {
+            return { value: body.substring(sep + 2) };
+        }
+        if (value !== undefined) {
+            return { value };
+        }
+
+        if (this.strict) {
+            throw interpolationError(`unresolved placeholder '\${${body}}'`, formatPath(path));
+        }
+        return undefined;
+    }
+
+    // Returns the interpolated value at a path in the document, or undefined.
+    fromDocument(name) {
+        let segments;
+        try {
+            segments = parsePath(name);
+        } catch (err) {
+            // Not a path, eg: an environment variable such as _HOME.
+            return undefined;
+        }
+
+        let value = this.root;
+        for (const seg of segments) {
+            if (typeof seg === 'number' && Array.isArray(value) && seg < value.length) {
+                value = value[seg];
+            } else if (typeof seg === 'string' && value instanceof Map && value.has(seg)) {
+                value = value.get(seg);
+            } else if (typeof seg === 'string' && isDict(value) && Object.hasOwn(value, seg)) {
+                value = value[seg];
+            } else {
+                return undefined;
+            }
+        }
+
+        return this.resolve(value, segments);
+    }
+}
+
+// Returns a deep copy of a resolved value.
+function copy(value) {
+    if (Array.isArray(value)) {
+        return value.map(copy);
+    }
+    if (value instanceof Map) {
+        return new Map([...value].map(([k, v]) => [k, copy(v)]));
+    }
+    if (value !== null && typeof value === 'object') {
+        const out = {};
+        for (const k of Object.keys(value)) {
+            Object.defineProperty(out, k, { value: copy(value[k]), writable: true, enumerable: true, configurable: true });
+        }
+        return out;
+    }
+    return value;
+}
+
+function isDict(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Map);
+}
+
+function describePath(path) {
+    return path === '' ? 'the root' : `'${path}'`;
+}
+
+function interpolationError(message, path) {
+    const err = new HUMLError(`${message} at ${describePath(path)}`, { code: 'INTERPOLATION' });
+    err.path = path;
+    return err;
+}
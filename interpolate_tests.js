@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { interpolate } from './interpolate.js';
+import { parse } from './decode.js';
+
+const DOC = `server::
+  host: "\${HOST:-localhost}"
+  port: 8080
+url: "http://\${server.host}:\${server.port}/"
+port: "\${server.port}"
+copy: "\${server}"
+escaped: "$\${server.host} costs $5"
+first: "\${urls[0]}"
+urls:: "\${url}", "\${\\"quoted key\\"}"
+"quoted key": "q"
+fallbacks: "\${MISSING:-a}-\${EMPTY:-b}-\${USER:-c}"
+`;
+
+test('TestInterpolate', () => {
+    const value = parse(DOC);
+    const out = interpolate(value, { env: { HOST: 'example.com', EMPTY: '', USER: 'me' } });
+
+    assert.deepEqual(out, {
+        server: { host: 'example.com', port: 8080 },
+        url: 'http://example.com:8080/',
+        port: 8080,
+        copy: { host: 'example.com', port: 8080 },
+        escaped: '${server.host} costs $5',
+        first: 'http://example.com:8080/',
+        urls: ['http://example.com:8080/', 'q'],
+        'quoted key': 'q',
+        fallbacks: 'a-b-me',
+    });
+    assert.notStrictEqual(out.copy, out.server);
+
+    // The input is left as it was.
+    assert.deepEqual(value, parse(DOC));
+
+    // Paths in the document take precedence over env.
+    assert.deepEqual(interpolate(parse('a: 1\nb: "${a}"'), { env: { a: 'env' } }), { a: 1, b: 1 });
+
+    // Maps and lists, and non-strict mode.
+    const map = interpolate(parse('a:: b: "${X}", c: "${a.b} ${Y}"', { dicts: 'map' }), { env: { X: 'x' }, strict: false });
+    assert.deepEqual(map, new Map([['a', new Map([['b', 'x'], ['c', 'x ${Y}']])]]));
+    assert.deepEqual(interpolate(parse('- "${[1]}"\n- true\n')), [true, true]);
+    assert.deepEqual(interpolate(parse('a: "x ${b"'), { strict: false }), { a: 'x ${b' });
+    assert.deepEqual(interpolate(parse('a: "${} ${:-x}"'), { strict: false }), { a: '${} ${:-x}' });
+});
+
+test('TestInterpolateErrors', () => {
+    const cases = [
+        ['db::\n  host: "${DB_HOST}"\n', 'db.host', "unresolved placeholder '${DB_HOST}' at 'db.host'"],
+        ['a: "${b}"\nb: "x${a}"\n', 'b', "reference cycle: 'a' -> 'b' -> 'a' at 'b'"],
+        ['a:: b: "${a}"\n', 'a.b', "reference cycle: 'a' -> 'a.b' -> 'a' at 'a.b'"],
+        ['"${x}"', '', "unresolved placeholder '${x}' at the root"],
+        ['a: "x ${b}"\nb:: 1, 2\n', 'a', "can't insert the vector from '${b}' into a string at 'a'"],
+        ['a: "x ${b"\nb: 1\n', 'a', "unclosed placeholder '${b' at 'a'"],
+        ['a: "x ${}"', 'a', "empty placeholder '${}' at 'a'"],
+        ['a: "${:-x}"', 'a', "empty placeholder '${:-x}' at 'a'"],
+    ];
+
+    for (const [text, path, message] of cases) {
+        assert.throws(() => interpolate(parse(text)), { code: 'INTERPOLATION', path, message }, text);
+    }
+});
@@ -0,0 +1,277 @@
+/**
+ * A lossless JSON reader and writer for converting to and from HUML. Unlike
+ * JSON.parse(), integers too large for a number are read as BigInts, and
+ * numbers that can't be represented exactly, and duplicate keys, are
+ * reported rather than silently changed.
+ */
+
+import { HUMLError } from './decode.js';
+import { formatPath } from './path.js';
+
+const NUMBER_REGEX = /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][-+]?[0-9]+)?/;
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t' };
+
+// Parses JSON text. Returns the value, with objects as Maps, and a report,
+// as described for parseYAML(). JSON has no comments, so comments and footer
+// are empty.
+//
+// Throws HUMLError with code INVALID_JSON for invalid JSON.
+export function parseJSON(text) {
+    return new JSONParser(text).parse();
+}
+
+class JSONParser {
+    constructor(text) {
+        this.text = text.replace(/^\uFEFF/, '');
+        this.pos = 0;
+        this.report = [];
+    }
+
+    parse() {
+        this.skipSpace();
+        const value = this.parseValue([]);
+        this.skipSpace();
+
+        if (this.pos < this.text.length) {
+            throw this.error('unexpected content after the value');
+        }
+
+        return { value, comments: new Map(), footer: [], report: this.report };
+    }
+
+    parseValue(path) {
+        const c = this.text[this.pos];
+
+        if (c === '{') return this.parseObject(path);
+        if (c === '[') return this.parseArray(path);
+        if (c === '"') return this.parseString();
+
+        for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (this.text.startsWith(word, this.pos)) {
+                this.pos += word.length;
+                return value;
+            }
+        }
+
+        const match = NUMBER_REGEX.exec(this.text.substring(this.pos, this.pos + 1000));
+        if (!match) {
+            throw this.error(c === undefined ? 'unexpected end of input' : `unexpected character '${c}'`);
+        }
+
+        this.pos += match[0].length;
+        return this.toNumber(match[0], path);
+    }
+
+    // Converts a number, keeping integers exact and reporting decimals that
+    // a number can't hold exactly.
+    toNumber(str, path) {
+        if (/^-?[0-9]+$/.test(str)) {
+            const num = Number(str);
+            return Number.isSafeInteger(num) ? num : BigInt(str);
+        }
+
+        const num = Number(str);
+        if (!Number.isFinite(num)) {
+            this.note(path, `the number ${str} is out of range; it became ${num}`);
+        } else if (normalize(str) !== normalize(String(num))) {
+            this.note(path, `the number ${str} can't be represented exactly; it was rounded to ${num}`);
+        }
+        return num;
+    }
+
+    parseObject(path) {
+        const out = new Map();
+        this.pos++;
+        this.skipSpace();
+
+        if (this.text[this.pos] === '}') {
+            this.pos++;
+            return out;
+        }
+
+        while (true) {
+            this.skipSpace();
+            if (this.text[this.pos] !== '"') {
+                throw this.error('expected a string key');
+            }
+
+            const key = this.parseString();
+            if (out.has(key)) {
+                this.note([...path, key], `duplicate key '${key}'; the last value was kept`);
+            }
+
+            this.skipSpace();
+            if (this.text[this.pos] !== ':') {
+                throw this.error("expected ':' after the key");
+            }
+            this.pos++;
+            this.skipSpace();
+            out.set(key, this.parseValue([...path, key]));
+
+            this.skipSpace();
+            if (this.text[this.pos] === '}') {
+                this.pos++;
+                return out;
+            }
+            if (this.text[this.pos] !== ',') {
+                throw this.error("expected ',' or '}'");
+            }
+            this.pos++;
+        }
+    }
+
+    parseArray(path) {
+        const out = [];
+        this.pos++;
+        this.skipSpace();
+
+        if (this.text[this.pos] === ']') {
+            this.pos++;
+            return out;
+        }
+
+        while (true) {
+            this.skipSpace();
+            out.push(this.parseValue([...path, out.length]));
+
+            this.skipSpace();
+            if (this.text[this.pos] === ']') {
+                this.pos++;
+                return out;
+            }
+            if (this.text[this.pos] !== ',') {
+                throw this.error("expected ',' or ']'");
+            }
+            this.pos++;
+        }
+    }
+
+    parseString() {
+        let out = '';
+        this.pos++;
+
+        while (true) {
+            const c = this.text[this.pos];
+
+            if (c === undefined) {
+                throw this.error('unclosed string');
+            }
+            if (c === '"') {
+                this.pos++;
+                return out;
+            }
+
+            if (c === '\\') {
+                const e = this.text[this.pos + 1];
+                if (Object.hasOwn(ESCAPES, e)) {
+                    out += ESCAPES[e];
+                    this.pos += 2;
+                    continue;
+                }
+
+                const hex = this.text.substring(this.pos + 2, this.pos + 6);
+                if (e !== 'u' || !/^[0-9a-fA-F]{4}$/.test(hex)) {
+                    throw this.error(`invalid escape '\\${e ?? ''}'`);
+                }
+                out += String.fromCharCode(parseInt(hex, 16));
+                this.pos += 6;
+                continue;
+            }
+
+            if (c < ' ') {
+                throw this.error('control characters must be escaped');
+            }
+
+            out += c;
+            this.pos++;
+        }
+    }
+
+    skipSpace() {
+        while (/[ \t\n\r]/.test(this.text[this.pos] ?? '')) {
+            this.pos++;
+        }
+    }
+
+    note(path, message) {
+        this.report.push({ path: formatPath(path), message, line: this.positionAt(this.pos).line });
+    }
+
+    positionAt(offset) {
+        const before = this.text.substring(0, offset);
+        const lineStart = before.lastIndexOf('\n') + 1;
+        return { line: before.split('\n').length, column: offset - lineStart + 1, lineStart };
+    }
+
+    error(message) {
+        const { line, column, lineStart } = this.positionAt(this.pos);
+        const end = this.text.indexOf('\n', lineStart);
+
+        return new HUMLError(message, {
+            code: 'INVALID_JSON',
+            line,
+            column,
+            offset: this.pos,
+            snippet: this.text.substring(lineStart, end === -1 ? this.text.length : end).replace(/\r$/, '')
+        });
+    }
+}
+
+// Normalizes a decimal number to its sign, significant digits and exponent,
+// to compare numbers written differently.
+function normalize(str) {
+    const [, sign, int, frac = '', exp = '0'] = /^(-?)([0-9]+)(?:\.([0-9]+))?(?:[eE]([-+]?[0-9]+))?$/.exec(str);
+
+    let digits = (int + frac).replace(/^0+/, '');
+    let exponent = Number(exp) - frac.length;
+    if (digits === '') {
+        return '0';
+    }
+
+    const trimmed = digits.replace(/0+$/, '');
+    exponent += digits.length - trimmed.length;
+    digits = trimmed;
+
+    return `${sign}${digits}e${exponent}`;
+}
+
+// Writes a value, as returned by parse() with dicts: 'map' and bigint:
+// 'auto', as JSON. indent is as for JSON.stringify(). Returns { text, report },
+// where report lists the values that JSON can't represent.
+export function writeJSON(value, indent = 2) {
+    const report = [];
+    const pad = typeof indent === 'number' ? ' '.repeat(Math.min(Math.max(indent, 0), 10)) : String(indent).substring(0, 10);
+
+    const write = (value, path, current) => {
+        if (value instanceof Map || Array.isArray(value)) {
+            const entries = value instanceof Map
+                ? [...value].map(([key, item]) => [JSON.stringify(key) + (pad ? ': ' : ':'), item, key])
+                : value.map((item, i) => ['', item, i]);
+
+            if (entries.length === 0) {
+                return value instanceof Map ? '{}' : '[]';
+            }
+
+            const inner = current + pad;
+            const parts = entries.map(([head, item, key]) => head + write(item, [...path, key], inner));
+            const [open, close] = value instanceof Map ? ['{', '}'] : ['[', ']'];
+
+            return pad
+                ? `${open}\n${inner}${parts.join(`,\n${inner}`)}\n${current}${close}`
+                : `${open}${parts.join(',')}${close}`;
+        }
+
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            report.push({ path: formatPath(path), message: `${value} isn't valid JSON; it was written as null` });
+            return 'null';
+        }
+        if (typeof value === 'bigint') {
+            return String(value);
+        }
+
+        return JSON.stringify(value);
+    };
+
+    return { text: write(value, [], '') + '\n', report };
+}
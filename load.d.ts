@@ -0,0 +1,14 @@
+import { ParseOptions } from './decode.js';
+
+export interface LoadOptions extends Omit<ParseOptions, 'recover'> {
+    /** Replace "!include <file>" strings with the value of the file. Defaults to false. */
+    includes?: boolean;
+    /** The directory that includes must stay in. Defaults to the loaded file's directory. */
+    root?: string;
+}
+
+/**
+ * Loads a HUML file (Node only). Throws HUMLError, with the file and chain
+ * of includes, for invalid documents and includes.
+ */
+export function load<T = unknown>(path: string, options?: LoadOptions): Promise<T>;
@@ -0,0 +1,200 @@
+/**
+ * load() reads and parses a HUML file in Node. It's exported separately, as
+ * '@huml-lang/huml/load', so that the main module doesn't depend on Node.
+ *
+ * With the includes option, a string value of the form
+ *
+ *   database: "!include db/main.huml"
+ *
+ * is replaced by the value of the named file, resolved relative to the file
+ * that includes it. Included files can include others. Includes must stay
+ * inside a root directory (by default, the directory of the loaded file)
+ * and must not form a cycle.
+ *
+ * Errors in included files, and bad includes, are reported as HUMLErrors
+ * with the file they were found in and the chain of includes that led to it.
+ */
+
+import { readFile, realpath } from 'node:fs/promises';
+import { dirname, resolve, relative, isAbsolute, sep } from 'node:path';
+import { parse, HUMLError } from './decode.js';
+import { parseDocument } from './document.js';
+
+const INCLUDE_REGEX = /^!include\s+(\S.*?)\s*$/;
+
+// Loads the HUML file at path. options are passed to parse(), except for
+//
+//   includes: resolve "!include <file>" strings (false by default).
+//   root: the directory that includes must stay in.
+//
+// Throws HUMLError for invalid documents and includes, and the file system's
+// error if path can't be read.
+export async function load(path, options = {}) {
+    const { includes = false, root, ...parseOptions } = options;
+
+    if (parseOptions.recover) {
+        throw new TypeError('load() does not support the recover option');
+    }
+
+    const file = resolve(path);
+    const loader = new Loader(includes, resolve(root ?? dirname(file)), parseOptions);
+
+    return loader.load(file, await realpath(file), []);
+}
+
+class Loader {
+    constructor(includes, root, options) {
+        this.includes = includes;
+        this.root = root;
+        this.realRoot = null;
+        this.options = options;
+    }
+
+    // Loads a file. chain is the list of { file, real, text, path } includes
+    // that led to it, outermost first.
+    async load(file, real, chain) {
+        const text = await readFile(file, 'utf8');
+
+        let value;
+        try {
+            value = parse(text, this.options);
+        } catch (err) {
+            if (err instanceof HUMLError) {
+                throw loadError(err.reason, err, file, chain);
+            }
+            throw err;
+        }
+
+        if (!this.includes) {
+            return value;
+        }
+
+        for (const { path, target } of findIncludes(value)) {
+            const included = await this.include(target, { file, real, text, path }, chain);
+            value = setValue(value, path, included);
+        }
+
+        return value;
+    }
+
+    // Loads the target of the include at link.
+    async include(target, link, chain) {
+        const fail = reason => loadError(reason, { code: 'INCLUDE', ...locate(link) }, link.file, chain);
+
+        this.realRoot ??= await realpath(this.root).catch(() => this.root);
+
+        // Symlinks are followed before checking the root, so they can't
+        // point out of it.
+        let real;
+        try {
+            real = await realpath(resolve(dirname(link.file), target));
+        } catch (err) {
+            throw fail(`can't read included file '${target}': ${err.code || err.message}`);
+        }
+
+        const rel = relative(this.realRoot, real);
+        if (rel === '..' || rel.startsWith('..' + sep) || isAbsolute(rel)) {
+            throw fail(`included file '${target}' is outside the root directory ${this.root}`);
+        }
+
+        const links = [...chain, link];
+        const start = links.findIndex(l => l.real === real);
+        if (start !== -1) {
+            const cycle = [...links.slice(start).map(l => l.file), real];
+            throw fail(`include cycle: ${cycle.join(' -> ')}`);
+        }
+
+        try {
+            return await this.load(real, real, links);
+        } catch (err) {
+            if (err instanceof HUMLError) {
+                throw err;
+            }
+            throw fail(`can't read included file '${target}': ${err.code || err.message}`);
+        }
+    }
+}
+
+// Returns the { path, target } of the include strings in a parsed value.
+function findIncludes(value, path = [], out = []) {
+    if (typeof value === 'string') {
+        const match = INCLUDE_REGEX.exec(value);
+        if (match) {
+            out.push({ path, target: match[1] });
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item, i) => findIncludes(item, [...path, i], out));
+    } else if (value instanceof Map) {
+        for (const [key, val] of value) {
+            findIncludes(val, [...path, key], out);
+        }
+    } else if (value !== null && typeof value === 'object') {
+        for (const key of Object.keys(value)) {
+            findIncludes(value[key], [...path, key], out);
+        }
+    }
+
+    return out;
+}
+
+// Replaces the value at path, returning the new root.
+function setValue(root, path, value) {
+    if (path.length === 0) {
+        return value;
+    }
+
+    let parent = root;
+    for (const seg of path.slice(0, -1)) {
+        parent = parent instanceof Map ? parent.get(seg) : parent[seg];
+    }
+
+    const key = path[path.length - 1];
+    if (parent instanceof Map) {
+        parent.set(key, value);
+    } else {
+        Object.defineProperty(parent, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    return root;
+}
+
+// Returns the position of an include string in its file, if it can be found.
+function locate(link) {
+    const doc = parseDocument(link.text);
+    const node = doc.getNode(link.path);
+    if (!node || !node.range) {
+        return {};
+    }
+
+    return { offset: node.range[0], ...doc.positionAt(node.range[0]) };
+}
+
+// Creates an error found in file. at holds the code and position. The
+// message names the file and each include that led to it.
+function loadError(reason, at, file, chain) {
+    const err = new HUMLError(reason, {
+        code: at.code,
+        line: at.line,
+        column: at.column,
+        offset: at.offset,
+        snippet: at.snippet
+    });
+
+    err.file = file;
+    err.chain = chain.map(link => {
+        const { line, column } = locate(link);
+        return { file: link.file, line, column };
+    });
+
+    err.message = formatLocation(err) + ': ' + reason + err.chain
+        .slice()
+        .reverse()
+        .map(link => `\n    included from ${formatLocation(link)}`)
+        .join('');
+
+    return err;
+}
+
+function formatLocation({ file, line, column }) {
+    return line === undefined ? file : `${file}:${line}:${column}`;
+}
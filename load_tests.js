@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync, realpathSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { load } from './load.js';
+
+// Writes files (name => text) to a new temporary directory.
+function fixture(t, files) {
+    const dir = realpathSync(mkdtempSync(join(tmpdir(), 'huml-')));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+    for (const [name, text] of Object.entries(files)) {
+        const path = join(dir, name);
+        mkdirSync(join(path, '..'), { recursive: true });
+        writeFileSync(path, text);
+    }
+
+    return dir;
+}
+
+test('TestLoadIncludes', async (t) => {
+    const dir = fixture(t, {
+        'conf/main.huml': 'name: "app"\ndatabase: "!include db/main.huml"\nlist::\n  - "!include  item.huml "\n  - 2\n',
+        'conf/db/main.huml': 'host: "db"\ncredentials: "!include ../secret.huml"\n',
+        'conf/secret.huml': 'user: "admin"\n',
+        'conf/item.huml': '"""\n  text\n"""\n',
+    });
+    const main = join(dir, 'conf/main.huml');
+
+    assert.deepEqual(await load(main, { includes: true }), {
+        name: 'app',
+        database: { host: 'db', credentials: { user: 'admin' } },
+        list: ['text', 2],
+    });
+
+    // Includes are opt-in.
+    assert.deepEqual((await load(main)).database, '!include db/main.huml');
+
+    // Parse options apply to every file.
+    const value = await load(main, { includes: true, dicts: 'map' });
+    assert.equal(value.get('database').get('credentials').get('user'), 'admin');
+
+    await assert.rejects(load(main, { recover: true }), TypeError);
+    await assert.rejects(load(join(dir, 'missing.huml')), { code: 'ENOENT' });
+});
+
+test('TestLoadErrors', async (t) => {
+    const dir = fixture(t, {
+        'conf/a.huml': 'x: "!include b.huml"\n',
+        'conf/b.huml': 'y::\n  z: "!include a.huml"\n',
+        'conf/escape.huml': 'x: "!include ../outside.huml"\n',
+        'conf/link.huml': 'x: "!include linked.huml"\n',
+        'conf/missing.huml': 'x: "!include nothing.huml"\n',
+        'conf/main.huml': 'x: "!include middle.huml"\n',
+        'conf/middle.huml': 'y:: 1, "!include bad.huml"\n',
+        'conf/bad.huml': 'a: 1\nb: x\n',
+        'outside.huml': 'o: 1\n',
+    });
+    symlinkSync(join(dir, 'outside.huml'), join(dir, 'conf/linked.huml'));
+    const conf = name => join(dir, 'conf', name);
+
+    await assert.rejects(load(conf('a.huml'), { includes: true }), {
+        code: 'INCLUDE',
+        file: conf('b.huml'),
+        line: 2,
+        column: 6,
+        chain: [{ file: conf('a.huml'), line: 1, column: 4 }],
+        message: `${conf('b.huml')}:2:6: include cycle: ${conf('a.huml')} -> ${conf('b.huml')} -> ${conf('a.huml')}\n` +
+            `    included from ${conf('a.huml')}:1:4`,
+    });
+
+    await assert.rejects(load(conf('escape.huml'), { includes: true }), {
+        code: 'INCLUDE',
+        message: `${conf('escape.huml')}:1:4: included file '../outside.huml' is outside the root directory ${join(dir, 'conf')}`,
+    });
+    await assert.rejects(load(conf('link.huml'), { includes: true }), { code: 'INCLUDE', line: 1 });
+    assert.deepEqual(await load(conf('escape.huml'), { includes: true, root: dir }), { x: { o: 1 } });
+
+    await assert.rejects(load(conf('missing.huml'), { includes: true }), {
+        code: 'INCLUDE',
+        message: `${conf('missing.huml')}:1:4: can't read included file 'nothing.huml': ENOENT`,
+    });
+
+    // Syntax errors in included files list the includes that led to them.
+    await assert.rejects(load(conf('main.huml'), { includes: true }), {
+        code: 'INVALID_VALUE',
+        file: conf('bad.huml'),
+        line: 2,
+        reason: "unexpected character 'x' when parsing value",
+        chain: [
+            { file: conf('main.huml'), line: 1, column: 4 },
+            { file: conf('middle.huml'), line: 1, column: 8 },
+        ],
+        message: `${conf('bad.huml')}:2:4: unexpected character 'x' when parsing value\n` +
+            `    included from ${conf('middle.huml')}:1:8\n` +
+            `    included from ${conf('main.huml')}:1:4`,
+    });
+});
@@ -0,0 +1,43 @@
+/** A JSON-RPC request, notification or response. */
+export interface Message {
+    jsonrpc: '2.0';
+    id?: number | string | null;
+    method?: string;
+    params?: any;
+    result?: unknown;
+    error?: { code: number; message: string; data?: unknown };
+}
+
+/**
+ * A Language Server Protocol server for HUML, independent of the transport.
+ * It provides diagnostics, document symbols, folding ranges, hovers and
+ * formatting.
+ */
+export class LanguageServer {
+    /** send is called with each response and notification. */
+    constructor(send: (message: Message) => void);
+    /** Handles a request, notification or response from the client. */
+    handle(message: Message): void;
+    /** Set when the client sends 'exit': 0 after a shutdown request, otherwise 1. */
+    exitCode: number | null;
+}
+
+/** The parts of a readable stream that listen() uses, eg: process.stdin. */
+export interface InputStream {
+    on(event: 'data', listener: (chunk: Uint8Array | string) => void): unknown;
+    on(event: 'end', listener: () => void): unknown;
+    off(event: 'data' | 'end', listener: (...args: any[]) => void): unknown;
+    pause?(): unknown;
+}
+
+/** The parts of a writable stream that listen() uses, eg: process.stdout. */
+export interface OutputStream {
+    write(data: string): unknown;
+}
+
+/**
+ * Serves LSP over a pair of streams with Content-Length framing. Returns a
+ * promise of the exit code, resolved when the client sends 'exit' or the
+ * input ends.
+ */
+export function listen(input: InputStream, output: OutputStream): Promise<number>;
@@ -0,0 +1,485 @@
+/**
+ * A Language Server Protocol server for HUML. It provides:
+ *
+ * - diagnostics for syntax errors, published as documents change
+ * - document symbols (the outline) from dict keys
+ * - folding ranges for multiline dicts, lists and strings
+ * - hovers with the key path and resolved type of a value
+ * - formatting with format()
+ *
+ * `huml lsp` runs it over stdio, which works with any editor that speaks LSP.
+ * Documents are synced in full. Positions are in UTF-16 code units, LSP's
+ * default, like JS strings.
+ */
+
+import { parse, HUMLError } from './decode.js';
+import { parseDocument, childrenOf, isMultilineVector } from './document.js';
+import { format } from './format.js';
+import { formatPath } from './path.js';
+
+// JSON-RPC and LSP error codes.
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const SERVER_NOT_INITIALIZED = -32002;
+
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const DIAGNOSTIC_SEVERITY_ERROR = 1;
+const MESSAGE_TYPE_ERROR = 1;
+
+// LSP symbol kinds by value type.
+const SYMBOL_KINDS = { dict: 19, list: 18, string: 15, number: 16, boolean: 17, null: 21 };
+
+// Request handlers by method.
+const REQUESTS = {
+    'initialize': 'initialize',
+    'shutdown': 'shutdown',
+    'textDocument/documentSymbol': 'documentSymbol',
+    'textDocument/foldingRange': 'foldingRange',
+    'textDocument/hover': 'hover',
+    'textDocument/formatting': 'formatting',
+};
+
+// Notification handlers by method. Others are ignored.
+const NOTIFICATIONS = {
+    'exit': 'exit',
+    'textDocument/didOpen': 'didOpen',
+    'textDocument/didChange': 'didChange',
+    'textDocument/didClose': 'didClose',
+};
+
+// Handles LSP messages, independently of the transport. send is called with
+// each response and notification. exitCode is set when the client sends
+// 'exit': 0 after a shutdown request, otherwise 1.
+export class LanguageServer {
+    constructor(send) {
+        this.send = send;
+        this.documents = new Map();
+        this.initialized = false;
+        this.shuttingDown = false;
+        this.exitCode = null;
+    }
+
+    // Handles a JSON-RPC message: a request, notification or response.
+    handle(message) {
+        if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+            this.sendError(null, INVALID_REQUEST, 'a message must be an object');
+            return;
+        }
+
+        const { id, method, params } = message;
+        if (typeof method !== 'string') {
+            // A response to a request we didn't send, or garbage.
+            return;
+        }
+
+        if (id === undefined) {
+            if (Object.hasOwn(NOTIFICATIONS, method) && (this.initialized || method === 'exit')) {
+                // Notifications have no response to carry an error, so bad
+                // ones are logged to the client and the server carries on.
+                try {
+                    this[NOTIFICATIONS[method]](params);
+                } catch (err) {
+                    this.send(notification('window/logMessage', { type: MESSAGE_TYPE_ERROR, message: `${method}: ${err.message}` }));
+                }
+            }
+            return;
+        }
+
+        if (!this.initialized && method !== 'initialize') {
+            this.sendError(id, SERVER_NOT_INITIALIZED, 'the server is not initialized');
+        } else if (this.shuttingDown) {
+            this.sendError(id, INVALID_REQUEST, 'the server is shutting down');
+        } else if (!Object.hasOwn(REQUESTS, method)) {
+            this.sendError(id, METHOD_NOT_FOUND, `unknown method '${method}'`);
+        } else {
+            let result;
+            try {
+                result = this[REQUESTS[method]](params);
+            } catch (err) {
+                this.sendError(id, INTERNAL_ERROR, err.message);
+                return;
+            }
+            this.send({ jsonrpc: '2.0', id, result: result ?? null });
+        }
+    }
+
+    initialize() {
+        this.initialized = true;
+
+        return {
+            capabilities: {
+                textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+                documentSymbolProvider: true,
+                foldingRangeProvider: true,
+                hoverProvider: true,
+                documentFormattingProvider: true,
+            },
+            serverInfo: { name: 'huml' },
+        };
+    }
+
+    shutdown() {
+        this.shuttingDown = true;
+        return null;
+    }
+
+    exit() {
+        this.exitCode = this.shuttingDown ? 0 : 1;
+    }
+
+    didOpen({ textDocument }) {
+        this.documents.set(textDocument.uri, textDocument.text);
+        this.publishDiagnostics(textDocument.uri);
+    }
+
+    didChange({ textDocument, contentChanges }) {
+        // With full sync, the last change holds the whole text.
+        this.documents.set(textDocument.uri, contentChanges[contentChanges.length - 1].text);
+        this.publishDiagnostics(textDocument.uri);
+    }
+
+    didClose({ textDocument }) {
+        this.documents.delete(textDocument.uri);
+        this.send(notification('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] }));
+    }
+
+    publishDiagnostics(uri) {
+        const text = this.documents.get(uri);
+        const { errors } = parse(text, { recover: true });
+        const lines = text.split('\n');
+
+        const diagnostics = errors.map(err => ({
+            range: errorRange(err, lines),
+            severity: DIAGNOSTIC_SEVERITY_ERROR,
+            code: err.code,
+            source: 'huml',
+            message: err.reason,
+        }));
+
+        this.send(notification('textDocument/publishDiagnostics', { uri, diagnostics }));
+    }
+
+    // Returns a DocumentSymbol for each dict key, nested as in the document.
+    // List items that hold vectors are symbols too, named by their index.
+    documentSymbol({ textDocument }) {
+        const doc = this.parsedDocument(textDocument.uri);
+        if (!doc) {
+            return [];
+        }
+
+        const symbols = node => childrenOf(node).flatMap((entry, i) => {
+            const isPair = entry.type === 'pair';
+            const value = entry.value;
+            if (!isPair && value.type !== 'dict' && value.type !== 'list') {
+                return [];
+            }
+
+            const selection = isPair ? entry.key.range : [entry.range[0], entry.range[0] + 1];
+            const symbol = {
+                name: isPair ? entry.key.value : `[${i}]`,
+                kind: SYMBOL_KINDS[typeOf(value)],
+                range: toRange(doc, entry.range),
+                selectionRange: toRange(doc, selection),
+            };
+
+            if (value.type === 'dict' || value.type === 'list') {
+                symbol.children = symbols(value);
+            }
+            return [symbol];
+        });
+
+        return isVector(doc.root) ? symbols(doc.root) : [];
+    }
+
+    // Returns folding ranges for entries that hold multiline dicts, lists
+    // and strings.
+    foldingRange({ textDocument }) {
+        const doc = this.parsedDocument(textDocument.uri);
+        if (!doc) {
+            return [];
+        }
+
+        const ranges = [];
+        const add = range => {
+            const start = doc.positionAt(range[0]).line - 1;
+            const end = doc.positionAt(range[1]).line - 1;
+            if (end > start) {
+                ranges.push({ startLine: start, endLine: end });
+            }
+        };
+
+        const walk = node => {
+            for (const entry of childrenOf(node)) {
+                if (isMultilineVector(entry.value)) {
+                    add(entry.range);
+                    walk(entry.value);
+                } else if (entry.value.type === 'multiline') {
+                    add(entry.value.range);
+                }
+            }
+        };
+
+        if (isVector(doc.root)) {
+            walk(doc.root);
+        } else if (doc.root.type === 'multiline') {
+            add(doc.root.range);
+        }
+
+        return ranges;
+    }
+
+    // Returns the key path and type of the innermost entry at the position.
+    hover({ textDocument, position }) {
+        const doc = this.parsedDocument(textDocument.uri);
+        if (!doc || !isVector(doc.root)) {
+            return null;
+        }
+
+        const offset = offsetAt(doc, position);
+        let node = doc.root;
+        let found = null;
+        const path = [];
+
+        while (isVector(node)) {
+            const children = childrenOf(node);
+            const index = children.findIndex(entry => entry.range[0] <= offset && offset <= entry.range[1]);
+            if (index === -1) {
+                break;
+            }
+
+            found = children[index];
+            path.push(found.type === 'pair' ? found.key.value : index);
+            node = found.value;
+        }
+
+        if (!found) {
+            return null;
+        }
+
+        return {
+            contents: { kind: 'markdown', value: `\`${formatPath(path) || '(root)'}\`: ${describe(found.value)}` },
+            range: toRange(doc, found.range),
+        };
+    }
+
+    // Formats the document as a single edit, none if it's formatted, or null
+    // if it's invalid.
+    formatting({ textDocument }) {
+        const text = this.documents.get(textDocument.uri);
+        if (text === undefined) {
+            return null;
+        }
+
+        let out;
+        try {
+            out = format(text);
+        } catch (err) {
+            if (err instanceof HUMLError) {
+                return null;
+            }
+            throw err;
+        }
+
+        if (out === text) {
+            return [];
+        }
+
+        const doc = { positionAt: offset => positionOf(text, offset) };
+        return [{ range: toRange(doc, [0, text.length]), newText: out }];
+    }
+
+    // Returns the Document of an open document, or null if it's invalid.
+    parsedDocument(uri) {
+        const text = this.documents.get(uri);
+        if (text === undefined) {
+            return null;
+        }
+
+        try {
+            return parseDocument(text, { bigint: 'auto' });
+        } catch (err) {
+            if (err instanceof HUMLError) {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    sendError(id, code, message) {
+        this.send({ jsonrpc: '2.0', id, error: { code, message } });
+    }
+}
+
+function notification(method, params) {
+    return { jsonrpc: '2.0', method, params };
+}
+
+function isVector(node) {
+    return node.type === 'dict' || node.type === 'list';
+}
+
+// Returns the type of a value node: dict, list, string, number, boolean or
+// null.
+function typeOf(node) {
+    if (node.type === 'multiline') {
+        return 'string';
+    }
+    return node.type === 'scalar' ? node.kind : node.type;
+}
+
+// Describes the resolved type of a value node, and its value where the
+// source spells it differently, eg: integer = 31 for 0x1F.
+function describe(node) {
+    if (node.type === 'dict') {
+        return plural(node.entries.length, 'dict', 'key');
+    }
+    if (node.type === 'list') {
+        return plural(node.items.length, 'list', 'item');
+    }
+    if (node.type === 'multiline') {
+        return plural(node.lines.length, 'string', 'line');
+    }
+
+    if (node.kind !== 'number') {
+        return node.kind;
+    }
+
+    const isInteger = typeof node.value === 'bigint' || !/[.eEn]/.test(node.raw) || /^[-+]?0[xob]/.test(node.raw);
+    const value = Number.isNaN(node.value) ? 'nan' : node.value === Infinity ? 'inf' : node.value === -Infinity ? '-inf' : String(node.value);
+    const type = isInteger ? 'integer' : 'float';
+
+    return value === node.raw ? type : `${type} = ${value}`;
+}
+
+function plural(count, type, noun) {
+    return `${type} (${count} ${noun}${count === 1 ? '' : 's'})`;
+}
+
+// Converts an offset range to an LSP range.
+function toRange(doc, [start, end]) {
+    return { start: toPosition(doc.positionAt(start)), end: toPosition(doc.positionAt(end)) };
+}
+
+function toPosition({ line, column }) {
+    return { line: line - 1, character: column - 1 };
+}
+
+// Returns the 1-based { line, column } of an offset in text.
+function positionOf(text, offset) {
+    const before = text.substring(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
+// Converts an LSP position to an offset in a Document's source.
+function offsetAt(doc, { line, character }) {
+    const start = doc.lineStarts[Math.min(line, doc.lineStarts.length - 1)];
+    return start + character;
+}
+
+// Returns the range of the token an error points at, or of the run of spaces
+// for spacing errors.
+function errorRange(err, lines) {
+    const line = err.line === undefined ? 0 : err.line - 1;
+    const start = err.column === undefined ? 0 : err.column - 1;
+    const text = lines[line] ?? '';
+
+    const isSpace = /\s/.test(text[start]);
+    let end = start;
+    while (end < text.length && /\s/.test(text[end]) === isSpace) {
+        end++;
+    }
+
+    return { start: { line, character: start }, end: { line, character: end } };
+}
+
+// Serves LSP over a pair of streams, eg: process.stdin and process.stdout,
+// with the base protocol's Content-Length framing. Returns a promise of the
+// exit code, resolved when the client sends 'exit' or the input ends.
+export function listen(input, output) {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    const server = new LanguageServer(message => {
+        const json = JSON.stringify(message);
+        output.write(`Content-Length: ${encoder.encode(json).length}\r\n\r\n${json}`);
+    });
+
+    let buffer = new Uint8Array(0);
+
+    return new Promise(resolve => {
+        const stop = code => {
+            input.off('data', onData);
+            input.off('end', onEnd);
+            if (typeof input.pause === 'function') {
+                input.pause();
+            }
+            resolve(code);
+        };
+
+        const onData = chunk => {
+            const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+            const joined = new Uint8Array(buffer.length + bytes.length);
+            joined.set(buffer);
+            joined.set(bytes, buffer.length);
+            buffer = joined;
+
+            while (true) {
+                const headerEnd = findHeaderEnd(buffer);
+                if (headerEnd === -1) {
+                    return;
+                }
+
+                const header = decoder.decode(buffer.subarray(0, headerEnd));
+                const match = /^content-length:\s*(\d+)\s*$/im.exec(header);
+                const start = headerEnd + 4;
+
+                if (!match) {
+                    // Skip the bad header.
+                    buffer = buffer.subarray(start);
+                    server.sendError(null, PARSE_ERROR, 'missing Content-Length header');
+                    continue;
+                }
+
+                const end = start + Number(match[1]);
+                if (buffer.length < end) {
+                    return;
+                }
+
+                const body = decoder.decode(buffer.subarray(start, end));
+                buffer = buffer.subarray(end);
+
+                let message;
+                try {
+                    message = JSON.parse(body);
+                } catch (err) {
+                    server.sendError(null, PARSE_ERROR, err.message);
+                    continue;
+                }
+
+                server.handle(message);
+                if (server.exitCode !== null) {
+                    stop(server.exitCode);
+                    return;
+                }
+            }
+        };
+
+        const onEnd = () => stop(server.exitCode ?? 1);
+
+        input.on('data', onData);
+        input.on('end', onEnd);
+    });
+}
+
+// Returns the offset of the \r\n\r\n that ends a header, or -1.
+function findHeaderEnd(bytes) {
+    for (let i = 0; i + 3 < bytes.length; i++) {
+        if (bytes[i] === 13 && bytes[i + 1] === 10 && bytes[i + 2] === 13 && bytes[i + 3] === 10) {
+            return i;
+        }
+    }
+    return -1;
+}
@@ -0,0 +1,237 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { PassThrough } from 'node:stream';
+import { LanguageServer, listen } from './lsp.js';
+
+const URI = 'file:///config.huml';
+
+const TEXT = `# App
+name: "api"
+port: 0x1F
+servers::
+  - ::
+    host: "a"
+  - ::
+    host: "b"
+notes: """
+  one
+  two
+"""
+tags:: "x", "y"
+`;
+
+// Returns an initialized server with TEXT open, and the messages it sent.
+function open(text = TEXT) {
+    const sent = [];
+    const server = new LanguageServer(message => sent.push(message));
+    let id = 0;
+
+    const request = (method, params) => {
+        server.handle({ jsonrpc: '2.0', id: ++id, method, params });
+        return sent.at(-1);
+    };
+    const notify = (method, params) => server.handle({ jsonrpc: '2.0', method, params });
+
+    request('initialize', { capabilities: {} });
+    notify('initialized', {});
+    notify('textDocument/didOpen', { textDocument: { uri: URI, languageId: 'huml', version: 1, text } });
+
+    return { server, sent, request, notify };
+}
+
+function range(startLine, startChar, endLine, endChar) {
+    return { start: { line: startLine, character: startChar }, end: { line: endLine, character: endChar } };
+}
+
+test('TestLSPLifecycle', () => {
+    const sent = [];
+    const server = new LanguageServer(message => sent.push(message));
+
+    server.handle({ jsonrpc: '2.0', id: 1, method: 'textDocument/hover', params: {} });
+    assert.deepEqual(sent.pop(), { jsonrpc: '2.0', id: 1, error: { code: -32002, message: 'the server is not initialized' } });
+
+    server.handle({ jsonrpc: '2.0', id: 2, method: 'initialize', params: {} });
+    const { capabilities } = sent.pop().result;
+    assert.equal(capabilities.textDocumentSync, 1);
+    assert.equal(capabilities.hoverProvider, true);
+
+    server.handle({ jsonrpc: '2.0', id: 3, method: 'workspace/symbol', params: {} });
+    assert.equal(sent.pop().error.code, -32601);
+
+    // Unknown notifications are ignored.
+    server.handle({ jsonrpc: '2.0', method: '$/cancelRequest', params: { id: 3 } });
+    assert.equal(sent.length, 0);
+
+    server.handle({ jsonrpc: '2.0', id: 4, method: 'shutdown' });
+    assert.deepEqual(sent.pop(), { jsonrpc: '2.0', id: 4, result: null });
+
+    server.handle({ jsonrpc: '2.0', id: 5, method: 'textDocument/hover', params: {} });
+    assert.equal(sent.pop().error.code, -32600);
+
+    assert.equal(server.exitCode, null);
+    server.handle({ jsonrpc: '2.0', method: 'exit' });
+    assert.equal(server.exitCode, 0);
+
+    const other = new LanguageServer(() => {});
+    other.handle({ jsonrpc: '2.0', method: 'exit' });
+    assert.equal(other.exitCode, 1);
+});
+
+test('TestLSPDiagnostics', () => {
+    const { sent, notify } = open();
+
+    assert.deepEqual(sent.at(-1), {
+        jsonrpc: '2.0',
+        method: 'textDocument/publishDiagnostics',
+        params: { uri: URI, diagnostics: [] },
+    });
+
+    notify('textDocument/didChange', {
+        textDocument: { uri: URI, version: 2 },
+        contentChanges: [{ text: 'a:  1\nb: x\na: 2\n' }],
+    });
+    assert.deepEqual(sent.at(-1).params.diagnostics, [
+        { range: range(0, 3, 0, 4), severity: 1, code: 'BAD_SPACING', source: 'huml', message: "expected single space after ':', found multiple" },
+        { range: range(1, 3, 1, 4), severity: 1, code: 'INVALID_VALUE', source: 'huml', message: "unexpected character 'x' when parsing value" },
+        { range: range(2, 0, 2, 2), severity: 1, code: 'DUPLICATE_KEY', source: 'huml', message: "duplicate key 'a' in dict" },
+    ]);
+
+    notify('textDocument/didClose', { textDocument: { uri: URI } });
+    assert.deepEqual(sent.at(-1).params, { uri: URI, diagnostics: [] });
+});
+
+test('TestLSPDocumentSymbol', () => {
+    const { request, notify } = open();
+    const symbols = request('textDocument/documentSymbol', { textDocument: { uri: URI } }).result;
+
+    const outline = list => list.map(s => s.children ? [s.name, s.kind, outline(s.children)] : [s.name, s.kind]);
+    assert.deepEqual(outline(symbols), [
+        ['name', 15],
+        ['port', 16],
+        ['servers', 18, [['[0]', 19, [['host', 15]]], ['[1]', 19, [['host', 15]]]]],
+        ['notes', 15],
+        ['tags', 18, []],
+    ]);
+
+    assert.deepEqual(symbols[2].range, range(3, 0, 7, 13));
+    assert.deepEqual(symbols[2].selectionRange, range(3, 0, 3, 7));
+    assert.deepEqual(symbols[2].children[1].selectionRange, range(6, 2, 6, 3));
+
+    notify('textDocument/didChange', { textDocument: { uri: URI, version: 2 }, contentChanges: [{ text: 'a: x' }] });
+    assert.deepEqual(request('textDocument/documentSymbol', { textDocument: { uri: URI } }).result, []);
+});
+
+test('TestLSPFoldingRange', () => {
+    const { request } = open();
+
+    assert.deepEqual(request('textDocument/foldingRange', { textDocument: { uri: URI } }).result, [
+        { startLine: 3, endLine: 7 },
+        { startLine: 4, endLine: 5 },
+        { startLine: 6, endLine: 7 },
+        { startLine: 8, endLine: 11 },
+    ]);
+});
+
+test('TestLSPHover', () => {
+    const { request } = open();
+    const hover = (line, character) => request('textDocument/hover', { textDocument: { uri: URI }, position: { line, character } }).result;
+
+    assert.deepEqual(hover(2, 7), {
+        contents: { kind: 'markdown', value: '`port`: integer = 31' },
+        range: range(2, 0, 2, 10),
+    });
+
+    const cases = [
+        [1, 2, '`name`: string'],
+        [3, 1, '`servers`: list (2 items)'],
+        [4, 2, '`servers[0]`: dict (1 key)'],
+        [5, 8, '`servers[0].host`: string'],
+        [9, 3, '`notes`: string (2 lines)'],
+        [12, 9, '`tags[0]`: string'],
+    ];
+    for (const [line, character, value] of cases) {
+        assert.equal(hover(line, character).contents.value, value, `${line}:${character}`);
+    }
+
+    // Comments belong to no entry.
+    assert.equal(hover(0, 2), null);
+
+    const numbers = open('a: 1_000\nb: 1.5\nc: -inf\nd: 12345678901234567890\n');
+    const number = line => numbers.request('textDocument/hover', { textDocument: { uri: URI }, position: { line, character: 0 } }).result.contents.value;
+    assert.equal(number(0), '`a`: integer = 1000');
+    assert.equal(number(1), '`b`: float');
+    assert.equal(number(2), '`c`: float');
+    assert.equal(number(3), '`d`: integer');
+});
+
+test('TestLSPFormatting', () => {
+    const { request, notify } = open('a: 1\n\n\n\nb: 2');
+    const formatting = () => request('textDocument/formatting', { textDocument: { uri: URI }, options: { tabSize: 2, insertSpaces: true } }).result;
+
+    assert.deepEqual(formatting(), [{ range: range(0, 0, 4, 4), newText: 'a: 1\n\nb: 2\n' }]);
+
+    notify('textDocument/didChange', { textDocument: { uri: URI, version: 2 }, contentChanges: [{ text: 'a: 1\n' }] });
+    assert.deepEqual(formatting(), []);
+
+    notify('textDocument/didChange', { textDocument: { uri: URI, version: 3 }, contentChanges: [{ text: 'a:  1\n' }] });
+    assert.equal(formatting(), null);
+});
+
+// Frames a message as the LSP base protocol does.
+function frame(message) {
+    const json = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`;
+}
+
+test('TestLSPListen', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const exited = listen(input, output);
+
+    // The text has multibyte characters, and the message is split mid-way.
+    const didOpen = frame({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri: URI, text: '"é": "ü" x\n' } } });
+    const bytes = Buffer.from(frame({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }) + didOpen);
+
+    input.write(bytes.subarray(0, 30));
+    input.write(bytes.subarray(30, bytes.length - 3));
+    input.write(bytes.subarray(bytes.length - 3));
+    input.write('Content-Length: 5\r\n\r\n{oops');
+    input.write(frame({ jsonrpc: '2.0', id: 2, method: 'shutdown' }));
+    input.write(frame({ jsonrpc: '2.0', method: 'exit' }));
+
+    assert.equal(await exited, 0);
+
+    const text = output.read().toString();
+    const messages = text.split(/Content-Length: \d+\r\n\r\n/).slice(1).map(json => JSON.parse(json));
+    assert.deepEqual(messages.map(m => ('id' in m ? m.id : m.method)), [1, 'textDocument/publishDiagnostics', null, 2]);
+    assert.deepEqual(messages[1].params.diagnostics, [
+        { range: range(0, 9, 0, 10), severity: 1, code: 'UNEXPECTED_CONTENT', source: 'huml', message: 'unexpected content at end of line' },
+    ]);
+    assert.equal(messages[2].error.code, -32700);
+
+    // A bad notification is logged, a message that isn't an object gets an
+    // error, and the server keeps going.
+    const input2 = new PassThrough();
+    const output2 = new PassThrough();
+    const exited2 = listen(input2, output2);
+
+    input2.write(frame({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }));
+    input2.write(frame({ jsonrpc: '2.0', method: 'textDocument/didChange', params: { textDocument: { uri: URI }, contentChanges: [] } }));
+    input2.write(frame(null));
+    input2.write(frame({ jsonrpc: '2.0', id: 2, method: 'shutdown' }));
+    input2.write(frame({ jsonrpc: '2.0', method: 'exit' }));
+
+    assert.equal(await exited2, 0);
+
+    const logged = output2.read().toString().split(/Content-Length: \d+\r\n\r\n/).slice(1).map(json => JSON.parse(json));
+    assert.deepEqual(logged.map(m => ('id' in m ? m.id : m.method)), [1, 'window/logMessage', null, 2]);
+    assert.equal(logged[2].error.code, -32600);
+    assert.equal(logged[1].params.type, 1);
+    assert.match(logged[1].params.message, /^textDocument\/didChange: /);
+
+    // The input ending without an exit notification is an error.
+    const closed = new PassThrough();
+    const result = listen(closed, new PassThrough());
+    closed.end();
+    assert.equal(await result, 1);
+});
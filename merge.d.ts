@@ -0,0 +1,33 @@
+import { Document, Path } from './document.js';
+
+export interface MergeOptions {
+    /**
+     * How lists are merged: 'replace' (the default) keeps the last layer's,
+     * 'concat' appends items and 'byKey' merges dict items with the same value
+     * at key.
+     */
+    arrays?: 'replace' | 'concat' | 'byKey';
+    /** The key that identifies list items for arrays: 'byKey'. Defaults to 'id'. */
+    key?: string;
+}
+
+export interface ValueSource {
+    /** The index of the layer in merge()'s arguments. */
+    layer: number;
+    line?: number;
+    column?: number;
+}
+
+/** A merged document that keeps the layers' comments. */
+export class MergedDocument extends Document {
+    layers: Document[];
+    /** Returns the layer that the value at path came from. */
+    sourceOf(path: Path): ValueSource | undefined;
+}
+
+/**
+ * Merges layers of HUML text or Documents, later ones taking precedence.
+ * Throws HUMLError, with err.layer set, if a layer is not valid HUML.
+ */
+export function merge(...layers: (string | Document)[]): MergedDocument;
+export function merge(...args: [...layers: (string | Document)[], options: MergeOptions]): MergedDocument;
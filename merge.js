@@ -0,0 +1,261 @@
+/**
+ * merge() combines layers of configuration, eg: base.huml, prod.huml and
+ * local overrides, into a single document. Later layers take precedence:
+ *
+ * - Dicts are merged key by key. A key keeps the position it has in the
+ *   first layer that defines it.
+ * - Lists are replaced, concatenated or merged item by item, as per the
+ *   arrays option.
+ * - Any other value, or a value of a different type, replaces the one below.
+ *
+ * The result is a Document that keeps the layers' comments, so it can be
+ * written back as HUML with toString(). Its sourceOf() reports the layer each
+ * value came from.
+ */
+
+import { HUMLError } from './decode.js';
+import { Document, parseDocument, fixStyle, locate } from './document.js';
+import { parsePath, formatPath } from './path.js';
+
+const CFG = {
+    // How lists are merged: 'replace' (the last layer's list wins), 'concat'
+    // (items are appended) or 'byKey' (dict items with the same value at key
+    // are merged, others are appended).
+    arrays: 'replace',
+    key: 'id'
+};
+
+const ARRAY_MODES = ['replace', 'concat', 'byKey'];
+
+// A merged document. Comments, blank lines and the spelling of keys and
+// scalars come from the layers. Nodes have null ranges, as they have no
+// position in a single source.
+export class MergedDocument extends Document {
+    constructor(layers) {
+        super('');
+        this.layers = layers;
+
+        // Maps formatted paths to the { layer, offset } of their value.
+        this.sources = new Map();
+    }
+
+    // Returns the layer (its index in merge()'s arguments) that the value at
+    // path came from, and its line and column in that layer, or undefined if
+    // there's no value at path. For dicts and lists that several layers
+    // contributed to, it's the last of them. Edits made after the merge are
+    // not tracked.
+    sourceOf(path) {
+        const source = this.sources.get(formatPath(parsePath(path)));
+        if (!source) {
+            return undefined;
+        }
+
+        const out = { layer: source.layer };
+        if (source.offset !== null) {
+            Object.assign(out, this.layers[source.layer].positionAt(source.offset));
+        }
+        return out;
+    }
+}
+
+// Merges layers, each HUML text or a Document, optionally followed by an
+// options object. Returns a MergedDocument. The layers are not modified.
+// Throws HUMLError, with the index of the layer in err.layer, if a layer is
+// not valid HUML.
+export function merge(...args) {
+    const last = args[args.length - 1];
+    const isOptions = last !== null && typeof last === 'object' && !(last instanceof Document);
+    const options = isOptions ? args.pop() : {};
+    const cfg = { ...CFG, ...options };
+
+    if (!ARRAY_MODES.includes(cfg.arrays)) {
+        throw new TypeError(`invalid arrays option '${cfg.arrays}', expected one of ${ARRAY_MODES.join(', ')}`);
+    }
+    if (args.length === 0) {
+        throw new TypeError('merge() requires at least one layer');
+    }
+
+    const layers = args.map((layer, i) => {
+        try {
+            return layer instanceof Document ? layer : parseDocument(layer);
+        } catch (err) {
+            if (err instanceof HUMLError) {
+                err.layer = i;
+            }
+            throw err;
+        }
+    });
+
+    const doc = new MergedDocument(layers);
+    const first = layers[0];
+    const roots = layers.map((layer, i) => ({
+        layer: i,
+        node: layer.root,
+        entry: { comment: layer.comment },
+        offset: layer.root.range ? layer.root.range[0] : null
+    }));
+
+    const merged = new Merger(doc, cfg).merge(roots, []);
+
+    doc.version = first.version && detach(first.version);
+    doc.before = first.before.map(detach);
+    doc.root = merged.node;
+    doc.comment = merged.comment && detach(merged.comment);
+    doc.after = first.after.map(detach);
+    doc.finalNewline = first.finalNewline;
+
+    // An inline root that gained vectors becomes multiline, and its trailing
+    // comment moves above it.
+    doc.restyle(doc.root);
+
+    return doc;
+}
+
+class Merger {
+    constructor(doc, cfg) {
+        this.doc = doc;
+        this.cfg = cfg;
+    }
+
+    // Merges the values that layers set at path. candidates are
+    // { layer, node, entry, offset } in layer order, where entry is the pair
+    // or item holding node. Returns { node, comment }: the merged node and
+    // the trailing comment of the last contributing entry that has one.
+    merge(candidates, path) {
+        const top = candidates[candidates.length - 1];
+        const type = top.node.type;
+
+        // Only values of the same type as the last one are merged; anything
+        // below a value of another type was replaced by it.
+        let start = candidates.length - 1;
+        const mergeable = type === 'dict' || (type === 'list' && this.cfg.arrays !== 'replace');
+        while (mergeable && start > 0 && candidates[start - 1].node.type === type) {
+            start--;
+        }
+        const used = candidates.slice(start);
+
+        this.doc.sources.set(formatPath(path), { layer: top.layer, offset: top.offset });
+
+        let node;
+        if (type === 'dict') {
+            node = this.mergeDict(used, path);
+        } else if (type === 'list') {
+            node = this.mergeList(used, path);
+        } else {
+            node = detach(top.node);
+        }
+
+        const comments = used.map(c => c.entry.comment).filter(Boolean);
+        return { node, comment: comments.length > 0 ? comments[comments.length - 1] : null };
+    }
+
+    mergeDict(candidates, path) {
+        const groups = new Map();
+
+        for (const c of candidates) {
+            for (const pair of c.node.entries) {
+                const key = pair.key.value;
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(this.candidate(c.layer, pair));
+            }
+        }
+
+        const entries = [];
+        for (const [key, group] of groups) {
+            entries.push(this.mergeEntry(group, [...path, key]));
+        }
+
+        return this.container('dict', candidates[0].node.style, entries);
+    }
+
+    mergeList(candidates, path) {
+        const groups = [];
+        const byKey = new Map();
+
+        for (const c of candidates) {
+            for (const item of c.node.items) {
+                const id = this.cfg.arrays === 'byKey' ? itemKey(item.value, this.cfg.key) : undefined;
+                const candidate = this.candidate(c.layer, item);
+
+                if (id === undefined) {
+                    groups.push([candidate]);
+                } else if (byKey.has(id)) {
+                    byKey.get(id).push(candidate);
+                } else {
+                    const group = [candidate];
+                    byKey.set(id, group);
+                    groups.push(group);
+                }
+            }
+        }
+
+        const items = groups.map((group, i) => this.mergeEntry(group, [...path, i]));
+        return this.container('list', candidates[0].node.style, items);
+    }
+
+    // Merges the pairs (or items) of several layers into a new entry. Comment
+    // and blank lines above it come from the first layer.
+    mergeEntry(group, path) {
+        const entry = group[0].entry;
+        const merged = this.merge(group, path);
+
+        const out = {
+            type: entry.type,
+            value: merged.node,
+            before: entry.before.map(detach),
+            comment: merged.comment && detach(merged.comment),
+            range: null
+        };
+        if (entry.type === 'pair') {
+            out.key = detach(entry.key);
+        }
+
+        return out;
+    }
+
+    candidate(layer, entry) {
+        return { layer, node: entry.value, entry, offset: locate(entry) };
+    }
+
+    // Creates a dict or list node, in the style of the first layer's if its
+    // children allow it.
+    container(type, style, children) {
+        const node = type === 'dict'
+            ? { type, style, entries: children, range: null }
+            : { type, style, items: children, range: null };
+
+        fixStyle(node, false);
+        return node;
+    }
+}
+
+// Returns the scalar value at key in a dict item, as a Map key, or undefined.
+function itemKey(node, key) {
+    if (node.type !== 'dict') {
+        return undefined;
+    }
+
+    const pair = node.entries.find(pair => pair.key.value === key);
+    if (!pair || pair.value.type !== 'scalar' || pair.value.value === null) {
+        return undefined;
+    }
+
+    // Keep 1 and "1" apart.
+    return `${pair.value.kind}:${pair.value.value}`;
+}
+
+// Copies a leaf node (a scalar, multiline string, key, comment, blank line
+// or version) without its range.
+function detach(node) {
+    const out = { ...node, range: null };
+
+    if (node.type === 'multiline') {
+        out.lines = [...node.lines];
+        out.openComment = node.openComment && detach(node.openComment);
+        out.closeComment = node.closeComment && detach(node.closeComment);
+    }
+
+    return out;
+}
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { merge, MergedDocument } from './merge.js';
+import { parse } from './decode.js';
+import { parseDocument } from './document.js';
+
+const BASE = `%HUML v0.2.0
+# Base config.
+
+name: "app"  # The name.
+server::
+  # Listen address.
+  host: "0.0.0.0"
+  port: 80
+ports:: 80, 443
+servers::
+  - ::
+    id: "a"
+    weight: 1
+  - ::
+    id: "b"
+    weight: 1
+# End.
+`;
+
+const PROD = `server::
+  port: 8080  # Prod port.
+  tls: true
+ports:: 8443
+servers::
+  - ::
+    id: "b"
+    weight: 5
+  - ::
+    id: "c"
+    weight: 1
+name:: first: "app"
+`;
+
+test('TestMergeArrays', () => {
+    const servers = (weights) => weights.map(([id, weight]) => ({ id, weight }));
+    const cases = {
+        replace: [[8443], servers([['b', 5], ['c', 1]])],
+        concat: [[80, 443, 8443], servers([['a', 1], ['b', 1], ['b', 5], ['c', 1]])],
+        byKey: [[80, 443, 8443], servers([['a', 1], ['b', 5], ['c', 1]])],
+    };
+
+    for (const [arrays, [ports, expected]] of Object.entries(cases)) {
+        const doc = merge(BASE, PROD, { arrays });
+
+        assert.deepEqual(doc.toValue(), {
+            name: { first: 'app' },
+            server: { host: '0.0.0.0', port: 8080, tls: true },
+            ports,
+            servers: expected,
+        }, arrays);
+        assert.deepEqual(parse(doc.toString()), doc.toValue(), arrays);
+    }
+
+    // Items without the key, and keys of different types, are kept apart.
+    const doc = merge('- ::\n  n: 1\n- "x"\n', '- ::\n  n: "1"\n- ::\n  n: 1\n  m: 2\n', { arrays: 'byKey', key: 'n' });
+    assert.deepEqual(doc.toValue(), [{ n: 1, m: 2 }, 'x', { n: '1' }]);
+});
+
+test('TestMergeOutput', () => {
+    const doc = merge(BASE, PROD, { arrays: 'byKey' });
+
+    // Keys keep their first position and the comments of the layers.
+    assert.equal(doc.toString(), `%HUML v0.2.0
+# Base config.
+
+name:: first: "app"
+server::
+  # Listen address.
+  host: "0.0.0.0"
+  port: 8080  # Prod port.
+  tls: true
+ports:: 80, 443, 8443
+servers::
+  - ::
+    id: "a"
+    weight: 1
+  - ::
+    id: "b"
+    weight: 5
+  - ::
+    id: "c"
+    weight: 1
+# End.
+`);
+
+    // Inline vectors stay inline while their items allow it.
+    assert.equal(merge('a: 1, b: 2', 'c: 3').toString(), 'a: 1, b: 2, c: 3');
+    assert.equal(merge('x:: a: 1', 'x::\n  b::\n    - 1\n').toString(), 'x::\n  a: 1\n  b::\n    - 1');
+    assert.equal(merge('- 1', '- 2', { arrays: 'concat' }).toString(), '- 1\n- 2');
+    assert.equal(merge('1', '"x"  # c').toString(), '"x"  # c');
+
+    // The trailing comment of an inline root that becomes multiline is kept.
+    assert.equal(merge('a: 1, b: 2 # root comment', 'c::\n  d: 1\n').toString(), '# root comment\na: 1\nb: 2\nc::\n  d: 1');
+});
+
+test('TestMergeSources', () => {
+    const base = parseDocument(BASE);
+    const doc = merge(base, PROD, { arrays: 'byKey' });
+
+    assert.ok(doc instanceof MergedDocument);
+    assert.deepEqual(doc.sourceOf('server.host'), { layer: 0, line: 7, column: 9 });
+    assert.deepEqual(doc.sourceOf('server.port'), { layer: 1, line: 2, column: 9 });
+    assert.deepEqual(doc.sourceOf('server'), { layer: 1, line: 1, column: 1 });
+    assert.deepEqual(doc.sourceOf(['servers', 0, 'weight']), { layer: 0, line: 13, column: 13 });
+    assert.deepEqual(doc.sourceOf('servers[1].weight'), { layer: 1, line: 8, column: 13 });
+    assert.deepEqual(doc.sourceOf('servers[2]'), { layer: 1, line: 9, column: 3 });
+    assert.deepEqual(doc.sourceOf('name.first'), { layer: 1, line: 12, column: 15 });
+    assert.equal(doc.sourceOf('missing'), undefined);
+
+    // The layers are left as they were.
+    assert.equal(base.toString(), BASE);
+    doc.set('server.port', 1).rename('name', 'title');
+    assert.equal(base.toString(), BASE);
+});
+
+test('TestMergeErrors', () => {
+    assert.throws(() => merge('a: 1', 'b: x'), { code: 'INVALID_VALUE', layer: 1 });
+    assert.throws(() => merge(), TypeError);
+    assert.throws(() => merge({}), TypeError);
+    assert.throws(() => merge('a: 1', { arrays: 'merge' }), TypeError);
+    assert.throws(() => merge('a: 1', 42), TypeError);
+});
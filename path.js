@@ -0,0 +1,119 @@
+/**
+ * Paths address values inside a HUML document. A path is either an array of
+ * keys (strings) and list indices (numbers), or a string such as
+ *
+ *   servers[0].ports
+ *   "quoted key".nested[2]
+ *
+ * where keys are bare HUML keys or quoted HUML strings, separated by '.', and
+ * indices are written in brackets.
+ */
+
+import { Parser, HUMLError } from './decode.js';
+import { quoteKey } from './encode.js';
+
+// Parses a path string into an array of keys and indices. Arrays are
+// returned as they are.
+export function parsePath(path) {
+    if (Array.isArray(path)) {
+        return path;
+    }
+    if (typeof path !== 'string') {
+        throw new TypeError('path must be a string or an array');
+    }
+
+    const scanner = new PathScanner(path);
+    const segments = [];
+
+    while (!scanner.done()) {
+        segments.push(scanner.parseSegment(segments.length === 0));
+    }
+
+    return segments;
+}
+
+// Formats an array of keys and indices as a path string.
+export function formatPath(segments) {
+    let out = '';
+
+    for (const seg of segments) {
+        if (typeof seg === 'number') {
+            out += `[${seg}]`;
+        } else {
+            out += (out === '' ? '' : '.') + quoteKey(String(seg));
+        }
+    }
+
+    return out;
+}
+
+// Scans path strings, reusing the parser's key and string rules. query.js
+// extends it with wildcards, negative indices and filters by overriding
+// parseBracket() and parseName().
+export class PathScanner extends Parser {
+    parseSegment(isFirst) {
+        if (this.peekChar(this.pos) === '[') {
+            this.advance(1);
+            const seg = this.parseBracket();
+            this.expectChar(']');
+            return seg;
+        }
+
+        if (!isFirst) {
+            if (this.peekChar(this.pos) !== '.') {
+                throw this.pathError(`expected '.' or '[' at position ${this.pos}`);
+            }
+            this.advance(1);
+        }
+
+        return this.parseName();
+    }
+
+    // Parses what is between '[' and ']': a list index.
+    parseBracket() {
+        return this.parseIndex(false);
+    }
+
+    // Parses a bare or quoted key.
+    parseName() {
+        if (!this.isKeyStart()) {
+            throw this.pathError(`expected a key at position ${this.pos}`);
+        }
+
+        try {
+            return this.parseKey();
+        } catch (err) {
+            throw err instanceof HUMLError ? this.pathError(err.reason) : err;
+        }
+    }
+
+    // Parses a list index, which may be negative if allowNegative is set.
+    parseIndex(allowNegative) {
+        const start = this.pos;
+
+        if (allowNegative && this.peekChar(this.pos) === '-') {
+            this.advance(1);
+        }
+        const digits = this.pos;
+        while (this.isDigit(this.peekChar(this.pos))) {
+            this.advance(1);
+        }
+
+        if (this.pos === digits) {
+            throw this.pathError(`expected a list index at position ${start}`);
+        }
+
+        return Number(this.data.substring(start, this.pos));
+    }
+
+    expectChar(c) {
+        if (this.peekChar(this.pos) !== c) {
+            throw this.pathError(`expected '${c}' at position ${this.pos}`);
+        }
+        this.advance(1);
+    }
+
+    pathError(message) {
+        return new HUMLError(`invalid path '${this.data}': ${message}`, { code: 'INVALID_PATH' });
+    }
+}
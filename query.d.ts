@@ -0,0 +1,15 @@
+import { PathSegment } from './decode.js';
+
+export interface QueryMatch<T = unknown> {
+    path: PathSegment[];
+    value: T;
+    /** The position of the value in a Document, unless it was added by an edit. */
+    line?: number;
+    column?: number;
+}
+
+/**
+ * Finds the values matching a query such as `servers[?port >= 8000].host`
+ * in parse() output or a Document. Throws HUMLError for invalid queries.
+ */
+export function query<T = unknown>(data: unknown, query: string): QueryMatch<T>[];
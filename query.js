@@ -0,0 +1,297 @@
+/**
+ * query() finds the values that match a query in parse() output or a
+ * Document. Queries extend paths (see path.js) with wildcards, negative
+ * indices and filters:
+ *
+ *   servers[0].ports          a single value
+ *   "quoted key".name         keys are bare HUML keys or quoted strings
+ *   servers[-1]               the last item
+ *   servers[*].host           every item of a list or entry of a dict
+ *   servers.*.host            the same, written as a key
+ *   servers[?port >= 8000]    the items (or entries) that match a filter
+ *   servers[?tls].host        ... that have a value other than null or false
+ *   ports[?@ != 22]           @ is the item itself
+ *
+ * Filters compare the value at a path within each item with a HUML scalar
+ * using ==, !=, <, <=, > or >=. Ordering operators only match numbers with
+ * numbers and strings with strings.
+ */
+
+import { HUMLError } from './decode.js';
+import { Document, locate } from './document.js';
+import { PathScanner } from './path.js';
+
+const OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+// Returns the matches for query in data, a Document or a plain value, as a
+// list of { path, value } in document order. Matches in a Document also
+// have the line and column of their value (or of their key, for values that
+// start on the following lines), unless they were added by edits.
+export function query(data, queryString) {
+    const segments = parseQuery(queryString);
+    const isDoc = data instanceof Document;
+
+    let targets = [{
+        path: [],
+        value: isDoc ? data.toValue() : data,
+        node: isDoc ? data.root : null,
+        offset: isDoc && data.root.range ? data.root.range[0] : null
+    }];
+
+    for (const seg of segments) {
+        targets = targets.flatMap(target => select(target, seg));
+    }
+
+    return targets.map(({ path, value, offset }) => {
+        const match = { path, value };
+        if (offset !== null) {
+            Object.assign(match, data.positionAt(offset));
+        }
+        return match;
+    });
+}
+
+// Parses a query string into a list of segments:
+//
+//   { type: 'key', key }
+//   { type: 'index', index }
+//   { type: 'wildcard' }
+//   { type: 'filter', path, op, value }, where op is null for existence tests.
+function parseQuery(queryString) {
+    if (typeof queryString !== 'string') {
+        throw new TypeError('query must be a string');
+    }
+
+    // Large integers stay exact, to compare with parse()'s BigInts.
+    const scanner = new QueryScanner(queryString, { bigint: 'auto' });
+    const segments = [];
+
+    while (!scanner.done()) {
+        segments.push(scanner.parseSegment(segments.length === 0));
+    }
+
+    return segments;
+}
+
+// Returns the children of a target that a segment selects.
+function select(target, seg) {
+    if (seg.type === 'key') {
+        return children(target).filter(child => child.key === seg.key);
+    }
+
+    if (seg.type === 'index') {
+        if (!Array.isArray(target.value)) {
+            return [];
+        }
+        const index = seg.index < 0 ? target.value.length + seg.index : seg.index;
+        return children(target).filter(child => child.key === index);
+    }
+
+    if (seg.type === 'wildcard') {
+        return children(target);
+    }
+
+    return children(target).filter(child => matches(child.value, seg));
+}
+
+// Returns the entries of a dict or items of a list as targets, keyed by
+// their dict key or list index.
+function children(target) {
+    const { path, value, node } = target;
+    const out = [];
+
+    const add = (key, val, entry) => {
+        out.push({
+            key,
+            path: [...path, key],
+            value: val,
+            node: entry ? entry.value : null,
+            offset: entry ? locate(entry) : null
+        });
+    };
+
+    if (node && node.type === 'dict') {
+        // Keys are in document order, which objects don't keep for
+        // integer-like keys.
+        for (const pair of node.entries) {
+            add(pair.key.value, value[pair.key.value], pair);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item, i) => add(i, item, node && node.items[i]));
+    } else if (value instanceof Map) {
+        for (const [key, val] of value) {
+            add(key, val, null);
+        }
+    } else if (isDict(value)) {
+        for (const key of Object.keys(value)) {
+            add(key, value[key], null);
+        }
+    }
+
+    return out;
+}
+
+// Determines if a value matches a filter.
+function matches(value, filter) {
+    const found = lookup(value, filter.path);
+    if (!found) {
+        return false;
+    }
+
+    const a = found.value;
+    const b = filter.value;
+
+    switch (filter.op) {
+        case null:
+            return a !== null && a !== false;
+        case '==':
+            return isEqual(a, b);
+        case '!=':
+            return !isEqual(a, b);
+    }
+
+    if (!isComparable(a, b)) {
+        return false;
+    }
+
+    switch (filter.op) {
+        case '<':
+            return a < b;
+        case '<=':
+            return a <= b;
+        case '>':
+            return a > b;
+        default:
+            return a >= b;
+    }
+}
+
+// Returns { value } at a path of keys and indices within value, or null.
+function lookup(value, path) {
+    for (const seg of path) {
+        if (typeof seg === 'number' && Array.isArray(value) && seg < value.length) {
+            value = value[seg];
+        } else if (typeof seg === 'string' && value instanceof Map && value.has(seg)) {
+            value = value.get(seg);
+        } else if (typeof seg === 'string' && isDict(value) && Object.hasOwn(value, seg)) {
+            value = value[seg];
+        } else {
+            return null;
+        }
+    }
+
+    return { value };
+}
+
+// Compares numbers and BigInts by value, other values strictly.
+function isEqual(a, b) {
+    return a === b || (isComparable(a, b) && typeof a !== 'string' && a == b);
+}
+
+function isComparable(a, b) {
+    const isNum = v => typeof v === 'number' || typeof v === 'bigint';
+    return (isNum(a) && isNum(b)) || (typeof a === 'string' && typeof b === 'string');
+}
+
+function isDict(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Map);
+}
+
+// Scans query strings: paths with wildcards, negative indices and filters.
+class QueryScanner extends PathScanner {
+    // Parses [index], [*] or [?filter].
+    parseBracket() {
+        this.skipSpaces();
+
+        let seg;
+        const c = this.peekChar(this.pos);
+
+        if (c === '*') {
+            this.advance(1);
+            seg = { type: 'wildcard' };
+        } else if (c === '?') {
+            this.advance(1);
+            seg = this.parseFilter();
+        } else {
+            seg = { type: 'index', index: this.parseIndex(true) };
+        }
+
+        this.skipSpaces();
+        return seg;
+    }
+
+    // Parses a key or *.
+    parseName() {
+        if (this.peekChar(this.pos) === '*') {
+            this.advance(1);
+            return { type: 'wildcard' };
+        }
+
+        return { type: 'key', key: super.parseName() };
+    }
+
+    parseFilter() {
+        this.skipSpaces();
+        const path = this.parseFilterPath();
+        this.skipSpaces();
+
+        const op = OPERATORS.find(op => this.peekString(op));
+        if (!op) {
+            return { type: 'filter', path, op: null, value: undefined };
+        }
+
+        this.advance(op.length);
+        this.skipSpaces();
+
+        return { type: 'filter', path, op, value: this.parseLiteral() };
+    }
+
+    // Parses @, a relative path or @ followed by one. These are plain paths,
+    // without the query syntax.
+    parseFilterPath() {
+        const path = [];
+
+        if (this.peekChar(this.pos) === '@') {
+            this.advance(1);
+        } else {
+            path.push(super.parseName());
+        }
+
+        while (true) {
+            const c = this.peekChar(this.pos);
+
+            if (c === '.') {
+                this.advance(1);
+                path.push(super.parseName());
+            } else if (c === '[') {
+                this.advance(1);
+                path.push(super.parseBracket());
+                this.expectChar(']');
+            } else {
+                return path;
+            }
+        }
+    }
+
+    // Parses a quoted string, number, true, false or null.
+    parseLiteral() {
+        const start = this.pos;
+
+        if (this.peekString('"""')) {
+            throw this.pathError(`expected a value at position ${start}`);
+        }
+
+        try {
+            return this.parseValue(0);
+        } catch (err) {
+            if (err instanceof HUMLError) {
+                throw this.pathError(`expected a value at position ${start}`);
+            }
+            throw err;
+        }
+    }
+
+    pathError(message) {
+        return new HUMLError(`invalid query '${this.data}': ${message}`, { code: 'INVALID_PATH' });
+    }
+}
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { query } from './query.js';
+import { parse } from './decode.js';
+import { parseDocument } from './document.js';
+
+const DOC = `servers::
+  - ::
+    host: "a"
+    port: 80
+    tls: true
+    ports:: 22, 80, 443
+  - ::
+    host: "b"
+    port: 8080
+    tls: false
+"quoted key":: x: 1
+"2": "two"
+"1": "one"
+`;
+
+const values = (data, q) => query(data, q).map(m => m.value);
+
+test('TestQueryPlain', () => {
+    const data = parse(DOC);
+
+    const cases = [
+        ['', [data]],
+        ['servers[0].ports', [[22, 80, 443]]],
+        ['servers[-1].host', ['b']],
+        ['servers[*].host', ['a', 'b']],
+        ['servers.*.port', [80, 8080]],
+        ['servers[?port >= 8000].host', ['b']],
+        ['servers[?tls].host', ['a']],
+        ['servers[?host == "b"].port', [8080]],
+        ['servers[?ports[0] == 22].host', ['a']],
+        ['servers[0].ports[?@ > 22]', [80, 443]],
+        ['servers[?host > 1]', []],
+        ['"quoted key".x', [1]],
+        ['"2"', ['two']],
+        ['servers[2]', []],
+        ['servers.host', []],
+        ['missing[*]', []],
+    ];
+
+    for (const [q, expected] of cases) {
+        assert.deepEqual(values(data, q), expected, q);
+    }
+
+    assert.deepEqual(query(data, 'servers[-1].host'), [{ path: ['servers', 1, 'host'], value: 'b' }]);
+
+    // Maps and BigInts from parse() options.
+    const map = parse('a:: b: 1, c: 12345678901234567890', { dicts: 'map', bigint: 'auto' });
+    assert.deepEqual(values(map, 'a[?@ == 12345678901234567890]'), [12345678901234567890n]);
+    assert.deepEqual(values(map, 'a.b'), [1]);
+});
+
+test('TestQueryDocument', () => {
+    const doc = parseDocument(DOC);
+
+    assert.deepEqual(query(doc, 'servers[*].port'), [
+        { path: ['servers', 0, 'port'], value: 80, line: 4, column: 11 },
+        { path: ['servers', 1, 'port'], value: 8080, line: 9, column: 11 },
+    ]);
+
+    // Multiline vectors are located at their key or '-'.
+    assert.deepEqual(query(doc, 'servers[?port < 100]'), [
+        { path: ['servers', 0], value: parse(DOC).servers[0], line: 2, column: 3 },
+    ]);
+
+    // Entries keep the document's order.
+    assert.deepEqual(query(doc, '*').map(m => m.path), [['servers'], ['quoted key'], ['2'], ['1']]);
+    assert.deepEqual(query(doc, 'servers[0].ports[-1]')[0], { path: ['servers', 0, 'ports', 2], value: 443, line: 6, column: 21 });
+
+    // Values added by edits have no position.
+    doc.set('servers[1].port', 9090);
+    assert.deepEqual(query(doc, 'servers[1].port'), [{ path: ['servers', 1, 'port'], value: 9090 }]);
+});
+
+test('TestQueryErrors', () => {
+    const cases = {
+        'servers[': 'expected a list index at position 8',
+        'a..b': 'expected a key at position 2',
+        'a.1': 'expected a key at position 2',
+        '[0]x': "expected '.' or '[' at position 3",
+        'a[?]': 'expected a key at position 3',
+        'a[?x ==]': 'expected a value at position 7',
+        'a[?x == foo]': 'expected a value at position 8',
+        'a[?x == 1': "expected ']' at position 9",
+    };
+
+    for (const [q, message] of Object.entries(cases)) {
+        assert.throws(() => query({}, q), { code: 'INVALID_PATH', message: `invalid query '${q}': ${message}` });
+    }
+
+    assert.throws(() => query({}, 1), TypeError);
+});
@@ -0,0 +1,101 @@
+import { HUMLError } from './decode.js';
+import { Document } from './document.js';
+
+export type JSONSchemaType = 'null' | 'boolean' | 'integer' | 'number' | 'string' | 'array' | 'object';
+
+/** The JSON Schema keywords validate() supports. Other keywords are allowed and ignored. */
+export type JSONSchema = boolean | {
+    readonly type?: JSONSchemaType | readonly JSONSchemaType[];
+    readonly enum?: readonly unknown[];
+    readonly const?: unknown;
+    readonly properties?: { readonly [key: string]: JSONSchema };
+    readonly required?: readonly string[];
+    readonly additionalProperties?: JSONSchema;
+    readonly items?: JSONSchema;
+    readonly minItems?: number;
+    readonly maxItems?: number;
+    readonly minimum?: number;
+    readonly maximum?: number;
+    readonly exclusiveMinimum?: number;
+    readonly exclusiveMaximum?: number;
+    readonly minLength?: number;
+    readonly maxLength?: number;
+    readonly pattern?: string;
+    readonly $ref?: string;
+    readonly $defs?: { readonly [key: string]: JSONSchema };
+    readonly [keyword: string]: unknown;
+};
+
+/**
+ * The type of the values a schema accepts. Root is the schema that $refs
+ * resolve against.
+ */
+export type FromSchema<S, Root = S> =
+    S extends true ? unknown :
+    S extends false ? never :
+    S extends { readonly $ref: infer R } ? FromSchema<Resolve<R, Root>, Root> :
+    S extends { readonly const: infer C } ? C :
+    S extends { readonly enum: readonly (infer E)[] } ? E :
+    S extends { readonly type: infer T } ? FromType<T extends readonly (infer U)[] ? U : T, S, Root> :
+    S extends { readonly properties: object } ? FromObject<S, Root> :
+    S extends { readonly items: unknown } ? FromList<S, Root> :
+    unknown;
+
+type FromType<T, S, Root> =
+    T extends 'null' ? null :
+    T extends 'boolean' ? boolean :
+    T extends 'integer' | 'number' ? number :
+    T extends 'string' ? string :
+    T extends 'array' ? FromList<S, Root> :
+    T extends 'object' ? FromObject<S, Root> :
+    never;
+
+type FromList<S, Root> = S extends { readonly items: infer I } ? FromSchema<I, Root>[] : unknown[];
+
+type FromObject<S, Root> = Flatten<
+    { -readonly [K in keyof Props<S> & RequiredKeys<S>]: FromSchema<Props<S>[K], Root> } &
+    { -readonly [K in Exclude<keyof Props<S>, RequiredKeys<S>>]?: FromSchema<Props<S>[K], Root> } &
+    { -readonly [K in Exclude<RequiredKeys<S>, keyof Props<S>>]: unknown } &
+    Additional<S, Root>
+>;
+
+type Props<S> = S extends { readonly properties: infer P } ? P : {};
+
+type RequiredKeys<S> = S extends { readonly required: readonly (infer K extends string)[] } ? K : never;
+
+type Additional<S, Root> =
+    S extends { readonly additionalProperties: false } ? {} :
+    S extends { readonly additionalProperties: true } ? { [key: string]: unknown } :
+    S extends { readonly additionalProperties: infer A } ? { [key: string]: FromSchema<A, Root> } :
+    { [key: string]: unknown };
+
+// Resolves '#' and '#/a' or '#/a/b' pointers, eg: '#/$defs/port'.
+type Resolve<Ref, Root> =
+    Ref extends '#' ? Root :
+    Ref extends `#/${infer A}/${infer B}` ? (Root extends { readonly [K in A]: { readonly [L in B]: infer S } } ? S : unknown) :
+    Ref extends `#/${infer A}` ? (Root extends { readonly [K in A]: infer S } ? S : unknown) :
+    unknown;
+
+type Flatten<T> = { [K in keyof T]: T[K] };
+
+export interface ValidationResult {
+    value: unknown;
+    /** A HUMLError with code SCHEMA for each violation. */
+    errors: HUMLError[];
+}
+
+/** Validates HUML text (or a parsed Document) against a JSON Schema. */
+export function validate(text: string | Document, schema: JSONSchema): ValidationResult;
+
+export interface Schema<T> {
+    readonly schema: JSONSchema;
+    /** Parses and validates text, throwing the first violation. */
+    parse(text: string | Document): T;
+    validate(text: string | Document): ValidationResult;
+}
+
+/**
+ * Declares a schema whose parse() returns values typed to it. Declare the
+ * schema inline, or `as const`, so that its literal types are kept.
+ */
+export function defineSchema<const S extends JSONSchema>(schema: S): Schema<FromSchema<S>>;
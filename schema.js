@@ -0,0 +1,284 @@
+/**
+ * validate() checks a HUML document against a JSON Schema and reports each
+ * violation with the line and column of the offending key or value.
+ *
+ * The supported keywords are a subset of draft 2020-12:
+ *
+ * - type (including 'integer'), enum, const
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ * - minLength, maxLength, pattern
+ * - $ref to '#' or a JSON pointer into the schema, eg: '#/$defs/port'
+ *
+ * Boolean schemas are supported, other keywords are ignored.
+ */
+
+import { HUMLError } from './decode.js';
+import { Document, parseDocument, locate } from './document.js';
+
+// Validates text (or a parsed Document) against schema. Returns the parsed
+// value and a HUMLError with code SCHEMA for each violation. Throws
+// HUMLError if the text is not valid HUML.
+export function validate(text, schema) {
+    const doc = text instanceof Document ? text : parseDocument(text);
+    const value = doc.toValue();
+
+    const validator = new Validator(doc, schema);
+    validator.check(doc.root, value, schema, [], start(doc.root.range));
+
+    return { value, errors: validator.errors };
+}
+
+class Validator {
+    constructor(doc, schema) {
+        this.doc = doc;
+        this.root = schema;
+        this.errors = [];
+
+        // Compiled pattern keywords by source.
+        this.patterns = new Map();
+    }
+
+    // Checks a value and its node against a schema. path is the list of keys
+    // and indices to it and offset the source position to report. refs are
+    // the $refs followed to schema without moving into a child value.
+    check(node, value, schema, path, offset, refs = []) {
+        if (schema === true) {
+            return;
+        }
+        if (schema === false) {
+            this.report(path, offset, 'must not be present');
+            return;
+        }
+        if (schema === null || typeof schema !== 'object') {
+            throw schemaError(path);
+        }
+
+        if (schema.$ref !== undefined) {
+            // A $ref back to a schema on the chain would never get to a
+            // keyword that checks anything, eg: { "$ref": "#" }.
+            const target = this.resolve(schema.$ref);
+            const chain = [...refs, schema.$ref];
+            if (refs.some(ref => this.resolve(ref) === target)) {
+                throw new TypeError(`$ref cycle: ${chain.map(ref => `'${ref}'`).join(' -> ')}`);
+            }
+            this.check(node, value, target, path, offset, chain);
+        }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => isType(value, type))) {
+                this.report(path, offset, `must be ${types.join(' or ')}`);
+                return;
+            }
+        }
+
+        if (schema.const !== undefined && !isEqual(value, schema.const)) {
+            this.report(path, offset, `must be equal to ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+            throw schemaError(path, 'enum must be an array');
+        }
+        if (schema.enum !== undefined && !schema.enum.some(v => isEqual(value, v))) {
+            this.report(path, offset, `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        if (typeof value === 'number' || typeof value === 'bigint') {
+            this.checkNumber(value, schema, path, offset);
+        } else if (typeof value === 'string') {
+            this.checkString(value, schema, path, offset);
+        } else if (Array.isArray(value)) {
+            this.checkList(node, value, schema, path, offset);
+        } else if (value !== null && typeof value === 'object') {
+            this.checkDict(node, value, schema, path, offset);
+        }
+    }
+
+    checkNumber(value, schema, path, offset) {
+        const limits = [
+            ['minimum', '>=', limit => value >= limit],
+            ['maximum', '<=', limit => value <= limit],
+            ['exclusiveMinimum', '>', limit => value > limit],
+            ['exclusiveMaximum', '<', limit => value < limit],
+        ];
+
+        for (const [keyword, op, ok] of limits) {
+            if (typeof schema[keyword] === 'number' && !ok(schema[keyword])) {
+                this.report(path, offset, `must be ${op} ${schema[keyword]}`);
+            }
+        }
+    }
+
+    checkString(value, schema, path, offset) {
+        // Lengths count code points, not UTF-16 code units.
+        const length = [...value].length;
+
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            this.report(path, offset, `must not be shorter than ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            this.report(path, offset, `must not be longer than ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !this.compile(schema.pattern, path).test(value)) {
+            this.report(path, offset, `must match pattern "${schema.pattern}"`);
+        }
+    }
+
+    checkList(node, value, schema, path, offset) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            this.report(path, offset, `must not have fewer than ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            this.report(path, offset, `must not have more than ${schema.maxItems} items`);
+        }
+
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => {
+                const child = node.items[i];
+                this.check(child.value, item, schema.items, [...path, i], locate(child));
+            });
+        }
+    }
+
+    checkDict(node, value, schema, path, offset) {
+        const properties = schema.properties || {};
+
+        const required = schema.required || [];
+        if (!Array.isArray(required) || !required.every(key => typeof key === 'string')) {
+            throw schemaError(path, 'required must be an array of strings');
+        }
+
+        for (const key of required) {
+            if (!Object.hasOwn(value, key)) {
+                this.report(path, offset, `must have required property '${key}'`);
+            }
+        }
+
+        for (const pair of node.entries) {
+            const key = pair.key.value;
+            const childPath = [...path, key];
+
+            if (Object.hasOwn(properties, key)) {
+                this.check(pair.value, value[key], properties[key], childPath, locate(pair));
+            } else if (schema.additionalProperties === false) {
+                this.report(childPath, start(pair.key.range), 'is not allowed by additionalProperties');
+            } else if (schema.additionalProperties !== undefined) {
+                this.check(pair.value, value[key], schema.additionalProperties, childPath, locate(pair));
+            }
+        }
+    }
+
+    // Returns the RegExp for a pattern keyword, compiling it on first use.
+    compile(pattern, path) {
+        if (!this.patterns.has(pattern)) {
+            if (typeof pattern !== 'string') {
+                throw schemaError(path, 'pattern must be a string');
+            }
+            try {
+                this.patterns.set(pattern, new RegExp(pattern, 'u'));
+            } catch (err) {
+                throw schemaError(path, `pattern "${pattern}" is not a valid regular expression`);
+            }
+        }
+
+        return this.patterns.get(pattern);
+    }
+
+    // Resolves a $ref to '#' or a JSON pointer into the root schema.
+    resolve(ref) {
+        if (typeof ref !== 'string' || (ref !== '#' && !ref.startsWith('#/'))) {
+            throw new TypeError(`unsupported $ref '${ref}', only references within the schema are supported`);
+        }
+
+        let schema = this.root;
+        for (const part of ref.split('/').slice(1)) {
+            const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+            if (schema === null || typeof schema !== 'object' || !Object.hasOwn(schema, key)) {
+                throw new TypeError(`can't resolve $ref '${ref}'`);
+            }
+            schema = schema[key];
+        }
+
+        return schema;
+    }
+
+    // Records a violation. offset is null for nodes added by edits.
+    report(path, offset, message) {
+        const pointer = formatPointer(path);
+        const { line, column } = offset === null ? {} : this.doc.positionAt(offset);
+
+        const err = new HUMLError(`${pointer || 'document'} ${message}`, { code: 'SCHEMA', line, column, offset: offset ?? undefined });
+        err.path = pointer;
+        this.errors.push(err);
+    }
+}
+
+function start(range) {
+    return range ? range[0] : null;
+}
+
+function isType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'integer':
+            return typeof value === 'bigint' || Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' || typeof value === 'bigint';
+        case 'string':
+            return typeof value === 'string';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return false;
+    }
+}
+
+// Compares parsed values with schema values, as JSON data.
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+// Formats a path as a JSON pointer, eg: /servers/0/port
+// Returns the TypeError for a schema that can't be used for the value at
+// path, with the problem if there is more to say.
+function schemaError(path, problem) {
+    return new TypeError(`invalid schema at '${formatPointer(path)}'` + (problem ? `: ${problem}` : ''));
+}
+
+function formatPointer(path) {
+    return path.map(seg => '/' + String(seg).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+// Declares a schema whose parse() returns the validated value, or throws
+// the first violation. With TypeScript, the value is typed to the schema.
+export function defineSchema(schema) {
+    return {
+        schema,
+        validate: text => validate(text, schema),
+        parse(text) {
+            const { value, errors } = validate(text, schema);
+            if (errors.length > 0) {
+                throw errors[0];
+            }
+            return value;
+        },
+    };
+}
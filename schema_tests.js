@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { validate, defineSchema } from './schema.js';
+import { parseDocument } from './document.js';
+
+const SCHEMA = {
+    type: 'object',
+    required: ['server', 'name'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string' },
+        server: { $ref: '#/$defs/server' },
+        tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, maxItems: 2 },
+        servers: { type: 'array', items: { $ref: '#/$defs/server' } },
+    },
+    $defs: {
+        server: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                port: { type: 'integer', minimum: 1, exclusiveMaximum: 65536 },
+                host: { type: 'string', minLength: 1 },
+                mode: { enum: ['dev', 'prod'] },
+            },
+        },
+    },
+};
+
+// Returns [message, line, column] for each error.
+function check(text, schema = SCHEMA) {
+    return validate(text, schema).errors.map(err => [err.reason, err.line, err.column]);
+}
+
+test('TestValidate', () => {
+    const text = `server::
+  port: "80"
+  host: ""
+  debug: true
+tags:: "a", "B", "c"
+servers::
+  - ::
+    port: 0
+    mode: "test"
+`;
+
+    assert.deepEqual(check(text), [
+        ["document must have required property 'name'", 1, 1],
+        ['/server/port must be integer', 2, 9],
+        ['/server/host must not be shorter than 1 characters', 3, 9],
+        ['/server/debug is not allowed by additionalProperties', 4, 3],
+        ['/tags must not have more than 2 items', 5, 8],
+        ['/tags/1 must match pattern "^[a-z]+$"', 5, 13],
+        ['/servers/0/port must be >= 1', 8, 11],
+        ['/servers/0/mode must be one of "dev", "prod"', 9, 11],
+    ]);
+
+    const { value, errors } = validate('name: "x"\nserver::\n  port: 8080\n', SCHEMA);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: 'x', server: { port: 8080 } });
+});
+
+test('TestValidateKeywords', () => {
+    assert.deepEqual(check('1.5', { type: ['integer', 'null'] }), [['document must be integer or null', 1, 1]]);
+    assert.deepEqual(check('a:: 1, 2', { const: { a: [1, 2] } }), []);
+    assert.deepEqual(check('a: 1', { properties: { a: false } }), [['/a must not be present', 1, 4]]);
+    assert.deepEqual(check('a: 1\nb: "x"', { additionalProperties: { type: 'string' } }), [['/a must be string', 1, 4]]);
+    assert.deepEqual(check('"😀😀"', { maxLength: 2 }), []);
+
+    // Vectors written on the following lines are reported at their key.
+    assert.deepEqual(check('a::\n  b: 1', { properties: { a: { type: 'string' } } }), [['/a must be string', 1, 1]]);
+
+    const [error] = validate('a: 1', { properties: { a: { type: 'string' } } }).errors;
+    assert.equal(error.name, 'HUMLError');
+    assert.equal(error.code, 'SCHEMA');
+    assert.equal(error.path, '/a');
+    assert.equal(error.message, 'line 1: /a must be string');
+});
+
+test('TestValidateErrors', () => {
+    const doc = parseDocument('a: 1');
+    assert.deepEqual(validate(doc, true).errors, []);
+
+    assert.throws(() => validate('a: 1', { $ref: 'other.json' }), TypeError);
+    assert.throws(() => validate('a: 1', { $ref: '#/$defs/missing' }), TypeError);
+    assert.throws(() => validate('a: 1', { $ref: '#' }), { name: 'TypeError', message: "$ref cycle: '#' -> '#'" });
+
+    // Keywords of the wrong shape name the value they were checking.
+    const bad = [
+        [{ properties: { a: { pattern: '(' } } }, 'a: "x"', "invalid schema at '/a': pattern \"(\" is not a valid regular expression"],
+        [{ properties: { a: { pattern: 1 } } }, 'a: "x"', "invalid schema at '/a': pattern must be a string"],
+        [{ properties: { a: { enum: 'x' } } }, 'a: "x"', "invalid schema at '/a': enum must be an array"],
+        [{ required: 'a' }, 'a: 1', "invalid schema at '': required must be an array of strings"],
+    ];
+    for (const [schema, text, message] of bad) {
+        assert.throws(() => validate(text, schema), { name: 'TypeError', message }, message);
+    }
+    assert.throws(() => validate('a: 1', { $defs: { a: { $ref: '#/$defs/b' }, b: { $ref: '#/$defs/a' } }, $ref: '#/$defs/a' }), {
+        message: "$ref cycle: '#/$defs/a' -> '#/$defs/b' -> '#/$defs/a'",
+    });
+
+    // Recursive schemas are fine when each $ref moves into a child value.
+    const tree = { type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } };
+    assert.deepEqual(validate('children::\n  - ::\n    children:: []\n', tree).errors, []);
+    assert.throws(() => validate('a: 1\na: 2', {}), { code: 'DUPLICATE_KEY' });
+});
+
+test('TestDefineSchema', () => {
+    const Config = defineSchema({
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' }, port: { type: 'integer' } },
+    });
+
+    assert.deepEqual(Config.parse('name: "x"\nport: 80'), { name: 'x', port: 80 });
+    assert.equal(Config.validate('port: 80').errors.length, 1);
+    assert.throws(() => Config.parse('name: "x"\nport: 1.5'), {
+        code: 'SCHEMA',
+        message: 'line 2: /port must be integer',
+    });
+});
@@ -0,0 +1,18 @@
+import { ParseOptions } from './decode.js';
+
+export type StreamEvent<T = unknown> =
+    | { type: 'entry'; key: string; value: T; line: number }
+    | { type: 'item'; index: number; value: T; line: number }
+    | { type: 'value'; value: T };
+
+export type StreamSource =
+    | string
+    | Iterable<string | BufferSource>
+    | AsyncIterable<string | BufferSource>
+    | ReadableStream<string | BufferSource>;
+
+/**
+ * Parses HUML from chunks of text or bytes, yielding the entries of a root
+ * dict or the items of a root list as each one is complete.
+ */
+export function parseStream<T = unknown>(source: StreamSource, options?: Omit<ParseOptions, 'recover'>): AsyncGenerator<StreamEvent<T>, void, undefined>;
@@ -0,0 +1,297 @@
+/**
+ * parseStream() parses a HUML document from chunks of text or bytes and
+ * yields the entries of a root dict, or the items of a root list, as each one
+ * is complete.
+ *
+ * The input is split into top-level sections: a line at indent 0 that is not
+ * a comment, blank or inside a multiline string starts the next section.
+ * Each section is parsed on its own with the regular parser, so memory is
+ * bounded by the size of the largest top-level entry rather than the
+ * document. Other roots (scalars, inline and empty vectors) are parsed once
+ * the input ends.
+ */
+
+import { Parser, HUMLError, parse } from './decode.js';
+
+// Parses a HUML document from source: a string, an async or sync iterable of
+// strings or bytes (eg: a Node Readable) or a WHATWG ReadableStream. Yields
+//
+//   { type: 'entry', key, value, line } for each entry of a root dict,
+//   { type: 'item', index, value, line } for each item of a root list,
+//   { type: 'value', value } for any other root.
+//
+// Takes the same options as parse(), except recover. The reviver is called
+// for every value except the root. Throws HUMLError for invalid input, after
+// yielding the entries that precede the error.
+export async function* parseStream(source, options = {}) {
+    if (options.recover) {
+        throw new TypeError('parseStream() does not support the recover option');
+    }
+
+    // Validate the options up front.
+    new Parser('', options);
+
+    const reader = new SectionReader(options);
+
+    for await (const text of decodeChunks(source)) {
+        yield* reader.push(text);
+    }
+    yield* reader.end();
+}
+
+// Splits text into top-level sections and parses them.
+class SectionReader {
+    constructor(options) {
+        this.options = options;
+
+        // The partial line at the end of the input so far.
+        this.pending = '';
+
+        // The lines of the current section, its first line number and its
+        // offset in the document.
+        this.lines = [];
+        this.line = 1;
+        this.offset = 0;
+
+        // Line number of the first content line of the current section.
+        this.entryLine = 0;
+
+        // Line number and offset of the next line.
+        this.nextLine = 1;
+        this.nextOffset = 0;
+
+        // 'dict', 'list' or 'value', once the first section is complete.
+        this.mode = null;
+        this.hasContent = false;
+        this.inString = false;
+
+        // Keys of the root dict, for duplicate detection, and the index of
+        // the next root list item.
+        this.keys = new Set();
+        this.index = 0;
+    }
+
+    *push(text) {
+        const lines = (this.pending + text).split('\n');
+        this.pending = lines.pop();
+
+        for (const line of lines) {
+            yield* this.addLine(line, true);
+        }
+    }
+
+    *end() {
+        if (this.pending !== '') {
+            yield* this.addLine(this.pending, false);
+        }
+
+        if (this.mode !== 'value') {
+            yield* this.flush();
+        }
+
+        if (this.mode === 'value') {
+            const text = this.lines.join('');
+            this.lines = [];
+            yield { type: 'value', value: parse(text, this.options) };
+        }
+    }
+
+    *addLine(line, hasNewline) {
+        if (this.inString) {
+            // Any line starting with """ closes the string.
+            this.inString = !/^ *"""/.test(line);
+        } else {
+            const isContent = line !== '' && !/^ *#/.test(line) &&
+                !(!this.hasContent && this.nextLine === 1 && line.startsWith('%HUML'));
+
+            if (isContent && this.hasContent && line[0] !== ' ' && this.mode !== 'value') {
+                yield* this.flush();
+            }
+            if (isContent && (this.lines.length === 0 || !this.hasContent)) {
+                this.entryLine = this.nextLine;
+            }
+
+            this.hasContent = this.hasContent || isContent;
+            this.inString = opensMultilineString(line);
+        }
+
+        if (this.lines.length === 0) {
+            this.line = this.nextLine;
+            this.offset = this.nextOffset;
+        }
+
+        // Sections keep their final newline, as the parser needs it to tell
+        // blank lines and trailing spaces apart.
+        this.lines.push(hasNewline ? line + '\n' : line);
+        this.nextLine++;
+        this.nextOffset += line.length + 1;
+    }
+
+    // Parses the current section and yields its entries or items.
+    *flush() {
+        const text = this.lines.join('');
+        const isFirst = this.mode === null;
+        this.lines = [];
+
+        if (isFirst) {
+            this.mode = rootMode(text);
+            if (this.mode === 'value') {
+                // Keep everything, to be parsed as a whole at the end.
+                this.lines = [text];
+                return;
+            }
+        }
+
+        const parser = new Parser(text, this.options);
+        const events = [];
+
+        try {
+            if (isFirst) {
+                parser.parseVersion();
+            }
+
+            if (this.mode === 'dict') {
+                const out = parser.newDict();
+                while (parser.parseDictEntry(out, this.keys, 0)) {
+                    // Entries are added by parseDictEntry().
+                }
+
+                const entries = out instanceof Map ? out : Object.entries(out);
+                for (const [key, value] of entries) {
+                    events.push({ type: 'entry', key, value, line: this.entryLine });
+                }
+            } else {
+                // parseListItem() appends at out.length, so a sparse list keeps
+                // the reviver's indices counting from the document's start.
+                const out = [];
+                out.length = this.index;
+                while (parser.parseListItem(out, 0)) {
+                    events.push({ type: 'item', index: this.index, value: out[this.index], line: this.entryLine });
+                    this.index++;
+                }
+            }
+
+            parser.skipBlankLines();
+            if (!parser.done()) {
+                throw parser.error('UNEXPECTED_CONTENT', `unexpected content after root ${this.mode}`);
+            }
+        } catch (err) {
+            throw err instanceof HUMLError ? this.rebase(err) : err;
+        }
+
+        yield* events;
+    }
+
+    // Converts an error's position in the section to one in the document.
+    rebase(err) {
+        if (err.line === undefined) {
+            return err;
+        }
+
+        return new HUMLError(err.reason, {
+            code: err.code,
+            line: err.line + this.line - 1,
+            column: err.column,
+            offset: err.offset + this.offset,
+            snippet: err.snippet
+        });
+    }
+}
+
+// Determines how the root of a document starting with text is streamed.
+function rootMode(text) {
+    const parser = new Parser(text);
+    parser.parseVersion();
+    parser.skipBlankLines();
+
+    if (parser.getCurIndent() !== 0) {
+        return 'value';
+    }
+    if (parser.peekChar(parser.pos) === '-') {
+        return 'list';
+    }
+    if (parser.hasKeyValuePair() && !parser.hasInlineDictAtRoot()) {
+        return 'dict';
+    }
+
+    return 'value';
+}
+
+// Determines if a line outside a multiline string opens one. In valid HUML,
+// """ outside a quoted string can only be a multiline string opener.
+function opensMultilineString(line) {
+    let inString = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+
+        if (inString) {
+            if (c === '\\') {
+                i++;
+            } else if (c === '"') {
+                inString = false;
+            }
+        } else if (c === '#') {
+            return false;
+        } else if (c === '"') {
+            if (line.startsWith('"""', i)) {
+                return true;
+            }
+            inString = true;
+        }
+    }
+
+    return false;
+}
+
+// Yields the text of each chunk of source, decoding bytes as UTF-8.
+async function* decodeChunks(source) {
+    const decoder = new TextDecoder();
+
+    for await (const chunk of iterate(source)) {
+        if (typeof chunk === 'string') {
+            yield chunk;
+        } else if (chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk)) {
+            yield decoder.decode(chunk, { stream: true });
+        } else {
+            throw new TypeError('parseStream() chunks must be strings or bytes');
+        }
+    }
+
+    const rest = decoder.decode();
+    if (rest !== '') {
+        yield rest;
+    }
+}
+
+// Returns an async iterable for any supported source.
+function iterate(source) {
+    if (typeof source === 'string') {
+        return [source];
+    }
+    if (source !== null && typeof source === 'object') {
+        if (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function') {
+            return source;
+        }
+        if (typeof source.getReader === 'function') {
+            return readStream(source);
+        }
+    }
+
+    throw new TypeError('parseStream() expects a string, an iterable or a ReadableStream');
+}
+
+// Reads a ReadableStream that isn't async iterable.
+async function* readStream(stream) {
+    const reader = stream.getReader();
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
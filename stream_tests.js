@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { Readable } from 'node:stream';
+import { parseStream } from './stream.js';
+import { parse } from './decode.js';
+
+const DOC = `%HUML v0.2.0
+# Top comment
+
+name: "demo"
+server::
+  port: 8080
+  tags:: "a", "b"
+# A comment at indent 0 inside the root dict.
+
+text: """
+  first
+    "é 😀"
+"""
+list::
+  - """
+    x
+  """
+  - ::
+    a: 1
+`;
+
+async function collect(source, options) {
+    const events = [];
+    for await (const event of parseStream(source, options)) {
+        events.push(event);
+    }
+    return events;
+}
+
+// Splits text into n-byte chunks, which may cut through UTF-8 sequences.
+function* byteChunks(text, n) {
+    const bytes = new TextEncoder().encode(text);
+    for (let i = 0; i < bytes.length; i += n) {
+        yield bytes.subarray(i, i + n);
+    }
+}
+
+test('TestStreamDict', async () => {
+    const events = await collect(DOC);
+
+    assert.deepEqual(events.map(e => [e.type, e.key, e.line]), [
+        ['entry', 'name', 4],
+        ['entry', 'server', 5],
+        ['entry', 'text', 10],
+        ['entry', 'list', 14],
+    ]);
+    assert.deepEqual(Object.fromEntries(events.map(e => [e.key, e.value])), parse(DOC));
+});
+
+test('TestStreamList', async () => {
+    const text = '- 1\n- ::\n  a: 1\n# c\n- """\n  x\n"""\n';
+    const events = await collect(text);
+
+    assert.deepEqual(events, [
+        { type: 'item', index: 0, value: 1, line: 1 },
+        { type: 'item', index: 1, value: { a: 1 }, line: 2 },
+        { type: 'item', index: 2, value: 'x', line: 5 },
+    ]);
+});
+
+test('TestStreamValue', async () => {
+    const cases = ['"scalar"', '1, 2, 3\n', 'a: 1, b: 2\n', '[]', '{}', '"""\n  x\n"""\n'];
+
+    for (const text of cases) {
+        assert.deepEqual(await collect(text), [{ type: 'value', value: parse(text) }], text);
+    }
+});
+
+test('TestStreamChunks', async () => {
+    const expected = await collect(DOC);
+
+    for (const n of [1, 2, 3, 7, 64]) {
+        assert.deepEqual(await collect(byteChunks(DOC, n)), expected, `chunk size ${n}`);
+    }
+
+    assert.deepEqual(await collect(Readable.from([DOC.slice(0, 50), DOC.slice(50)])), expected);
+
+    const stream = new ReadableStream({
+        start(controller) {
+            for (const chunk of byteChunks(DOC, 5)) {
+                controller.enqueue(chunk);
+            }
+            controller.close();
+        }
+    });
+    assert.deepEqual(await collect(stream), expected);
+});
+
+test('TestStreamOptions', async () => {
+    const events = await collect('a: 1\nb: 12345678901234567890\n', { bigint: 'auto', dicts: 'map' });
+    assert.deepEqual(events.map(e => e.value), [1, 12345678901234567890n]);
+
+    // The reviver sees the same keys and paths as with parse().
+    const paths = [];
+    await collect('- 1\n- 2\n- ::\n  a: 3\n', {
+        reviver(key, value, path) {
+            paths.push(path.join('.'));
+            return value;
+        }
+    });
+    assert.deepEqual(paths, ['0', '1', '2.a', '2']);
+
+    await assert.rejects(collect('a: 1', { recover: true }), TypeError);
+    await assert.rejects(collect('a: 1', { dicts: 'nope' }), TypeError);
+    await assert.rejects(collect(42), TypeError);
+});
+
+test('TestStreamErrors', async () => {
+    const cases = [
+        'a: 1\nb: 2\na: 3\n',
+        'a: 1\nb: x\n',
+        'a: 1\nb::\n   c: 1\n',
+        '- 1\nb: 2\n',
+        'a: 1\n- 2\n',
+        '',
+    ];
+
+    for (const text of cases) {
+        let expected;
+        try {
+            parse(text);
+        } catch (err) {
+            expected = err;
+        }
+
+        await assert.rejects(collect(text), (err) => {
+            assert.equal(err.message, expected.message, text);
+            assert.equal(err.line, expected.line, text);
+            assert.equal(err.offset, expected.offset, text);
+            return true;
+        });
+    }
+
+    // Entries before the error are yielded.
+    const events = [];
+    await assert.rejects(async () => {
+        for await (const event of parseStream('a: 1\nb: 2\na: 3\n')) {
+            events.push(event.key);
+        }
+    }, { code: 'DUPLICATE_KEY' });
+    assert.deepEqual(events, ['a', 'b']);
+});
@@ -0,0 +1,42 @@
+import type { Range } from './document.js';
+
+export type TokenType =
+    | 'version'
+    | 'key'
+    | 'quotedKey'
+    | 'indicator'
+    | 'dash'
+    | 'string'
+    | 'multilineString'
+    | 'number'
+    | 'boolean'
+    | 'null'
+    | 'specialFloat'
+    | 'emptyList'
+    | 'emptyDict'
+    | 'comma'
+    | 'comment'
+    | 'indent'
+    | 'newline';
+
+export interface Token {
+    type: TokenType;
+    /**
+     * The decoded value of keys and scalars, the version of a version
+     * directive (or null) and the width of an indent.
+     */
+    value?: string | number | boolean | null;
+    /** The base of a number: 10, 16, 8 or 2. */
+    base?: 10 | 16 | 8 | 2;
+    /** The source text of the token. */
+    raw: string;
+    /** The token's [start, end) offsets in the source. */
+    range: Exclude<Range, null>;
+}
+
+/**
+ * Yields the tokens of HUML text in order, for highlighters and other tools.
+ * The tokenizer is lexical only: it doesn't check indentation, spacing or
+ * structure. Throws HUMLError for text that can't be a token.
+ */
+export function tokenize(text: string): Generator<Token, void, undefined>;
@@ -0,0 +1,148 @@
+/**
+ * tokenize() splits HUML text into typed tokens with their source ranges, for
+ * syntax highlighters and other tools:
+ *
+ *   for (const token of tokenize('port: 0x1F  # admin\n')) {
+ *       // { type: 'key', value: 'port', raw: 'port', range: [0, 4] }
+ *       // { type: 'indicator', raw: ':', range: [4, 5] }
+ *       // { type: 'number', value: 31, base: 16, raw: '0x1F', range: [6, 10] }
+ *       // { type: 'comment', raw: '# admin', range: [12, 19] }
+ *       // { type: 'newline', raw: '\n', range: [19, 20] }
+ *   }
+ *
+ * Keys and scalars are read by the same scanners as the parser's, so tokens
+ * have the values that parse() would give them. The tokenizer is lexical
+ * only: it doesn't check indentation, spacing or structure, which parse()
+ * reports. Spaces are skipped, except for indents. Text that can't be a token
+ * throws a HUMLError, after the tokens before it have been yielded.
+ */
+
+import { Parser, scanKey, scanScalar, scanString, scanMultilineBody } from './decode.js';
+
+// Yields the tokens of text, in order. Types:
+//
+//   version: the %HUML directive; value is the version, or null
+//   key, quotedKey: dict keys, with value the key
+//   indicator: ':' or '::'
+//   dash: '-' before a list item
+//   string, multilineString, number, boolean, null, specialFloat: scalars,
+//     with value the decoded value; numbers have base 10, 16, 8 or 2
+//   emptyList, emptyDict: '[]' and '{}'
+//   comma, comment, newline
+//   indent: the spaces at the start of a line, with value their count
+//
+// A multilineString token spans from its opening to its closing delimiter.
+// A comment after the opening one is yielded after it.
+export function* tokenize(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('HUML input must be of type string');
+    }
+
+    const parser = new Parser(text);
+    const fail = (code, message, pos) => parser.error(code, message, pos);
+    const token = (type, start, end, extra) => ({ type, ...extra, raw: text.substring(start, end), range: [start, end] });
+    const scanned = ({ range, ...rest }) => ({ ...rest, raw: text.substring(range[0], range[1]), range });
+
+    let pos = 0;
+    let indent = 0;
+
+    if (text.startsWith('%HUML')) {
+        let end = 5;
+        let version = null;
+        if (text[end] === ' ') {
+            const start = end + 1;
+            end = start;
+            while (end < text.length && ![' ', '\n', '#'].includes(text[end])) {
+                end++;
+            }
+            version = end > start ? text.substring(start, end) : null;
+        }
+
+        yield token('version', 0, end, { value: version });
+        pos = end;
+    }
+
+    while (pos < text.length) {
+        const c = text[pos];
+
+        // Indents, at the start of lines.
+        if (pos === 0 || text[pos - 1] === '\n') {
+            let end = pos;
+            while (text[end] === ' ') {
+                end++;
+            }
+
+            indent = end - pos;
+            if (indent > 0) {
+                yield token('indent', pos, end, { value: indent });
+                pos = end;
+                continue;
+            }
+        }
+
+        if (c === ' ') {
+            pos++;
+        } else if (c === '\n') {
+            yield token('newline', pos, pos + 1);
+            pos++;
+        } else if (c === '#') {
+            const end = lineEnd(text, pos);
+            yield token('comment', pos, end);
+            pos = end;
+        } else if (c === ':') {
+            const end = text[pos + 1] === ':' ? pos + 2 : pos + 1;
+            yield token('indicator', pos, end);
+            pos = end;
+        } else if (c === ',') {
+            yield token('comma', pos, pos + 1);
+            pos++;
+        } else if (c === '-' && !/^(\d|inf)/.test(text.substring(pos + 1, pos + 4))) {
+            yield token('dash', pos, pos + 1);
+            pos++;
+        } else if (text.startsWith('[]', pos) || text.startsWith('{}', pos)) {
+            yield token(c === '[' ? 'emptyList' : 'emptyDict', pos, pos + 2);
+            pos += 2;
+        } else if (text.startsWith('"""', pos)) {
+            // The rest of the opening line may only hold a comment.
+            let end = pos + 3;
+            while (text[end] === ' ') {
+                end++;
+            }
+
+            let comment = null;
+            if (text[end] === '#') {
+                comment = token('comment', end, lineEnd(text, end));
+                end = comment.range[1];
+            } else if (end < text.length && text[end] !== '\n') {
+                throw fail('UNEXPECTED_CONTENT', 'unexpected content at end of line', end);
+            }
+
+            if (end >= text.length) {
+                throw fail('UNCLOSED_STRING', 'unclosed multiline string', text.length);
+            }
+
+            const { value, range } = scanMultilineBody(text, end + 1, fail, indent);
+            yield token('multilineString', pos, range[1], { value });
+            if (comment) {
+                yield comment;
+            }
+            pos = range[1];
+        } else if (c === '"') {
+            const string = scanString(text, pos, fail);
+            yield scanned(text[string.range[1]] === ':' ? { ...string, type: 'quotedKey' } : string);
+            pos = string.range[1];
+        } else {
+            // Bare words are keys before an indicator, and otherwise values
+            // like true and nan.
+            const key = /[a-zA-Z]/.test(c) ? scanKey(text, pos, fail) : null;
+            const next = key && text[key.range[1]] === ':' ? key : scanScalar(text, pos, fail);
+            yield scanned(next);
+            pos = next.range[1];
+        }
+    }
+}
+
+function lineEnd(text, pos) {
+    const end = text.indexOf('\n', pos);
+    return end === -1 ? text.length : end;
+}
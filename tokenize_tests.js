@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { tokenize } from './tokenize.js';
+import { parse } from './decode.js';
+
+// Returns [type, raw] pairs, with the value where there is one.
+function tokens(text) {
+    return [...tokenize(text)].map(t => (t.value === undefined ? [t.type, t.raw] : [t.type, t.raw, t.value]));
+}
+
+test('TestTokenize', () => {
+    const text = `%HUML v0.2.0
+# Servers
+servers::
+  - ::
+    "host name": "a\\tb"
+    ports:: 80, 0x1BB
+  - "b"
+empty:: [], {}
+`;
+
+    assert.deepEqual(tokens(text), [
+        ['version', '%HUML v0.2.0', 'v0.2.0'],
+        ['newline', '\n'],
+        ['comment', '# Servers'],
+        ['newline', '\n'],
+        ['key', 'servers', 'servers'],
+        ['indicator', '::'],
+        ['newline', '\n'],
+        ['indent', '  ', 2],
+        ['dash', '-'],
+        ['indicator', '::'],
+        ['newline', '\n'],
+        ['indent', '    ', 4],
+        ['quotedKey', '"host name"', 'host name'],
+        ['indicator', ':'],
+        ['string', '"a\\tb"', 'a\tb'],
+        ['newline', '\n'],
+        ['indent', '    ', 4],
+        ['key', 'ports', 'ports'],
+        ['indicator', '::'],
+        ['number', '80', 80],
+        ['comma', ','],
+        ['number', '0x1BB', 443],
+        ['newline', '\n'],
+        ['indent', '  ', 2],
+        ['dash', '-'],
+        ['string', '"b"', 'b'],
+        ['newline', '\n'],
+        ['key', 'empty', 'empty'],
+        ['indicator', '::'],
+        ['emptyList', '[]'],
+        ['comma', ','],
+        ['emptyDict', '{}'],
+        ['newline', '\n'],
+    ]);
+
+    const [version] = tokenize(text);
+    assert.deepEqual(version.range, [0, 12]);
+});
+
+test('TestTokenizeScalars', () => {
+    const cases = [
+        ['1_000', 'number', 1000, 10],
+        ['-1.5e3', 'number', -1500, 10],
+        ['0o17', 'number', 15, 8],
+        ['-0b101', 'number', -5, 2],
+        ['true', 'boolean', true],
+        ['null', 'null', null],
+        ['nan', 'specialFloat', NaN],
+        ['-inf', 'specialFloat', -Infinity],
+        ['"q: \\"x\\""', 'string', 'q: "x"'],
+    ];
+
+    for (const [raw, type, value, base] of cases) {
+        const [, , token] = tokenize(`a: ${raw}`);
+        assert.deepEqual(token, { type, value, ...(base && { base }), raw, range: [3, 3 + raw.length] }, raw);
+    }
+
+    // Bare words before an indicator are keys.
+    assert.deepEqual(tokens('true: nan'), [['key', 'true', 'true'], ['indicator', ':'], ['specialFloat', 'nan', NaN]]);
+    assert.deepEqual(tokens('- -1'), [['dash', '-'], ['number', '-1', -1]]);
+});
+
+test('TestTokenizeMultiline', () => {
+    const text = 'a::\n  - """  # note\n    one\n      two\n  """\n';
+
+    assert.deepEqual([...tokenize(text)].map(t => [t.type, t.range]), [
+        ['key', [0, 1]],
+        ['indicator', [1, 3]],
+        ['newline', [3, 4]],
+        ['indent', [4, 6]],
+        ['dash', [6, 7]],
+        ['multilineString', [8, 43]],
+        ['comment', [13, 19]],
+        ['newline', [43, 44]],
+    ]);
+
+    const string = [...tokenize(text)].find(t => t.type === 'multilineString');
+    assert.equal(string.value, parse(text).a[0]);
+});
+
+test('TestTokenizeErrors', () => {
+    const cases = [
+        ['a: "open', 'UNCLOSED_STRING', 1, 9],
+        ['a: "\\q"', 'INVALID_ESCAPE', 1, 6],
+        ['a: yes', 'INVALID_VALUE', 1, 4],
+        ['a: 0x', 'INVALID_NUMBER', 1, 6],
+        ['a: 1\nb: """\n  x\n', 'UNCLOSED_STRING', 4, 1],
+        ['a: """ x\n"""', 'UNEXPECTED_CONTENT', 1, 8],
+    ];
+
+    for (const [text, code, line, column] of cases) {
+        assert.throws(() => [...tokenize(text)], { name: 'HUMLError', code, line, column }, text);
+    }
+
+    // Tokens before the error are yielded first.
+    const it = tokenize('a: ?');
+    assert.equal(it.next().value.type, 'key');
+    assert.equal(it.next().value.type, 'indicator');
+    assert.throws(() => it.next(), { code: 'INVALID_VALUE' });
+
+    // Structure isn't checked.
+    assert.deepEqual(tokens('a:  1 '), [['key', 'a', 'a'], ['indicator', ':'], ['number', '1', 1]]);
+
+    assert.throws(() => tokenize(null).next(), TypeError);
+});
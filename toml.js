@@ -0,0 +1,826 @@
+/**
+ * A TOML 1.0 reader and writer for converting to and from HUML. Tables are
+ * read as Maps. Datetimes, which HUML doesn't have, are read as strings.
+ * Comments are kept for the keys, table headers and array items they precede
+ * or follow.
+ *
+ * Constructs that HUML or TOML can't represent exactly are listed in a
+ * report.
+ */
+
+import { HUMLError } from './decode.js';
+import { formatPath } from './path.js';
+
+const BARE_KEY_REGEX = /^[A-Za-z0-9_-]+$/;
+const INT_REGEX = /^[-+]?(?:0|[1-9](?:_?[0-9])*)$/;
+const PREFIXED_INT_REGEX = /^0(?:x[0-9a-fA-F](?:_?[0-9a-fA-F])*|o[0-7](?:_?[0-7])*|b[01](?:_?[01])*)$/;
+const FLOAT_REGEX = /^[-+]?(?:0|[1-9](?:_?[0-9])*)(?:\.[0-9](?:_?[0-9])*)?(?:[eE][-+]?[0-9](?:_?[0-9])*)?$/;
+const SPECIAL_FLOAT_REGEX = /^[-+]?(?:inf|nan)$/;
+const DATE = '[0-9]{4}-[0-9]{2}-[0-9]{2}';
+const TIME = '[0-9]{2}:[0-9]{2}:[0-9]{2}(?:\\.[0-9]+)?';
+const OFFSET = '(?:[Zz]|[-+][0-9]{2}:[0-9]{2})';
+const DATETIMES = [
+    [new RegExp(`^${DATE}[Tt ]${TIME}${OFFSET}$`), 'offset datetime'],
+    [new RegExp(`^${DATE}[Tt ]${TIME}$`), 'local datetime'],
+    [new RegExp(`^${DATE}$`), 'local date'],
+    [new RegExp(`^${TIME}$`), 'local time']
+];
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+const ESCAPES = { 'b': '\b', 't': '\t', 'n': '\n', 'f': '\f', 'r': '\r', 'e': '\x1b', '"': '"', '\\': '\\' };
+
+// Parses TOML text. Returns the root table, as a Map, and the comments,
+// footer and report, as described for parseYAML().
+//
+// Throws HUMLError with code INVALID_TOML for invalid TOML.
+export function parseTOML(text) {
+    return new TOMLParser(text).parse();
+}
+
+class TOMLParser {
+    constructor(text) {
+        this.text = text.replace(/^\uFEFF/, '');
+        this.pos = 0;
+        this.line = 1;
+        this.lineStart = 0;
+
+        this.root = new Map();
+        this.comments = new Map();
+        this.report = [];
+        this.pending = [];
+
+        // How each table was created: 'implicit', 'header', 'dotted' or
+        // 'inline', and the arrays created by [[headers]].
+        this.kinds = new Map([[this.root, 'header']]);
+        this.tableArrays = new Set();
+    }
+
+    parse() {
+        let table = this.root;
+        let tablePath = [];
+
+        while (this.pos < this.text.length) {
+            this.skipSpaces();
+            const c = this.text[this.pos];
+
+            if (c === '\n' || c === '\r' || c === '#' || c === undefined) {
+                this.parseTriviaLine();
+                continue;
+            }
+
+            if (c === '[') {
+                ({ table, path: tablePath } = this.parseHeader());
+            } else {
+                this.parseKeyValue(table, tablePath);
+            }
+            this.finishLine(this.lastPath);
+        }
+
+        return { value: this.root, comments: this.comments, footer: this.pending, report: this.report };
+    }
+
+    // Parses a blank or comment line, after its indent.
+    parseTriviaLine() {
+        if (this.text[this.pos] === '#') {
+            this.pending.push({ type: 'comment', text: this.parseComment() });
+        } else if (this.pos < this.text.length) {
+            this.pending.push({ type: 'blank' });
+        }
+        this.parseNewline();
+    }
+
+    // Parses [table] or [[array of tables]]. Returns the table that
+    // following keys belong to.
+    parseHeader() {
+        const isArray = this.text.startsWith('[[', this.pos);
+        this.pos += isArray ? 2 : 1;
+
+        this.skipSpaces();
+        const keys = this.parseKey();
+        this.skipSpaces();
+
+        const close = isArray ? ']]' : ']';
+        if (!this.text.startsWith(close, this.pos)) {
+            throw this.error(`expected '${close}'`);
+        }
+        this.pos += close.length;
+
+        const parentPath = [];
+        let parent = this.root;
+        for (const key of keys.slice(0, -1)) {
+            parent = this.descend(parent, key, parentPath, 'implicit', true);
+            parentPath.push(key, ...(this.lastIndex === null ? [] : [this.lastIndex]));
+        }
+
+        const key = keys[keys.length - 1];
+        const existing = parent.get(key);
+        let table;
+        let path;
+
+        if (isArray) {
+            if (existing === undefined) {
+                // Comments above the first table belong to the key.
+                this.entry([...parentPath, key]);
+                parent.set(key, []);
+                this.tableArrays.add(parent.get(key));
+            } else if (!this.tableArrays.has(existing)) {
+                throw this.error(`can't redefine '${formatPath([...parentPath, key])}' as an array of tables`);
+            }
+
+            const array = parent.get(key);
+            table = new Map();
+            this.kinds.set(table, 'header');
+            path = [...parentPath, key, array.length];
+            array.push(table);
+        } else {
+            if (existing === undefined) {
+                table = new Map();
+                parent.set(key, table);
+            } else if (existing instanceof Map && this.kinds.get(existing) === 'implicit') {
+                table = existing;
+            } else {
+                throw this.error(`can't redefine '${formatPath([...parentPath, key])}'`);
+            }
+
+            this.kinds.set(table, 'header');
+            path = [...parentPath, key];
+        }
+
+        this.entry(path);
+        this.lastPath = path;
+
+        return { table, path };
+    }
+
+    // Parses key = value into table.
+    parseKeyValue(table, tablePath) {
+        const keys = this.parseKey();
+        const path = [...tablePath];
+
+        let parent = table;
+        for (const key of keys.slice(0, -1)) {
+            parent = this.descend(parent, key, path, 'dotted', false);
+            path.push(key);
+        }
+
+        const key = keys[keys.length - 1];
+        path.push(key);
+        if (parent.has(key)) {
+            throw this.error(`duplicate key '${formatPath(path)}'`);
+        }
+
+        this.skipSpaces();
+        if (this.text[this.pos] !== '=') {
+            throw this.error("expected '=' after the key");
+        }
+        this.pos++;
+        this.skipSpaces();
+
+        this.entry(path);
+        parent.set(key, this.parseValue(path));
+        this.lastPath = path;
+    }
+
+    // Returns the table at key in parent, creating it with kind if it doesn't
+    // exist. Through headers, arrays of tables lead to their last table, and
+    // lastIndex is set to its index.
+    descend(parent, key, path, kind, isHeader) {
+        let value = parent.get(key);
+        this.lastIndex = null;
+
+        if (value === undefined) {
+            value = new Map();
+            parent.set(key, value);
+            this.kinds.set(value, kind);
+            return value;
+        }
+
+        if (isHeader && this.tableArrays.has(value)) {
+            this.lastIndex = value.length - 1;
+            return value[value.length - 1];
+        }
+
+        const existing = this.kinds.get(value);
+        if (!(value instanceof Map) || existing === 'inline' || (!isHeader && existing === 'header' && value !== this.root)) {
+            throw this.error(`can't add keys to '${formatPath([...path, key])}'`);
+        }
+
+        return value;
+    }
+
+    // Parses a dotted key into its parts.
+    parseKey() {
+        const keys = [];
+
+        while (true) {
+            this.skipSpaces();
+            const c = this.text[this.pos];
+
+            if (c === '"' || c === "'") {
+                keys.push(this.parseString(false));
+            } else {
+                const start = this.pos;
+                while (this.pos < this.text.length && /[A-Za-z0-9_-]/.test(this.text[this.pos])) {
+                    this.pos++;
+                }
+                if (start === this.pos) {
+                    throw this.error('expected a key');
+                }
+                keys.push(this.text.substring(start, this.pos));
+            }
+
+            this.skipSpaces();
+            if (this.text[this.pos] !== '.') {
+                return keys;
+            }
+            this.pos++;
+        }
+    }
+
+    // Parses the value at path.
+    parseValue(path) {
+        const c = this.text[this.pos];
+
+        if (c === '"' || c === "'") {
+            return this.parseString(true);
+        }
+        if (c === '[') {
+            return this.parseArray(path);
+        }
+        if (c === '{') {
+            return this.parseInlineTable(path);
+        }
+
+        return this.parseScalar(path);
+    }
+
+    parseScalar(path) {
+        const start = this.pos;
+        while (this.pos < this.text.length && !/[\s,\]}#]/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+
+        // Dates and times may be separated by a space.
+        if (/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(this.text.substring(start, this.pos)) &&
+            /^ [0-9]{2}:/.test(this.text.substring(this.pos, this.pos + 4))) {
+            this.pos++;
+            while (this.pos < this.text.length && !/[\s,\]}#]/.test(this.text[this.pos])) {
+                this.pos++;
+            }
+        }
+
+        const token = this.text.substring(start, this.pos);
+
+        if (token === 'true' || token === 'false') {
+            return token === 'true';
+        }
+
+        if (INT_REGEX.test(token) || PREFIXED_INT_REGEX.test(token)) {
+            const digits = token.replace(/_/g, '');
+            const num = digits[0] === '-' ? -BigInt(digits.substring(1)) : BigInt(digits.replace(/^\+/, ''));
+            if (num < INT64_MIN || num > INT64_MAX) {
+                throw this.error(`integer ${token} is out of range`, start);
+            }
+            return Number.isSafeInteger(Number(num)) ? Number(num) : num;
+        }
+
+        if (FLOAT_REGEX.test(token)) {
+            return Number(token.replace(/_/g, ''));
+        }
+        if (SPECIAL_FLOAT_REGEX.test(token)) {
+            return token.endsWith('nan') ? NaN : token[0] === '-' ? -Infinity : Infinity;
+        }
+
+        for (const [regex, kind] of DATETIMES) {
+            if (regex.test(token)) {
+                this.note(path, `the ${kind} ${token} was converted to a string`);
+                return token;
+            }
+        }
+
+        throw this.error(token === '' ? 'expected a value' : `invalid value '${token}'`, start);
+    }
+
+    // Parses a basic, literal or (if multiline is set) multi-line string.
+    parseString(multiline) {
+        const quote = this.text[this.pos];
+        const triple = quote.repeat(3);
+
+        if (this.text.startsWith(triple, this.pos)) {
+            if (!multiline) {
+                throw this.error('multi-line strings are not allowed in keys');
+            }
+            return this.parseMultilineString(quote);
+        }
+
+        this.pos++;
+        let out = '';
+
+        while (true) {
+            const c = this.text[this.pos];
+
+            if (c === undefined || c === '\n' || c === '\r') {
+                throw this.error('unclosed string');
+            }
+            if (c === quote) {
+                this.pos++;
+                return out;
+            }
+            if (c === '\\' && quote === '"') {
+                out += this.parseEscape();
+                continue;
+            }
+            if (isControl(c) && c !== '\t') {
+                throw this.error('control characters must be escaped');
+            }
+
+            out += c;
+            this.pos++;
+        }
+    }
+
+    parseMultilineString(quote) {
+        const triple = quote.repeat(3);
+        this.pos += 3;
+
+        // A newline right after the opening quotes is trimmed.
+        if (this.text.startsWith('\r\n', this.pos)) {
+            this.pos += 2;
+            this.newLine(this.pos);
+        } else if (this.text[this.pos] === '\n') {
+            this.pos++;
+            this.newLine(this.pos);
+        }
+
+        let out = '';
+
+        while (true) {
+            if (this.pos >= this.text.length) {
+                throw this.error('unclosed multi-line string');
+            }
+
+            if (this.text.startsWith(triple, this.pos)) {
+                // Up to two quotes may precede the closing ones.
+                let end = this.pos + 3;
+                while (end < this.pos + 5 && this.text[end] === quote) {
+                    end++;
+                }
+                out += quote.repeat(end - this.pos - 3);
+                this.pos = end;
+                return out;
+            }
+
+            const c = this.text[this.pos];
+
+            if (c === '\\' && quote === '"') {
+                // A backslash at the end of a line trims the whitespace
+                // that follows it.
+                const rest = /^\\[ \t]*\r?\n/.exec(this.text.substring(this.pos, this.pos + 200));
+                if (rest) {
+                    this.pos += rest[0].length;
+                    this.newLine(this.pos);
+                    while (/[ \t\r\n]/.test(this.text[this.pos] ?? '')) {
+                        if (this.text[this.pos] === '\n') this.newLine(this.pos + 1);
+                        this.pos++;
+                    }
+                    continue;
+                }
+                out += this.parseEscape();
+                continue;
+            }
+
+            if (c === '\n') {
+                this.newLine(this.pos + 1);
+            } else if (c === '\r' && this.text[this.pos + 1] === '\n') {
+                this.pos++;
+                continue;
+            } else if (isControl(c) && c !== '\t') {
+                throw this.error('control characters must be escaped');
+            }
+
+            out += c;
+            this.pos++;
+        }
+    }
+
+    parseEscape() {
+        const c = this.text[this.pos + 1];
+
+        if (Object.hasOwn(ESCAPES, c)) {
+            this.pos += 2;
+            return ESCAPES[c];
+        }
+
+        if (c === 'u' || c === 'U') {
+            const length = c === 'u' ? 4 : 8;
+            const hex = this.text.substring(this.pos + 2, this.pos + 2 + length);
+            const code = /^[0-9a-fA-F]+$/.test(hex) && hex.length === length ? parseInt(hex, 16) : -1;
+            if (code < 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+                throw this.error(`invalid escape '\\${c}${hex}'`);
+            }
+            this.pos += 2 + length;
+            return String.fromCodePoint(code);
+        }
+
+        throw this.error(`invalid escape '\\${c ?? ''}'`);
+    }
+
+    parseArray(path) {
+        const out = [];
+        this.pos++;
+
+        while (true) {
+            this.skipArraySpace(out.length > 0 ? [...path, out.length - 1] : null);
+            if (this.text[this.pos] === ']') {
+                this.pos++;
+                return out;
+            }
+
+            const itemPath = [...path, out.length];
+            this.entry(itemPath);
+            out.push(this.parseValue(itemPath));
+
+            this.skipArraySpace(itemPath);
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== ']') {
+                throw this.error("expected ',' or ']'");
+            }
+        }
+    }
+
+    // Skips whitespace, newlines and comments in an array. Comments on the
+    // line of the previous item (at path) are its trailing comment; others
+    // are kept for the next item.
+    skipArraySpace(path) {
+        let sameLine = true;
+
+        while (this.pos < this.text.length) {
+            const c = this.text[this.pos];
+
+            if (c === ' ' || c === '\t') {
+                this.pos++;
+            } else if (c === '#') {
+                const text = this.parseComment();
+                if (sameLine && path !== null) {
+                    this.commentsFor(path).trailing = text;
+                } else {
+                    this.pending.push({ type: 'comment', text });
+                }
+            } else if (c === '\n' || c === '\r') {
+                this.parseNewline();
+                sameLine = false;
+            } else {
+                return;
+            }
+        }
+    }
+
+    parseInlineTable(path) {
+        const out = new Map();
+        this.kinds.set(out, 'inline');
+        this.pos++;
+
+        this.skipSpaces();
+        if (this.text[this.pos] === '}') {
+            this.pos++;
+            return out;
+        }
+
+        while (true) {
+            this.skipSpaces();
+            const keys = this.parseKey();
+            const keyPath = [...path];
+
+            let parent = out;
+            for (const key of keys.slice(0, -1)) {
+                parent = this.descend(parent, key, keyPath, 'dotted', false);
+                keyPath.push(key);
+            }
+
+            const key = keys[keys.length - 1];
+            keyPath.push(key);
+            if (parent.has(key)) {
+                throw this.error(`duplicate key '${formatPath(keyPath)}'`);
+            }
+
+            this.skipSpaces();
+            if (this.text[this.pos] !== '=') {
+                throw this.error("expected '=' after the key");
+            }
+            this.pos++;
+            this.skipSpaces();
+            parent.set(key, this.parseValue(keyPath));
+
+            this.skipSpaces();
+            if (this.text[this.pos] === '}') {
+                this.pos++;
+                return out;
+            }
+            if (this.text[this.pos] !== ',') {
+                throw this.error("expected ',' or '}'");
+            }
+            this.pos++;
+        }
+    }
+
+    // Expects the rest of a line to be empty or a comment, which becomes the
+    // trailing comment of path.
+    finishLine(path) {
+        this.skipSpaces();
+
+        if (this.text[this.pos] === '#') {
+            this.commentsFor(path).trailing = this.parseComment();
+        }
+        if (this.pos < this.text.length) {
+            if (this.text[this.pos] !== '\n' && this.text[this.pos] !== '\r') {
+                throw this.error('unexpected content after the value');
+            }
+            this.parseNewline();
+        }
+    }
+
+    // Parses a comment, returning its text without the '#'.
+    parseComment() {
+        const start = this.pos;
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n' && this.text[this.pos] !== '\r') {
+            if (isControl(this.text[this.pos]) && this.text[this.pos] !== '\t') {
+                throw this.error('control characters are not allowed in comments');
+            }
+            this.pos++;
+        }
+        return commentText(this.text.substring(start, this.pos));
+    }
+
+    parseNewline() {
+        if (this.text.startsWith('\r\n', this.pos)) {
+            this.pos += 2;
+        } else if (this.text[this.pos] === '\n') {
+            this.pos++;
+        } else if (this.pos < this.text.length) {
+            throw this.error('expected a newline');
+        }
+        this.newLine(this.pos);
+    }
+
+    newLine(start) {
+        this.line++;
+        this.lineStart = start;
+    }
+
+    skipSpaces() {
+        while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') {
+            this.pos++;
+        }
+    }
+
+    // Starts the entry at path, giving it the pending comment lines.
+    entry(path) {
+        const before = this.pending;
+        this.pending = [];
+
+        if (before.length > 0) {
+            this.commentsFor(path).before = before;
+        }
+    }
+
+    commentsFor(path) {
+        const key = formatPath(path);
+        if (!this.comments.has(key)) {
+            this.comments.set(key, { path, before: [], trailing: null });
+        }
+        return this.comments.get(key);
+    }
+
+    note(path, message) {
+        this.report.push({ path: formatPath(path), message, line: this.line });
+    }
+
+    error(message, pos = this.pos) {
+        const end = this.text.indexOf('\n', this.lineStart);
+        return new HUMLError(message, {
+            code: 'INVALID_TOML',
+            line: this.line,
+            column: pos - this.lineStart + 1,
+            snippet: this.text.substring(this.lineStart, end === -1 ? this.text.length : end).replace(/\r$/, '')
+        });
+    }
+}
+
+function isControl(c) {
+    return /[\x00-\x1f\x7f]/.test(c);
+}
+
+function commentText(comment) {
+    return comment.replace(/^#+/, '').trim();
+}
+
+// Writes a value, as returned by parse() with dicts: 'map', as TOML.
+// comments and footer are as for writeYAML(). Returns { text, report },
+// where report lists the values that TOML can't represent exactly.
+export function writeTOML(value, comments = new Map(), footer = []) {
+    const isTable = value instanceof Map;
+    const writer = new TOMLWriter(isTable ? comments : new Map());
+
+    if (!isTable) {
+        writer.note([], "the root isn't a dict; it was written as the key 'value'");
+        value = new Map([['value', value]]);
+    }
+
+    writer.writeTrivia([]);
+    writer.writeTable(value, [], []);
+
+    for (const node of footer) {
+        writer.lines.push(node.type === 'blank' ? '' : formatComment(node.text));
+    }
+
+    return { text: writer.lines.join('\n') + '\n', report: writer.report };
+}
+
+class TOMLWriter {
+    constructor(comments) {
+        this.comments = comments;
+        this.lines = [];
+        this.report = [];
+    }
+
+    // Writes the keys of a table, then its subtables. path is the table's
+    // path and header its path without list indices.
+    writeTable(table, path, header) {
+        const sections = [];
+
+        for (const [key, value] of table) {
+            const childPath = [...path, key];
+
+            if (value === null) {
+                this.note(childPath, 'null was dropped, as TOML has no null');
+            } else if (value instanceof Map && value.size > 0) {
+                sections.push(() => this.writeSection(value, childPath, [...header, key], false));
+            } else if (isTableArray(value)) {
+                sections.push(() => value.forEach((item, i) => {
+                    // The key's comments go above the first table.
+                    if (i === 0) {
+                        this.writeTrivia(childPath);
+                    }
+                    this.writeSection(item, [...childPath, i], [...header, key], true);
+                }));
+            } else {
+                this.writeTrivia(childPath);
+                this.writeKeyValue(key, value, childPath);
+            }
+        }
+
+        sections.forEach(write => write());
+    }
+
+    writeSection(table, path, header, isArray) {
+        const entry = this.comments.get(formatPath(path));
+        const hasBlank = entry !== undefined && entry.before.length > 0 && entry.before[0].type === 'blank';
+
+        if (this.lines.length > 0 && !hasBlank) {
+            this.lines.push('');
+        }
+        this.writeTrivia(path);
+
+        const name = header.map(formatKey).join('.');
+        this.lines.push((isArray ? `[[${name}]]` : `[${name}]`) + this.trailing(path));
+        this.writeTable(table, path, header);
+    }
+
+    writeKeyValue(key, value, path) {
+        const head = formatKey(key) + ' = ';
+
+        if (typeof value === 'string' && value.includes('\n')) {
+            const lines = multilineString(value).split('\n');
+            lines[0] = head + lines[0] + this.trailing(path);
+            this.lines.push(...lines);
+            return;
+        }
+
+        // Arrays with commented items are written one item per line.
+        if (Array.isArray(value) && value.some((_, i) => this.comments.has(formatPath([...path, i])))) {
+            this.lines.push(head + '[' + this.trailing(path));
+            value.forEach((item, i) => {
+                if (item === null) {
+                    this.note([...path, i], 'null was dropped, as TOML has no null');
+                    return;
+                }
+                this.writeTrivia([...path, i], 2);
+                this.lines.push('  ' + this.inline(item, [...path, i]) + ',' + this.trailing([...path, i]));
+            });
+            this.lines.push(']');
+            return;
+        }
+
+        this.lines.push(head + this.inline(value, path) + this.trailing(path));
+    }
+
+    // Formats a value on a single line.
+    inline(value, path) {
+        if (value instanceof Map) {
+            const entries = [];
+            for (const [key, item] of value) {
+                if (item === null) {
+                    this.note([...path, key], 'null was dropped, as TOML has no null');
+                } else {
+                    entries.push(formatKey(key) + ' = ' + this.inline(item, [...path, key]));
+                }
+            }
+            return entries.length === 0 ? '{}' : `{ ${entries.join(', ')} }`;
+        }
+
+        if (Array.isArray(value)) {
+            const items = [];
+            value.forEach((item, i) => {
+                if (item === null) {
+                    this.note([...path, i], 'null was dropped, as TOML has no null');
+                } else {
+                    items.push(this.inline(item, [...path, i]));
+                }
+            });
+            return `[${items.join(', ')}]`;
+        }
+
+        switch (typeof value) {
+            case 'boolean':
+                return String(value);
+            case 'bigint':
+                return this.integer(value, path);
+            case 'number':
+                if (Number.isNaN(value)) return 'nan';
+                if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+                if (Number.isInteger(value)) return this.integer(BigInt(value), path);
+                return String(value);
+        }
+
+        return basicString(value);
+    }
+
+    // Formats an integer, or a string if it's outside TOML's 64-bit range.
+    integer(num, path) {
+        if (num < INT64_MIN || num > INT64_MAX) {
+            this.note(path, `the integer ${num} is out of TOML's 64-bit range; it was written as a string`);
+            return `"${num}"`;
+        }
+        return String(num);
+    }
+
+    writeTrivia(path, indent = 0) {
+        const entry = this.comments.get(formatPath(path));
+        if (!entry) return;
+
+        for (const node of entry.before) {
+            this.lines.push(node.type === 'blank' ? '' : ' '.repeat(indent) + formatComment(node.text));
+        }
+    }
+
+    trailing(path) {
+        const entry = this.comments.get(formatPath(path));
+        return entry && entry.trailing !== null ? '  ' + formatComment(entry.trailing) : '';
+    }
+
+    note(path, message) {
+        this.report.push({ path: formatPath(path), message });
+    }
+}
+
+// Determines if a list is written as an array of tables.
+function isTableArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(item => item instanceof Map);
+}
+
+function formatKey(key) {
+    return BARE_KEY_REGEX.test(key) ? key : basicString(key);
+}
+
+function formatComment(text) {
+    return text === '' ? '#' : '# ' + text;
+}
+
+function basicString(str) {
+    return '"' + escape(str).replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+// Formats a string with newlines as a multi-line basic string.
+function multilineString(str) {
+    const body = escape(str)
+        .replace(/"""/g, '""\\"')
+        .replace(/"$/, '\\"');
+    return '"""\n' + body + '"""';
+}
+
+// Escapes backslashes and the control characters other than newlines.
+function escape(str) {
+    return str.replace(/[\\\x00-\x09\x0b-\x1f\x7f]/g, c => {
+        switch (c) {
+            case '\\': return '\\\\';
+            case '\t': return '\\t';
+            case '\r': return '\\r';
+            case '\b': return '\\b';
+            case '\f': return '\\f';
+        }
+        return '\\u' + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+    });
+}
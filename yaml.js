@@ -0,0 +1,1259 @@
+/**
+ * A YAML 1.2 reader and writer for converting to and from HUML. They cover
+ * the parts of YAML that configuration files use:
+ *
+ * - block mappings and sequences, including compact `- key: value` items
+ * - flow collections ([a, b] and {a: 1}), which may span lines
+ * - plain, single-quoted and double-quoted scalars, and literal (|) and
+ *   folded (>) block scalars
+ * - the core schema: null, booleans, integers (decimal, 0x and 0o), floats,
+ *   .inf and .nan
+ * - anchors, aliases and merge keys (<<), which are expanded into copies
+ * - the standard !! tags
+ * - comments, which are kept for the entries they precede or follow
+ *
+ * Complex keys (?), multiple documents and custom tags are not supported.
+ * Constructs that HUML can't represent exactly are listed in a report.
+ */
+
+import { HUMLError } from './decode.js';
+import { formatPath } from './path.js';
+
+const NULL_REGEX = /^(?:~|null|Null|NULL)?$/;
+const TRUE_REGEX = /^(?:true|True|TRUE)$/;
+const FALSE_REGEX = /^(?:false|False|FALSE)$/;
+const INT_REGEX = /^[-+]?[0-9]+$/;
+const FLOAT_REGEX = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const INF_REGEX = /^[-+]?\.(?:inf|Inf|INF)$/;
+const NAN_REGEX = /^\.(?:nan|NaN|NAN)$/;
+
+// Booleans, timestamps and numbers in YAML 1.1, which YAML 1.2 reads as
+// strings. The numbers are binary, sexagesimal (base 60), with underscores or
+// signed hex and octal.
+const YAML11_BOOL_REGEX = /^(?:y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/;
+const YAML11_TIMESTAMP_REGEX = /^[0-9]{4}-[0-9]{1,2}-[0-9]{1,2}(?:(?:[Tt]|[ \t]+)[0-9]{1,2}:[0-9]{2}:[0-9]{2}(?:\.[0-9]*)?(?:[ \t]*(?:Z|[-+][0-9]{1,2}(?::[0-9]{2})?))?)?$/;
+const YAML11_NUMBER_REGEX = /^[-+]?(?:0b[01_]+|0x[0-9a-fA-F_]+|0[0-7_]+|[0-9][0-9_]*(?::[0-5]?[0-9])+(?:\.[0-9_]*)?|[0-9][0-9_]*(?:\.[0-9_]*)?(?:[eE][-+][0-9]+)?)$/;
+
+const ESCAPES = {
+    '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f',
+    'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0',
+    'L': '\u2028', 'P': '\u2029'
+};
+const HEX_ESCAPES = { 'x': 2, 'u': 4, 'U': 8 };
+
+// Parses YAML text. Returns the value, with mappings as Maps, and
+//
+//   comments: a Map of formatted paths to { path, before, trailing }, where
+//     before is a list of { type: 'comment', text } and { type: 'blank' }
+//     lines above the entry and trailing is the text of its trailing comment.
+//   footer: the comment and blank lines at the end of the document.
+//   report: a list of { path, message, line } for constructs that were
+//     converted inexactly.
+//
+// Throws HUMLError with code INVALID_YAML for invalid or unsupported YAML.
+export function parseYAML(text) {
+    return new YAMLParser(text).parse();
+}
+
+class YAMLParser {
+    constructor(text) {
+        this.lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        if (this.lines[this.lines.length - 1] === '') {
+            this.lines.pop();
+        }
+        this.i = 0;
+
+        this.anchors = new Map();
+        this.comments = new Map();
+        this.report = [];
+
+        // Comment and blank lines waiting for the next entry.
+        this.pending = [];
+    }
+
+    parse() {
+        // Skip directives up to the document start marker.
+        while (this.i < this.lines.length && this.lines[this.i].startsWith('%')) {
+            this.i++;
+        }
+
+        this.collectTrivia();
+        if (this.isMarker('---')) {
+            // Content may follow the marker, eg: --- |
+            this.lines[this.i] = '   ' + this.lines[this.i].substring(3);
+            if (this.isBlank(this.lines[this.i])) {
+                this.i++;
+            }
+        }
+
+        this.collectTrivia();
+        let value = null;
+        if (!this.done() && !this.isMarker('---') && !this.isMarker('...')) {
+            this.entry([]);
+            value = this.parseNode(-1, []);
+        }
+
+        this.collectTrivia();
+        if (this.isMarker('...')) {
+            this.i++;
+            this.collectTrivia();
+        }
+        if (this.isMarker('---')) {
+            this.note([], 'only the first document was converted');
+            this.i = this.lines.length;
+        }
+        if (!this.done()) {
+            throw this.error('unexpected content', this.indentOf(this.lines[this.i]));
+        }
+
+        return { value, comments: this.comments, footer: this.pending, report: this.report };
+    }
+
+    // Parses a block node whose parent is at parentIndent, starting at the
+    // current line. sameIndentSequence allows a sequence at parentIndent, as
+    // the value of a mapping entry.
+    parseNode(parentIndent, path, sameIndentSequence = false) {
+        this.collectTrivia();
+        if (this.done()) {
+            return null;
+        }
+
+        const line = this.lines[this.i];
+        const indent = this.indentOf(line);
+        const content = line.substring(indent);
+
+        if (indent < parentIndent || (indent === parentIndent && !(sameIndentSequence && isSequenceLine(content)))) {
+            return null;
+        }
+        if (isSequenceLine(content)) {
+            return this.parseSequence(indent, path);
+        }
+        if (this.isMappingLine(content)) {
+            return this.parseMapping(indent, path);
+        }
+
+        return this.parseInline(this.i, indent, parentIndent, path);
+    }
+
+    parseMapping(indent, path) {
+        const entries = [];
+        const keys = new Set();
+        const line = this.i;
+
+        while (true) {
+            this.collectTrivia();
+            if (this.done() || this.isMarker('---') || this.isMarker('...')) break;
+
+            const text = this.lines[this.i];
+            const lineIndent = this.indentOf(text);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) {
+                throw this.error('bad indentation of a mapping entry', lineIndent);
+            }
+
+            const content = text.substring(indent);
+            if (!this.isMappingLine(content)) {
+                throw this.error('expected a mapping entry', indent);
+            }
+
+            const { key, valueCol } = this.parseKey(content, indent, path);
+            const childPath = [...path, key];
+
+            if (key === '<<') {
+                // The merge is reported rather than its aliases.
+                const reported = this.report.length;
+                this.pending = [];
+                const value = this.parseValue(this.i, indent + valueCol, indent, childPath, false);
+                this.report.length = reported;
+                entries.push({ merge: value, path: childPath });
+                continue;
+            }
+
+            if (keys.has(key)) {
+                throw this.error(`duplicate key '${key}'`, indent);
+            }
+            keys.add(key);
+
+            this.entry(childPath);
+            entries.push({ key, value: this.parseValue(this.i, indent + valueCol, indent, childPath, false) });
+        }
+
+        return this.buildMapping(entries, keys, line);
+    }
+
+    // Builds a mapping, expanding merge keys. Explicit keys take precedence
+    // over merged ones, and earlier merged mappings over later ones.
+    buildMapping(entries, keys, line) {
+        const out = new Map();
+
+        for (const entry of entries) {
+            if (!entry.merge) {
+                out.set(entry.key, entry.value);
+                continue;
+            }
+
+            const sources = Array.isArray(entry.merge) ? entry.merge : [entry.merge];
+            for (const source of sources) {
+                if (!(source instanceof Map)) {
+                    throw this.error('merge keys (<<) must refer to mappings', 0, line);
+                }
+                for (const [k, v] of source) {
+                    if (!keys.has(k) && !out.has(k)) {
+                        out.set(k, structuredClone(v));
+                    }
+                }
+            }
+            this.note(entry.path.slice(0, -1), 'the merge key (<<) was expanded into copies of its entries', line);
+        }
+
+        return out;
+    }
+
+    parseSequence(indent, path) {
+        const out = [];
+
+        while (true) {
+            this.collectTrivia();
+            if (this.done() || this.isMarker('---') || this.isMarker('...')) break;
+
+            const text = this.lines[this.i];
+            const lineIndent = this.indentOf(text);
+            const content = text.substring(lineIndent);
+            if (lineIndent !== indent || !isSequenceLine(content)) {
+                if (lineIndent > indent) {
+                    throw this.error('bad indentation of a sequence item', lineIndent);
+                }
+                break;
+            }
+
+            const childPath = [...path, out.length];
+            this.entry(childPath);
+
+            // The item's content starts after the '-' and its spaces.
+            const rest = content.substring(1).replace(/^ +/, '');
+            const col = text.length - rest.length;
+
+            if (rest !== '' && !rest.startsWith('#') && (isSequenceLine(rest) || this.isMappingLine(rest))) {
+                // A compact nested sequence or mapping, eg: - key: value
+                this.lines[this.i] = ' '.repeat(col) + rest;
+                out.push(this.parseNode(indent, childPath));
+            } else {
+                out.push(this.parseValue(this.i, col, indent, childPath, true));
+            }
+        }
+
+        return out;
+    }
+
+    // Parses the value that starts at col of line, after a key or '-' at
+    // ownerIndent.
+    parseValue(line, col, ownerIndent, path, isItem) {
+        const text = this.lines[line];
+        const props = this.parseProperties(text, col);
+        col = props.col;
+
+        const rest = text.substring(col);
+        let value;
+
+        if (rest === '' || rest.startsWith('#')) {
+            this.trailing(path, rest);
+            this.i = line + 1;
+
+            // Sequences may be at the same indent as a mapping's key.
+            value = this.parseNode(ownerIndent, path, !isItem);
+            if (props.tag !== null) {
+                value = this.applyTag(value, props.tag, path, line, false);
+            }
+        } else if (rest.startsWith('*')) {
+            value = this.parseAlias(line, col, path);
+        } else {
+            value = this.parseInline(line, col, ownerIndent, path, props.tag);
+        }
+
+        if (props.anchor !== null) {
+            this.anchors.set(props.anchor, value);
+        }
+
+        return value;
+    }
+
+    // Parses an anchor (&name) and tag (!tag), in any order, at col.
+    parseProperties(text, col) {
+        let anchor = null;
+        let tag = null;
+
+        while (true) {
+            col = skipSpaces(text, col);
+            const c = text[col];
+            if (c !== '&' && c !== '!') break;
+
+            const end = findEnd(text, col);
+            const name = text.substring(col + 1, end);
+            if (c === '&') {
+                anchor = name;
+            } else {
+                tag = '!' + name;
+            }
+            col = end;
+        }
+
+        return { anchor, tag, col: skipSpaces(text, col) };
+    }
+
+    parseAlias(line, col, path) {
+        const text = this.lines[line];
+        const end = findEnd(text, col);
+        const name = text.substring(col + 1, end);
+
+        if (!this.anchors.has(name)) {
+            throw this.error(`unknown alias '*${name}'`, col, line);
+        }
+
+        this.finishLine(line, end, path);
+        this.note(path, `the alias *${name} was expanded into a copy of its anchor`, line);
+
+        return structuredClone(this.anchors.get(name));
+    }
+
+    // Parses a scalar or flow collection that starts at col of line.
+    parseInline(line, col, ownerIndent, path, tag = null) {
+        const text = this.lines[line];
+        const c = text[col];
+        let value;
+
+        if (c === '|' || c === '>') {
+            value = this.parseBlockScalar(line, col, ownerIndent, path);
+        } else if (c === '[' || c === '{') {
+            value = this.parseFlow(line, col, path);
+        } else if (c === '"' || c === "'") {
+            const { value: str, line: endLine, col: endCol } = this.parseQuoted(line, col);
+            this.finishLine(endLine, endCol, path);
+            value = str;
+        } else {
+            return this.parsePlain(line, col, ownerIndent, path, tag);
+        }
+
+        return tag === null ? value : this.applyTag(value, tag, path, line, false);
+    }
+
+    // Parses a plain scalar, which may continue on more indented lines.
+    parsePlain(line, col, ownerIndent, path, tag) {
+        const text = this.lines[line];
+        const comment = findComment(text, col);
+        let value = this.plainText(text, col, comment, line);
+
+        if (comment < text.length) {
+            this.trailing(path, text.substring(comment));
+            this.i = line + 1;
+            return this.resolve(value, tag, path, line);
+        }
+
+        this.i = line + 1;
+
+        // Continuation lines are folded into the scalar.
+        while (!this.done()) {
+            let next = this.i;
+            while (next < this.lines.length && this.lines[next].trim() === '') {
+                next++;
+            }
+            if (next >= this.lines.length) break;
+
+            const nextText = this.lines[next];
+            const nextIndent = this.indentOf(nextText);
+            const content = nextText.substring(nextIndent);
+            if (nextIndent <= ownerIndent || content.startsWith('#') || this.isMarkerLine(nextText)) break;
+            if (ownerIndent === -1 && (this.isMappingLine(content) || isSequenceLine(content))) break;
+
+            const blanks = next - this.i;
+            const end = findComment(nextText, nextIndent);
+            value += (blanks === 0 ? ' ' : '\n'.repeat(blanks)) + this.plainText(nextText, nextIndent, end, next);
+            this.i = next + 1;
+
+            if (end < nextText.length) {
+                this.trailing(path, nextText.substring(end));
+                break;
+            }
+        }
+
+        return this.resolve(value, tag, path, line);
+    }
+
+    // Returns the text of a line of a plain scalar, which can't hold ': '.
+    plainText(text, start, end, line) {
+        const str = text.substring(start, end).trim();
+        const colon = findKeyEnd(str);
+        if (colon < str.length) {
+            throw this.error('mapping values are not allowed here', text.indexOf(str) + colon, line);
+        }
+        return str;
+    }
+
+    // Parses a quoted scalar. Returns the string and the position after its
+    // closing quote.
+    parseQuoted(line, col) {
+        const quote = this.lines[line][col];
+        let out = '';
+        let pos = col + 1;
+
+        while (line < this.lines.length) {
+            const text = this.lines[line];
+            let escapedBreak = false;
+
+            while (pos < text.length) {
+                const c = text[pos];
+
+                if (c === quote) {
+                    if (quote === "'" && text[pos + 1] === "'") {
+                        out += "'";
+                        pos += 2;
+                        continue;
+                    }
+                    return { value: out, line, col: pos + 1 };
+                }
+
+                if (c === '\\' && quote === '"') {
+                    if (pos + 1 >= text.length) {
+                        // An escaped line break joins the lines.
+                        escapedBreak = true;
+                        break;
+                    }
+                    pos = this.parseEscape(text, pos + 1, line, str => { out += str; });
+                    continue;
+                }
+
+                out += c;
+                pos++;
+            }
+
+            // Fold the line break: trailing spaces are dropped, a single
+            // break becomes a space and blank lines become newlines.
+            line++;
+            if (line >= this.lines.length) break;
+
+            if (!escapedBreak) {
+                out = out.replace(/[ \t]+$/, '');
+            }
+
+            let blanks = 0;
+            while (line < this.lines.length && this.lines[line].trim() === '') {
+                blanks++;
+                line++;
+            }
+            if (line >= this.lines.length) break;
+
+            if (!escapedBreak) {
+                out += blanks === 0 ? ' ' : '\n'.repeat(blanks);
+            }
+            pos = this.indentOf(this.lines[line]);
+        }
+
+        throw this.error('unclosed quoted string', col, this.i);
+    }
+
+    // Parses the escape sequence at pos, passing its text to add. Returns
+    // the position after it.
+    parseEscape(text, pos, line, add) {
+        const c = text[pos];
+
+        if (Object.hasOwn(ESCAPES, c)) {
+            add(ESCAPES[c]);
+            return pos + 1;
+        }
+
+        if (Object.hasOwn(HEX_ESCAPES, c)) {
+            const length = HEX_ESCAPES[c];
+            const hex = text.substring(pos + 1, pos + 1 + length);
+            if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+                throw this.error(`invalid escape '\\${c}${hex}'`, pos, line);
+            }
+            add(String.fromCodePoint(parseInt(hex, 16)));
+            return pos + 1 + length;
+        }
+
+        throw this.error(`invalid escape '\\${c}'`, pos, line);
+    }
+
+    // Parses a literal (|) or folded (>) block scalar.
+    parseBlockScalar(line, col, ownerIndent, path) {
+        const text = this.lines[line];
+        const header = /^([|>])([-+]?)([1-9]?)([-+]?)[ \t]*(#.*)?$/.exec(text.substring(col));
+        if (!header || (header[2] && header[4])) {
+            throw this.error('invalid block scalar header', col, line);
+        }
+
+        const folded = header[1] === '>';
+        const chomping = header[2] || header[4];
+        if (header[5]) {
+            this.trailing(path, header[5]);
+        }
+
+        let indent = header[3] ? Math.max(ownerIndent, 0) + Number(header[3]) : null;
+        const lines = [];
+        this.i = line + 1;
+
+        while (!this.done()) {
+            const next = this.lines[this.i];
+
+            if (next.trim() === '') {
+                lines.push(indent !== null && next.length > indent ? next.substring(indent) : '');
+                this.i++;
+                continue;
+            }
+
+            const nextIndent = this.indentOf(next);
+            if (indent === null) {
+                if (nextIndent <= ownerIndent) break;
+                indent = nextIndent;
+            }
+            if (nextIndent < indent || this.isMarkerLine(next)) break;
+
+            lines.push(next.substring(indent));
+            this.i++;
+        }
+
+        // Trailing blank lines belong to the chomping, not the content.
+        let trailingBlanks = 0;
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+            trailingBlanks++;
+        }
+
+        // Unless they're kept, they separate the next entry.
+        if (trailingBlanks > 0 && chomping !== '+') {
+            this.pending.push({ type: 'blank' });
+        }
+
+        // Folded lines are joined with spaces, except around blank and more
+        // indented lines.
+        let out = '';
+        let blanks = 0;
+        let isFirst = true;
+        let prevMore = false;
+
+        for (const str of lines) {
+            if (str === '') {
+                blanks++;
+                continue;
+            }
+
+            const isMore = str[0] === ' ' || str[0] === '\t';
+            if (isFirst) {
+                out += '\n'.repeat(blanks);
+            } else if (!folded || isMore || prevMore) {
+                out += '\n'.repeat(blanks + 1);
+            } else {
+                out += blanks === 0 ? ' ' : '\n'.repeat(blanks);
+            }
+
+            out += str;
+            blanks = 0;
+            isFirst = false;
+            prevMore = isMore;
+        }
+
+        if (chomping === '+') {
+            return out + '\n'.repeat(trailingBlanks + 1);
+        }
+        return chomping === '-' || out === '' ? out : out + '\n';
+    }
+
+    // Parses a flow collection, which may span lines.
+    parseFlow(line, col, path) {
+        // Gather the collection's text, without comments.
+        let text = '';
+        let depth = 0;
+        let quote = null;
+        let end = null;
+
+        for (let l = line; l < this.lines.length && end === null; l++) {
+            const str = this.lines[l];
+
+            for (let pos = l === line ? col : 0; pos < str.length; pos++) {
+                const c = str[pos];
+
+                if (quote) {
+                    if (c === '\\' && quote === '"') {
+                        text += c + (str[pos + 1] ?? '');
+                        pos++;
+                        continue;
+                    }
+                    if (c === quote) quote = null;
+                } else if (c === '"' || c === "'") {
+                    quote = c;
+                } else if (c === '#' && (pos === 0 || str[pos - 1] === ' ' || str[pos - 1] === '\t')) {
+                    break;
+                } else if (c === '[' || c === '{') {
+                    depth++;
+                } else if (c === ']' || c === '}') {
+                    depth--;
+                    if (depth === 0) {
+                        text += c;
+                        end = { line: l, col: pos + 1 };
+                        break;
+                    }
+                }
+
+                text += c;
+            }
+
+            if (end === null) {
+                text += '\n';
+            }
+        }
+
+        if (end === null) {
+            throw this.error('unclosed flow collection', col, line);
+        }
+
+        const value = new FlowParser(text, this, line, path).parse();
+        this.finishLine(end.line, end.col, path);
+
+        return value;
+    }
+
+    // Expects the rest of a line after a value to be empty or a comment.
+    finishLine(line, col, path) {
+        const text = this.lines[line];
+        const rest = text.substring(col);
+
+        if (rest.trim() !== '') {
+            if (!/^[ \t]+#/.test(rest)) {
+                throw this.error('unexpected content after value', col, line);
+            }
+            this.trailing(path, rest.trim());
+        }
+
+        this.i = line + 1;
+    }
+
+    // Parses a mapping key. Returns the key and the column of its value.
+    parseKey(content, indent, path) {
+        let key;
+        let end;
+
+        if (content[0] === '"' || content[0] === "'") {
+            const quoted = this.parseQuoted(this.i, indent);
+            key = quoted.value;
+            end = quoted.col - indent;
+        } else {
+            end = findKeyEnd(content);
+            const raw = content.substring(0, end).trim();
+            const value = resolveScalar(raw);
+            if (typeof value !== 'string') {
+                this.note([...path, raw], `the ${describe(value)} key ${raw} was converted to a string`);
+            }
+            key = raw;
+        }
+
+        end = skipSpaces(content, end);
+        if (content[end] !== ':') {
+            throw this.error('expected a colon after the key', indent + end);
+        }
+
+        return { key, valueCol: end + 1 };
+    }
+
+    // Resolves a plain scalar, given its tag.
+    resolve(str, tag, path, line) {
+        if (tag !== null) {
+            return this.applyTag(str, tag, path, line, true);
+        }
+
+        const value = resolveScalar(str);
+        if (typeof value === 'string') {
+            const type = YAML11_BOOL_REGEX.test(str) ? 'boolean' :
+                YAML11_TIMESTAMP_REGEX.test(str) ? 'timestamp' :
+                YAML11_NUMBER_REGEX.test(str) ? 'number' : null;
+            if (type !== null) {
+                this.note(path, `'${str}' is a ${type} in YAML 1.1; it was kept as a string`, line);
+            }
+        } else if (/^[-+]?0[0-9]+$/.test(str)) {
+            // YAML 1.1 reads integers with a leading zero as octal, and those
+            // with an 8 or 9 as strings.
+            if (/^[-+]?0[0-7]+$/.test(str)) {
+                const octal = BigInt('0o' + str.replace(/^[-+]/, '')) * (str[0] === '-' ? -1n : 1n);
+                if (octal !== BigInt(value)) {
+                    this.note(path, `'${str}' is the octal number ${octal} in YAML 1.1; it was read as ${value}`, line);
+                }
+            } else {
+                this.note(path, `'${str}' is a string in YAML 1.1; it was read as ${value}`, line);
+            }
+        }
+        return value;
+    }
+
+    // Applies a tag to a value. Plain scalars are passed as strings, with
+    // isPlain set, to be resolved as per the tag.
+    applyTag(value, tag, path, line, isPlain) {
+        const str = typeof value === 'string' ? value : null;
+        const untagged = () => isPlain ? resolveScalar(value) : value;
+
+        switch (tag) {
+            case '!':
+            case '!!str':
+                return str ?? value;
+            case '!!int':
+            case '!!float': {
+                const num = str === null ? value : resolveScalar(str);
+                if (typeof num !== 'number' && typeof num !== 'bigint') {
+                    throw this.error(`invalid ${tag} value`, 0, line);
+                }
+                return num;
+            }
+            case '!!bool':
+                if (str !== null && (TRUE_REGEX.test(str) || FALSE_REGEX.test(str))) {
+                    return TRUE_REGEX.test(str);
+                }
+                return value;
+            case '!!null':
+                return null;
+            case '!!map':
+            case '!!seq':
+                return untagged();
+        }
+
+        this.note(path, `the tag ${tag} was dropped`, line);
+        return untagged();
+    }
+
+    // Starts the entry at path, giving it the pending comment lines.
+    entry(path) {
+        const before = this.pending;
+        this.pending = [];
+
+        if (before.length > 0) {
+            this.commentsFor(path).before = before;
+        }
+    }
+
+    trailing(path, comment) {
+        if (comment.startsWith('#')) {
+            this.commentsFor(path).trailing = commentText(comment);
+        }
+    }
+
+    commentsFor(path) {
+        const key = formatPath(path);
+        if (!this.comments.has(key)) {
+            this.comments.set(key, { path, before: [], trailing: null });
+        }
+        return this.comments.get(key);
+    }
+
+    note(path, message, line = this.i) {
+        this.report.push({ path: formatPath(path), message, line: line + 1 });
+    }
+
+    // Collects blank and comment lines into the pending trivia.
+    collectTrivia() {
+        while (!this.done()) {
+            const text = this.lines[this.i];
+            const trimmed = text.trim();
+
+            if (trimmed === '') {
+                this.pending.push({ type: 'blank' });
+            } else if (trimmed.startsWith('#')) {
+                this.pending.push({ type: 'comment', text: commentText(trimmed) });
+            } else {
+                return;
+            }
+            this.i++;
+        }
+    }
+
+    // Determines if content (a line without its indent) is a mapping entry.
+    isMappingLine(content) {
+        if (content.startsWith('? ')) {
+            throw this.error('complex mapping keys (?) are not supported', this.indentOf(this.lines[this.i]));
+        }
+
+        if (content[0] === '"' || content[0] === "'") {
+            const end = findQuoteEnd(content, 0);
+            return end !== -1 && /^[ \t]*:(?:[ \t]|$)/.test(content.substring(end));
+        }
+        if (/^[[{#&*!|>%@`]/.test(content)) {
+            return false;
+        }
+
+        const end = findKeyEnd(content);
+        return end < content.length;
+    }
+
+    isMarker(marker) {
+        return !this.done() && this.isMarkerLine(this.lines[this.i], marker);
+    }
+
+    isMarkerLine(text, marker = null) {
+        const match = /^(---|\.\.\.)(?:[ \t]|$)/.exec(text);
+        return match !== null && (marker === null || match[1] === marker);
+    }
+
+    isBlank(text) {
+        const trimmed = text.trim();
+        return trimmed === '' || trimmed.startsWith('#');
+    }
+
+    indentOf(text) {
+        const indent = text.length - text.replace(/^ +/, '').length;
+        if (text[indent] === '\t') {
+            throw this.error('tabs are not allowed for indentation', indent);
+        }
+        return indent;
+    }
+
+    done() {
+        return this.i >= this.lines.length;
+    }
+
+    error(message, col = 0, line = this.i) {
+        return new HUMLError(message, {
+            code: 'INVALID_YAML',
+            line: line + 1,
+            column: col + 1,
+            snippet: this.lines[line]
+        });
+    }
+}
+
+// Parses the text of a flow collection.
+class FlowParser {
+    constructor(text, parser, line, path) {
+        this.text = text;
+        this.pos = 0;
+        this.parser = parser;
+        this.line = line;
+        this.path = path;
+    }
+
+    parse() {
+        const value = this.parseValue(this.path);
+        this.skipSpace();
+        if (this.pos < this.text.length) {
+            throw this.error('unexpected content after flow collection');
+        }
+        return value;
+    }
+
+    parseValue(path) {
+        this.skipSpace();
+        const props = this.parser.parseProperties(this.text, this.pos);
+        this.pos = props.col;
+        this.skipSpace();
+
+        const c = this.text[this.pos];
+        let value;
+
+        if (c === '[') {
+            value = this.parseSequence(path);
+        } else if (c === '{') {
+            value = this.parseMapping(path);
+        } else if (c === '*') {
+            const end = findEnd(this.text, this.pos, ',[]{}');
+            const name = this.text.substring(this.pos + 1, end);
+            if (!this.parser.anchors.has(name)) {
+                throw this.error(`unknown alias '*${name}'`);
+            }
+            this.pos = end;
+            this.parser.note(path, `the alias *${name} was expanded into a copy of its anchor`, this.line);
+            value = structuredClone(this.parser.anchors.get(name));
+        } else if (c === '"' || c === "'") {
+            value = this.parseQuoted();
+        } else {
+            const raw = this.parsePlain();
+            value = props.tag === null ? this.parser.resolve(raw, null, path, this.line) : raw;
+        }
+
+        if (props.tag !== null) {
+            value = this.parser.applyTag(value, props.tag, path, this.line, typeof value === 'string' && !/["']/.test(c));
+        }
+        if (props.anchor !== null) {
+            this.parser.anchors.set(props.anchor, value);
+        }
+
+        return value;
+    }
+
+    parseSequence(path) {
+        const out = [];
+        this.pos++;
+
+        while (true) {
+            this.skipSpace();
+            if (this.text[this.pos] === ']') {
+                this.pos++;
+                return out;
+            }
+
+            out.push(this.parseValue([...path, out.length]));
+            this.skipSpace();
+
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== ']') {
+                throw this.error("expected ',' or ']'");
+            }
+        }
+    }
+
+    parseMapping(path) {
+        const out = new Map();
+        this.pos++;
+
+        while (true) {
+            this.skipSpace();
+            if (this.text[this.pos] === '}') {
+                this.pos++;
+                return out;
+            }
+
+            const c = this.text[this.pos];
+            const key = c === '"' || c === "'" ? this.parseQuoted() : this.parsePlain();
+            if (out.has(key)) {
+                throw this.error(`duplicate key '${key}'`);
+            }
+
+            this.skipSpace();
+            let value = null;
+            if (this.text[this.pos] === ':') {
+                this.pos++;
+                this.skipSpace();
+                if (this.text[this.pos] !== ',' && this.text[this.pos] !== '}') {
+                    value = this.parseValue([...path, key]);
+                }
+            }
+            out.set(key, value);
+
+            this.skipSpace();
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== '}') {
+                throw this.error("expected ',' or '}'");
+            }
+        }
+    }
+
+    parseQuoted() {
+        const quote = this.text[this.pos];
+        let out = '';
+        this.pos++;
+
+        while (this.pos < this.text.length) {
+            const c = this.text[this.pos];
+
+            if (c === quote) {
+                if (quote === "'" && this.text[this.pos + 1] === "'") {
+                    out += "'";
+                    this.pos += 2;
+                    continue;
+                }
+                this.pos++;
+                return out;
+            }
+
+            if (c === '\\' && quote === '"') {
+                this.pos = this.parser.parseEscape(this.text, this.pos + 1, this.line, str => { out += str; });
+                continue;
+            }
+
+            if (c === '\n') {
+                // Fold line breaks like in block context.
+                out = out.replace(/[ \t]+$/, '');
+                let breaks = 0;
+                while (this.pos < this.text.length && /[ \t\n]/.test(this.text[this.pos])) {
+                    if (this.text[this.pos] === '\n') breaks++;
+                    this.pos++;
+                }
+                out += breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+                continue;
+            }
+
+            out += c;
+            this.pos++;
+        }
+
+        throw this.error('unclosed quoted string');
+    }
+
+    // Reads a plain scalar up to a flow indicator or a ': '.
+    parsePlain() {
+        const start = this.pos;
+
+        while (this.pos < this.text.length) {
+            const c = this.text[this.pos];
+            if (c === ',' || c === '[' || c === ']' || c === '{' || c === '}') break;
+            if (c === ':' && /[ \t\n,[\]{}]/.test(this.text[this.pos + 1] ?? ' ')) break;
+            this.pos++;
+        }
+
+        return this.text.substring(start, this.pos).replace(/\s+/g, ' ').trim();
+    }
+
+    skipSpace() {
+        while (this.pos < this.text.length && /[ \t\n]/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    error(message) {
+        const lines = this.text.substring(0, this.pos).split('\n');
+        return this.parser.error(message, 0, this.line + lines.length - 1);
+    }
+}
+
+// Resolves a plain scalar with the core schema.
+function resolveScalar(str) {
+    if (NULL_REGEX.test(str)) return null;
+    if (TRUE_REGEX.test(str)) return true;
+    if (FALSE_REGEX.test(str)) return false;
+
+    if (INT_REGEX.test(str)) {
+        const num = Number(str);
+        return Number.isSafeInteger(num) ? num : BigInt(str);
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(str)) return toInteger(str);
+    if (/^0o[0-7]+$/.test(str)) return toInteger(str);
+
+    if (FLOAT_REGEX.test(str)) return Number(str);
+    if (INF_REGEX.test(str)) return str[0] === '-' ? -Infinity : Infinity;
+    if (NAN_REGEX.test(str)) return NaN;
+
+    return str;
+}
+
+function toInteger(str) {
+    const num = BigInt(str);
+    return num <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(num) : num;
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (typeof value === 'bigint') return 'integer';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'float';
+    return typeof value;
+}
+
+function isSequenceLine(content) {
+    return content === '-' || content.startsWith('- ') || content.startsWith('-\t');
+}
+
+// Returns the index of the ':' that ends a plain key, or content.length.
+function findKeyEnd(content) {
+    for (let i = 0; i < content.length; i++) {
+        if (content[i] === ':' && (i + 1 === content.length || content[i + 1] === ' ' || content[i + 1] === '\t')) {
+            return i;
+        }
+        if (content[i] === '#' && i > 0 && (content[i - 1] === ' ' || content[i - 1] === '\t')) {
+            break;
+        }
+    }
+    return content.length;
+}
+
+// Returns the index after the closing quote of the string at pos, or -1.
+function findQuoteEnd(text, pos) {
+    const quote = text[pos];
+
+    for (let i = pos + 1; i < text.length; i++) {
+        if (text[i] === '\\' && quote === '"') {
+            i++;
+        } else if (text[i] === quote) {
+            if (quote === "'" && text[i + 1] === "'") {
+                i++;
+            } else {
+                return i + 1;
+            }
+        }
+    }
+
+    return -1;
+}
+
+// Returns the index of a ' #' comment in a plain scalar, or text.length.
+function findComment(text, pos) {
+    for (let i = pos; i < text.length; i++) {
+        if (text[i] === '#' && i > pos && (text[i - 1] === ' ' || text[i - 1] === '\t')) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+// Returns the end of an anchor, alias or tag name.
+function findEnd(text, pos, stop = '') {
+    let end = pos + 1;
+    while (end < text.length && !/[ \t\n]/.test(text[end]) && !stop.includes(text[end])) {
+        end++;
+    }
+    return end;
+}
+
+function skipSpaces(text, pos) {
+    while (pos < text.length && (text[pos] === ' ' || text[pos] === '\t')) {
+        pos++;
+    }
+    return pos;
+}
+
+// Returns the text of a comment without its '#' and surrounding spaces.
+function commentText(comment) {
+    return comment.replace(/^#+/, '').trim();
+}
+
+// Writes a value, as returned by parse() with dicts: 'map', as YAML.
+// comments is a Map of formatted paths to { before, trailing } as returned
+// by parseYAML(), and footer the comment lines at the end.
+export function writeYAML(value, comments = new Map(), footer = []) {
+    const lines = [];
+    const writer = new YAMLWriter(comments, lines);
+
+    writer.writeTrivia([], 0);
+    if (isCollection(value) && !isEmpty(value)) {
+        writer.writeBlock(value, [], 0);
+    } else {
+        lines.push(withComment(writer.scalar(value, 0), writer.trailing([])));
+    }
+
+    for (const node of footer) {
+        lines.push(node.type === 'blank' ? '' : formatComment(node.text));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+class YAMLWriter {
+    constructor(comments, lines) {
+        this.comments = comments;
+        this.lines = lines;
+    }
+
+    // Writes the entries of a non-empty mapping or sequence at indent.
+    writeBlock(value, path, indent) {
+        const pad = ' '.repeat(indent);
+
+        const entries = value instanceof Map ? [...value] : value.map((item, i) => [i, item]);
+        for (const [key, item] of entries) {
+            const childPath = [...path, key];
+            this.writeTrivia(childPath, indent);
+
+            const head = pad + (value instanceof Map ? quoteKey(key) + ':' : '-');
+            this.writeEntry(head, item, childPath, indent, !(value instanceof Map));
+        }
+    }
+
+    writeEntry(head, value, path, indent, isItem) {
+        const trailing = this.trailing(path);
+
+        if (!isCollection(value) || isEmpty(value)) {
+            this.lines.push(head + ' ' + withComment(this.scalar(value, indent), trailing));
+            return;
+        }
+
+        // Items start on the '-' line unless there are comments between.
+        const first = value instanceof Map ? [value.keys().next().value] : [0];
+        const compact = isItem && trailing === '' && !this.hasBefore([...path, ...first]);
+
+        if (compact) {
+            const start = this.lines.length;
+            this.writeBlock(value, path, indent + 2);
+            this.lines[start] = head + ' ' + this.lines[start].substring(indent + 2);
+        } else {
+            this.lines.push(head + trailing);
+            // Sequences in mappings are indented too, for readability.
+            this.writeBlock(value, path, indent + 2);
+        }
+    }
+
+    // Writes a scalar or empty collection. Multiline strings become literal
+    // block scalars, indented past indent.
+    scalar(value, indent) {
+        if (value === null) return 'null';
+        if (value instanceof Map) return '{}';
+        if (Array.isArray(value)) return '[]';
+
+        switch (typeof value) {
+            case 'boolean':
+            case 'bigint':
+                return String(value);
+            case 'number':
+                if (Number.isNaN(value)) return '.nan';
+                if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+                return String(value);
+        }
+
+        return quoteString(value, indent);
+    }
+
+    writeTrivia(path, indent) {
+        const entry = this.comments.get(formatPath(path));
+        if (!entry) return;
+
+        for (const node of entry.before) {
+            this.lines.push(node.type === 'blank' ? '' : ' '.repeat(indent) + formatComment(node.text));
+        }
+    }
+
+    hasBefore(path) {
+        const entry = this.comments.get(formatPath(path));
+        return entry !== undefined && entry.before.length > 0;
+    }
+
+    trailing(path) {
+        const entry = this.comments.get(formatPath(path));
+        return entry && entry.trailing !== null ? '  ' + formatComment(entry.trailing) : '';
+    }
+}
+
+function isCollection(value) {
+    return value instanceof Map || Array.isArray(value);
+}
+
+function isEmpty(value) {
+    return value instanceof Map ? value.size === 0 : value.length === 0;
+}
+
+// Adds a trailing comment to the first line of a scalar.
+function withComment(text, comment) {
+    const end = text.indexOf('\n');
+    return end === -1 ? text + comment : text.substring(0, end) + comment + text.substring(end);
+}
+
+function formatComment(text) {
+    return text === '' ? '#' : '# ' + text;
+}
+
+// Keys are written plain when they read back as the same string.
+function quoteKey(key) {
+    return isPlainSafe(key) ? key : JSON.stringify(key);
+}
+
+// Quotes a string if it can't be written plain. Multiline strings are
+// written as literal block scalars.
+function quoteString(str, indent) {
+    if (isPlainSafe(str)) {
+        return str;
+    }
+
+    if (str.includes('\n') && !/[\r\t\x00-\x08\x0b-\x1f\x7f]/.test(str) && !/ \n|[ ]$/.test(str)) {
+        const body = str.endsWith('\n') ? str.slice(0, -1) : str;
+        const chomping = !str.endsWith('\n') ? '-' : body.endsWith('\n') || body === '' ? '+' : '';
+        const indicator = body.startsWith(' ') || body.startsWith('\n') ? '2' : '';
+        const pad = ' '.repeat(indent + 2);
+        const lines = (chomping === '+' ? str.slice(0, -1) : body).split('\n');
+
+        return '|' + indicator + chomping + '\n' + lines.map(line => line === '' ? '' : pad + line).join('\n');
+    }
+
+    return JSON.stringify(str).replace(/\\u007f/g, '\\x7f');
+}
+
+// Determines if a string reads back as itself when written plain.
+function isPlainSafe(str) {
+    return str !== '' &&
+        /^[^-?:,[\]{}#&*!|>'"%@`\s]/.test(str) &&
+        !/[\s]$/.test(str) &&
+        !/: |:$| #|[\x00-\x1f\x7f\u0085\u2028\u2029]/.test(str) &&
+        typeof resolveScalar(str) === 'string' &&
+        !YAML11_BOOL_REGEX.test(str) &&
+        !YAML11_TIMESTAMP_REGEX.test(str) &&
+        !YAML11_NUMBER_REGEX.test(str);
+}